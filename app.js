@@ -16,10 +16,10 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 // CORS Configuration
 const corsOptions = {
     origin: FRONTEND_URL, // Use environment variable for frontend URL
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'Accept'],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'Accept', 'Upload-Offset', 'Upload-Checksum'],
     credentials: true, // Enable credentials (cookies, authorization headers)
-    exposedHeaders: ['Content-Range', 'X-Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type'] // Expose headers needed for video streaming
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type', 'Location', 'Upload-Offset', 'Upload-Length'] // Expose headers needed for video streaming
 };
 
 // Apply CORS middleware
@@ -1,4 +1,5 @@
 import Article from '../models/articleModel.js';
+import Video from '../models/videoModel.js';
 import mongoose from 'mongoose';
 import { catchAsync } from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
@@ -6,6 +7,10 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { getCache, setCache, deleteCache, clearCacheByPattern } from '../utils/redisCache.js';
+import { recordView } from '../services/viewCountingService.js';
+import { parsePublishAt } from '../services/publishingService.js';
+import { canViewVideo, isViewableByLink } from '../services/videoVisibilityService.js';
+import { STORAGE_AREAS, getLocalDir, storeFile, removeStoredFile } from '../services/storageService.js';
 
 // ES Module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -13,7 +18,7 @@ const __dirname = path.dirname(__filename);
 
 // Define the articles directory
 const ARTICLES_DIR = path.join(__dirname, '../uploads/articles');
-const FEATURED_IMAGES_DIR = path.join(__dirname, '../uploads/featured-images');
+const FEATURED_IMAGES_DIR = getLocalDir(STORAGE_AREAS.FEATURED_IMAGES);
 
 // Ensure directories exist
 if (!fs.existsSync(ARTICLES_DIR)) {
@@ -31,6 +36,41 @@ const CACHE_KEYS = {
   CATEGORIES: 'article-categories:'
 };
 
+/**
+ * Work out status, isPublished and publishAt from the status and publishAt fields.
+ * A publishAt date schedules the article; cancelling it turns a scheduled article into a draft.
+ * @param {Object} body - Request body
+ * @param {Object} [article] - Article being updated
+ * @returns {Object|null} - Fields to set (publishAt null when it is removed), or null when neither field was sent
+ */
+const resolvePublishing = (body, article) => {
+  const publishAt = parsePublishAt(body.publishAt);
+  if (publishAt === undefined && !body.status) return null;
+
+  if (publishAt && body.status && body.status !== 'scheduled') {
+    throw new AppError('publishAt can only be combined with status "scheduled"', 400);
+  }
+
+  let status = body.status;
+  if (publishAt) {
+    status = 'scheduled';
+  } else if (!status) {
+    status = article && article.status !== 'scheduled' ? article.status : 'draft';
+  }
+
+  // Keeping status "scheduled" without a new date keeps the current date
+  const scheduledAt = publishAt || (publishAt === undefined && article ? article.publishAt : null);
+  if (status === 'scheduled' && !scheduledAt) {
+    throw new AppError('Scheduled articles need a publishAt date', 400);
+  }
+
+  return {
+    status,
+    isPublished: status === 'published',
+    publishAt: status === 'scheduled' ? scheduledAt : null
+  };
+};
+
 /**
  * Upload a new article with optional featured image
  * @route POST /api/articles/upload
@@ -42,6 +82,8 @@ export const uploadArticle = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide title and content for the article', 400));
   }
 
+  const publishing = resolvePublishing(req.body) || { status: 'draft', isPublished: false, publishAt: null };
+
   // Create article object
   const articleData = {
     title: req.body.title,
@@ -50,8 +92,9 @@ export const uploadArticle = catchAsync(async (req, res, next) => {
     summary: req.body.summary,
     tags: req.body.tags ? JSON.parse(req.body.tags) : [],
     categories: req.body.categories ? JSON.parse(req.body.categories) : [],
-    status: req.body.status || 'draft',
-    isPublished: req.body.status === 'published'
+    status: publishing.status,
+    isPublished: publishing.isPublished,
+    publishAt: publishing.publishAt || undefined
   };
 
   // If related video is provided, add it
@@ -59,9 +102,9 @@ export const uploadArticle = catchAsync(async (req, res, next) => {
     articleData.relatedVideo = req.body.relatedVideo;
   }
 
-  // If featured image was uploaded, add the path
+  // If featured image was uploaded, store it
   if (req.file) {
-    articleData.featuredImage = req.file.filename;
+    articleData.featuredImage = await storeFile(STORAGE_AREAS.FEATURED_IMAGES, req.file.path);
   }
 
   // Create the article
@@ -160,27 +203,37 @@ export const getArticle = catchAsync(async (req, res, next) => {
   // Try to get cached article
   const cachedArticle = await getCache(cacheKey);
   if (cachedArticle) {
+    if (cachedArticle.data.article.status === 'published') {
+      await recordView({ req, contentType: 'Article', content: cachedArticle.data.article });
+    }
     return res.json(cachedArticle);
   }
   
   // Find article
   const article = await Article.findById(req.params.id)
     .populate('author', 'name username profilePicture')
-    .populate('relatedVideo', 'title thumbnail videoFile');
+    .populate('relatedVideo', 'title thumbnail videoFile creator isPublished visibility');
   
   if (!article) {
     return next(new AppError('Article not found', 404));
   }
   
+  // The article is readable, but its video may not be
+  const relatedVideo = article.relatedVideo;
+  if (relatedVideo && !(await canViewVideo(relatedVideo, req.user))) {
+    article.relatedVideo = undefined;
+  }
+  
   // If article is not published and user is not the author, return error
   if (article.status !== 'published' && 
       (!req.user || req.user.id !== article.author._id.toString())) {
     return next(new AppError('This article is not available', 403));
   }
   
-  // Increment view count
-  article.viewCount += 1;
-  await article.save({ validateBeforeSave: false });
+  // Count the view once per viewer; the counter is updated in the background
+  if (article.status === 'published') {
+    await recordView({ req, contentType: 'Article', content: article });
+  }
   
   const result = {
     status: 'success',
@@ -189,8 +242,11 @@ export const getArticle = catchAsync(async (req, res, next) => {
     }
   };
   
-  // Cache the result
-  await setCache(cacheKey, result, 3600); // Cache for 1 hour
+  // Only published articles are cached, as cached responses are served to everyone,
+  // and only when everyone may see the related video
+  if (article.status === 'published' && (!relatedVideo || isViewableByLink(relatedVideo))) {
+    await setCache(cacheKey, result, 3600); // Cache for 1 hour
+  }
   
   res.json(result);
 });
@@ -278,23 +334,26 @@ export const updateArticle = catchAsync(async (req, res, next) => {
   if (req.body.summary) updateData.summary = req.body.summary;
   if (req.body.tags) updateData.tags = JSON.parse(req.body.tags);
   if (req.body.categories) updateData.categories = JSON.parse(req.body.categories);
-  if (req.body.status) {
-    updateData.status = req.body.status;
-    updateData.isPublished = req.body.status === 'published';
+  const publishing = resolvePublishing(req.body, article);
+  if (publishing) {
+    updateData.status = publishing.status;
+    updateData.isPublished = publishing.isPublished;
+    // The author's choice replaces publishing along with the video
+    updateData.$unset = { publishWithVideo: 1 };
+    if (publishing.publishAt) {
+      updateData.publishAt = publishing.publishAt;
+    } else {
+      updateData.$unset.publishAt = 1;
+    }
   }
   if (req.body.relatedVideo) updateData.relatedVideo = req.body.relatedVideo;
   
   // If new featured image was uploaded
   if (req.file) {
     // Delete old featured image if exists
-    if (article.featuredImage) {
-      const oldImagePath = path.join(FEATURED_IMAGES_DIR, article.featuredImage);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-      }
-    }
+    await removeStoredFile(STORAGE_AREAS.FEATURED_IMAGES, article.featuredImage);
     
-    updateData.featuredImage = req.file.filename;
+    updateData.featuredImage = await storeFile(STORAGE_AREAS.FEATURED_IMAGES, req.file.path);
   }
   
   // Update the article
@@ -340,12 +399,7 @@ export const deleteArticle = catchAsync(async (req, res, next) => {
   }
   
   // Delete featured image if exists
-  if (article.featuredImage) {
-    const imagePath = path.join(FEATURED_IMAGES_DIR, article.featuredImage);
-    if (fs.existsSync(imagePath)) {
-      fs.unlinkSync(imagePath);
-    }
-  }
+  await removeStoredFile(STORAGE_AREAS.FEATURED_IMAGES, article.featuredImage);
   
   // Delete the article
   await Article.findByIdAndDelete(req.params.id);
@@ -407,7 +461,16 @@ export const getArticleByVideoId = async (req, res) => {
     const article = await Article.findOne({ relatedVideo: videoId })
                                  .populate('author', 'name profilePicture');
 
-    if (!article) {
+    // Drafts and scheduled articles are only shown to their author, and articles
+    // only to those who may watch the video
+    const isAuthor = article && req.user && req.user.id === article.author._id.toString();
+    const video = article && !isAuthor
+      ? await Video.findById(videoId).select('creator isPublished visibility')
+      : null;
+    const canRead = isAuthor || (
+      article && article.status === 'published' && video && await canViewVideo(video, req.user)
+    );
+    if (!canRead) {
       return res.status(404).json({
         status: 'error',
         message: 'No article found for this video'
@@ -0,0 +1,517 @@
+import mongoose from 'mongoose';
+import BookmarkCollection from '../models/bookmarkCollectionModel.js';
+import Bookmark from '../models/bookmarkModel.js';
+import Video from '../models/videoModel.js';
+import User from '../models/userModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { parseBooleanField } from '../services/videoUploadService.js';
+import {
+  DEFAULT_COLLECTION_NAME,
+  COLLECTION_VISIBILITIES,
+  generateShareToken,
+  findOrCreateCollection,
+  moveBookmarksToCollection,
+  ensureCollectionsMigrated,
+  countCollectionBookmarks,
+  clearBookmarkCaches
+} from '../services/bookmarkCollectionService.js';
+import { getLinkViewableVideoFilter } from '../services/videoVisibilityService.js';
+
+// Most collections a user can have
+const MAX_COLLECTIONS = 200;
+
+// Fields of the video returned with bookmarks
+const BOOKMARK_VIDEO_POPULATE = {
+  path: 'video',
+  select: 'title thumbnail duration views creator isPublished createdAt',
+  populate: { path: 'creator', select: 'name profilePicture handle' }
+};
+
+/**
+ * Populate options of a collection's cover video. Others only see a cover
+ * anyone with the link may watch, so a private bookmark is not revealed by it.
+ * @param {boolean} isOwner - Whether the owner is reading the collection
+ * @returns {Object}
+ */
+const getCoverPopulate = (isOwner) => ({
+  path: 'coverVideo',
+  select: 'thumbnail',
+  ...(!isOwner && { match: getLinkViewableVideoFilter() })
+});
+
+/**
+ * Validate an ID route or body parameter
+ * @param {string} id - Value to check
+ * @param {string} label - Name used in the error message
+ */
+const assertValidId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(`Invalid ${label} ID format`, 400);
+  }
+};
+
+/**
+ * Load one of the current user's collections by ID
+ * @param {Object} req - Express request object
+ * @param {string} [id] - Collection ID, defaults to the :id route parameter
+ * @returns {Promise<Object>} - Collection document
+ */
+const findOwnedCollection = async (req, id = req.params.id) => {
+  assertValidId(id, 'collection');
+
+  const collection = await BookmarkCollection.findOne({ _id: id, user: req.user._id });
+  if (!collection) {
+    throw new AppError('No collection found with that ID', 404);
+  }
+
+  return collection;
+};
+
+/**
+ * Validate the name, description and visibility fields of a create or update request
+ * @param {Object} body - Request body
+ * @returns {Object} - Fields to set
+ */
+const parseCollectionFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new AppError('Name is required', 400);
+    }
+    if (body.name.trim().length > 100) {
+      throw new AppError('Name cannot be more than 100 characters', 400);
+    }
+    fields.name = body.name.trim();
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > 500) {
+      throw new AppError('Description must be text of at most 500 characters', 400);
+    }
+    fields.description = body.description;
+  }
+  if (body.visibility !== undefined) {
+    if (!COLLECTION_VISIBILITIES.includes(body.visibility)) {
+      throw new AppError(`visibility must be one of ${COLLECTION_VISIBILITIES.join(', ')}`, 400);
+    }
+    fields.visibility = body.visibility;
+  }
+
+  return fields;
+};
+
+/**
+ * Keep the share token in line with the visibility: private collections have
+ * no link, and making a collection shareable again issues a new one
+ * @param {Object} collection - Collection document
+ */
+const syncShareToken = (collection) => {
+  if (collection.visibility === 'private') {
+    collection.shareToken = undefined;
+  } else if (!collection.shareToken) {
+    collection.shareToken = generateShareToken();
+  }
+};
+
+/**
+ * Shape a collection for responses
+ * @param {Object} collection - Collection document or lean object, with coverVideo populated
+ * @param {number} bookmarkCount - Number of bookmarks in the collection
+ * @param {boolean} isOwner - Whether the share token may be included
+ * @returns {Object}
+ */
+const formatCollection = (collection, bookmarkCount, isOwner) => {
+  const result = typeof collection.toObject === 'function' ? collection.toObject() : { ...collection };
+  result.bookmarkCount = bookmarkCount;
+  result.cover = result.coverVideo?.thumbnail || null;
+  if (!isOwner) {
+    delete result.shareToken;
+  }
+  return result;
+};
+
+/**
+ * Load a page of a collection's bookmarks in collection order
+ * @param {Object} collection - Collection document
+ * @param {Object} query - Express query object
+ * @param {boolean} isOwner - Owners also see notes and unpublished or restricted videos
+ * @returns {Promise<Object>} - Bookmarks and pagination
+ */
+const getCollectionBookmarks = async (collection, query, isOwner) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(query.limit) || 20));
+  const skip = (page - 1) * limit;
+
+  const filter = { bookmarkCollection: collection._id };
+  if (!isOwner) {
+    // Others only see videos that are still published and open to anyone with the link
+    const videoIds = await Bookmark.find(filter).distinct('video');
+    filter.video = { $in: await Video.find({ _id: { $in: videoIds }, ...getLinkViewableVideoFilter() }).distinct('_id') };
+  }
+
+  const [bookmarks, total] = await Promise.all([
+    Bookmark.find(filter)
+      .sort({ position: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(isOwner ? '-user' : '-user -notes')
+      .populate(BOOKMARK_VIDEO_POPULATE)
+      .lean(),
+    Bookmark.countDocuments(filter)
+  ]);
+
+  return {
+    bookmarks: bookmarks.filter(bookmark => bookmark.video),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total
+    }
+  };
+};
+
+/**
+ * Create a bookmark collection
+ * @route POST /api/bookmark-collections
+ * @access Private
+ * @body {string} name
+ * @body {string} [description]
+ * @body {string} [visibility] - private (default), unlisted or public
+ */
+export const createCollection = catchAsync(async (req, res, next) => {
+  const fields = parseCollectionFields(req.body);
+  if (!fields.name) {
+    return next(new AppError('Name is required', 400));
+  }
+
+  const existingCount = await BookmarkCollection.countDocuments({ user: req.user._id });
+  if (existingCount >= MAX_COLLECTIONS) {
+    return next(new AppError(`You can have at most ${MAX_COLLECTIONS} collections`, 400));
+  }
+  if (await BookmarkCollection.exists({ user: req.user._id, name: fields.name })) {
+    return next(new AppError('You already have a collection with that name', 409));
+  }
+
+  const collection = new BookmarkCollection({
+    ...fields,
+    user: req.user._id,
+    position: existingCount
+  });
+  syncShareToken(collection);
+  await collection.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      collection: formatCollection(collection, 0, true)
+    }
+  });
+});
+
+/**
+ * List the current user's collections in their order, or another user's public collections
+ * @route GET /api/bookmark-collections
+ * @access Private
+ * @query {string} [user] - User ID whose public collections to list
+ */
+export const getCollections = catchAsync(async (req, res) => {
+  const ownerId = req.query.user || req.user._id.toString();
+  assertValidId(ownerId, 'user');
+  const isOwner = ownerId === req.user._id.toString();
+
+  if (isOwner) {
+    await ensureCollectionsMigrated(req.user._id);
+  }
+
+  const filter = { user: ownerId };
+  if (!isOwner) filter.visibility = 'public';
+
+  const collections = await BookmarkCollection.find(filter)
+    .sort({ position: 1, createdAt: 1 })
+    .populate(getCoverPopulate(isOwner))
+    .lean();
+  const counts = await countCollectionBookmarks(collections.map(collection => collection._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collections: collections.map(collection => formatCollection(
+        collection,
+        counts.get(collection._id.toString()) || 0,
+        isOwner
+      ))
+    }
+  });
+});
+
+/**
+ * Get a collection with its bookmarks. Public collections can be read by anyone.
+ * @route GET /api/bookmark-collections/:id
+ * @access Public (owners also see private and unlisted collections)
+ */
+export const getCollection = catchAsync(async (req, res, next) => {
+  assertValidId(req.params.id, 'collection');
+
+  const collection = await BookmarkCollection.findById(req.params.id);
+  const isOwner = Boolean(req.user) && Boolean(collection) && collection.user.toString() === req.user._id.toString();
+  // Unlisted collections are only reachable through their share link
+  if (!collection || (!isOwner && collection.visibility !== 'public')) {
+    return next(new AppError('No collection found with that ID', 404));
+  }
+  await collection.populate(getCoverPopulate(isOwner));
+
+  const { bookmarks, pagination } = await getCollectionBookmarks(collection, req.query, isOwner);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection: formatCollection(collection, pagination.total, isOwner),
+      bookmarks,
+      pagination
+    }
+  });
+});
+
+/**
+ * Read a shared collection through its link
+ * @route GET /api/bookmark-collections/shared/:token
+ * @access Public
+ */
+export const getSharedCollection = catchAsync(async (req, res, next) => {
+  const collection = await BookmarkCollection.findOne({
+    shareToken: String(req.params.token),
+    visibility: { $ne: 'private' }
+  }).populate(getCoverPopulate(false));
+  if (!collection) {
+    return next(new AppError('This link is invalid or no longer shared', 404));
+  }
+
+  const [{ bookmarks, pagination }, owner] = await Promise.all([
+    getCollectionBookmarks(collection, req.query, false),
+    User.findById(collection.user).select('name profilePicture handle').lean()
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection: { ...formatCollection(collection, pagination.total, false), user: owner },
+      bookmarks,
+      pagination
+    }
+  });
+});
+
+/**
+ * Rename a collection or change its description, visibility or cover
+ * @route PATCH /api/bookmark-collections/:id
+ * @access Private
+ * @body {string} [name]
+ * @body {string} [description]
+ * @body {string} [visibility] - private, unlisted or public
+ * @body {string|null} [coverVideo] - Bookmarked video of the collection, or null to clear it
+ */
+export const updateCollection = catchAsync(async (req, res, next) => {
+  const collection = await findOwnedCollection(req);
+  const fields = parseCollectionFields(req.body);
+
+  if (fields.name && fields.name !== collection.name
+    && await BookmarkCollection.exists({ user: req.user._id, name: fields.name })) {
+    return next(new AppError('You already have a collection with that name', 409));
+  }
+
+  if (req.body.coverVideo !== undefined) {
+    if (req.body.coverVideo === null || req.body.coverVideo === '') {
+      collection.coverVideo = undefined;
+    } else {
+      assertValidId(req.body.coverVideo, 'video');
+      const inCollection = await Bookmark.exists({ bookmarkCollection: collection._id, video: req.body.coverVideo });
+      if (!inCollection) {
+        return next(new AppError('The cover must be a video of the collection', 400));
+      }
+      collection.coverVideo = req.body.coverVideo;
+    }
+  }
+
+  const renamed = fields.name && fields.name !== collection.name;
+  collection.set(fields);
+  syncShareToken(collection);
+  await collection.save();
+
+  // Bookmarks keep the collection name for clients that still filter by it
+  if (renamed) {
+    await Bookmark.updateMany({ bookmarkCollection: collection._id }, { collectionName: collection.name });
+  }
+
+  await collection.populate('coverVideo', 'thumbnail');
+  const bookmarkCount = await Bookmark.countDocuments({ bookmarkCollection: collection._id });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection: formatCollection(collection, bookmarkCount, true)
+    }
+  });
+});
+
+/**
+ * Delete a collection. Its bookmarks move to another collection (the default
+ * one unless ?moveTo= is given) or are deleted with ?deleteBookmarks=true.
+ * @route DELETE /api/bookmark-collections/:id
+ * @access Private
+ * @query {string} [moveTo] - Collection receiving the bookmarks
+ * @query {boolean} [deleteBookmarks] - Delete the bookmarks instead
+ */
+export const deleteCollection = catchAsync(async (req, res, next) => {
+  const collection = await findOwnedCollection(req);
+  const bookmarks = await Bookmark.find({ bookmarkCollection: collection._id })
+    .sort({ position: 1, createdAt: -1 })
+    .select('video')
+    .lean();
+
+  if (bookmarks.length > 0) {
+    if (parseBooleanField(req.query.deleteBookmarks, false)) {
+      await Bookmark.deleteMany({ bookmarkCollection: collection._id });
+      await clearBookmarkCaches(req.user._id, bookmarks.map(bookmark => bookmark.video));
+    } else {
+      let target;
+      if (req.query.moveTo) {
+        target = await findOwnedCollection(req, req.query.moveTo);
+      } else if (collection.name !== DEFAULT_COLLECTION_NAME) {
+        target = await findOrCreateCollection(req.user._id);
+      }
+
+      if (!target || target._id.equals(collection._id)) {
+        return next(new AppError('Choose a collection for its bookmarks with ?moveTo= or delete them with ?deleteBookmarks=true', 400));
+      }
+      await moveBookmarksToCollection(bookmarks.map(bookmark => bookmark._id), target);
+    }
+  }
+
+  await BookmarkCollection.deleteOne({ _id: collection._id });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Set the order of the current user's collections
+ * @route PUT /api/bookmark-collections/order
+ * @access Private
+ * @body {Array<string>} collectionIds - Every collection ID in the new order
+ */
+export const reorderCollections = catchAsync(async (req, res, next) => {
+  const { collectionIds } = req.body;
+
+  const current = (await BookmarkCollection.find({ user: req.user._id }).distinct('_id'))
+    .map(id => id.toString())
+    .sort();
+  const requested = Array.isArray(collectionIds) ? collectionIds.map(String) : [];
+  const sameCollections = requested.length === current.length
+    && [...requested].sort().every((id, index) => id === current[index]);
+
+  if (!sameCollections) {
+    return next(new AppError('collectionIds must list every collection exactly once', 400));
+  }
+
+  await BookmarkCollection.bulkWrite(requested.map((id, position) => ({
+    updateOne: { filter: { _id: id, user: req.user._id }, update: { position } }
+  })));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collectionIds: requested
+    }
+  });
+});
+
+/**
+ * Set the order of the bookmarks in a collection
+ * @route PUT /api/bookmark-collections/:id/bookmarks
+ * @access Private
+ * @body {Array<string>} bookmarkIds - Every bookmark ID of the collection in the new order
+ */
+export const reorderCollectionBookmarks = catchAsync(async (req, res, next) => {
+  const collection = await findOwnedCollection(req);
+  const { bookmarkIds } = req.body;
+
+  const current = (await Bookmark.find({ bookmarkCollection: collection._id }).distinct('_id'))
+    .map(id => id.toString())
+    .sort();
+  const requested = Array.isArray(bookmarkIds) ? bookmarkIds.map(String) : [];
+  const sameBookmarks = requested.length === current.length
+    && [...requested].sort().every((id, index) => id === current[index]);
+
+  if (!sameBookmarks) {
+    return next(new AppError('bookmarkIds must list every bookmark of the collection exactly once', 400));
+  }
+
+  await Bookmark.bulkWrite(requested.map((id, position) => ({
+    updateOne: { filter: { _id: id, bookmarkCollection: collection._id }, update: { position } }
+  })));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bookmarkIds: requested
+    }
+  });
+});
+
+/**
+ * Move bookmarks from any of the current user's collections into this one
+ * @route POST /api/bookmark-collections/:id/bookmarks
+ * @access Private
+ * @body {Array<string>} bookmarkIds - Bookmarks to move, added on top in this order
+ */
+export const moveBookmarks = catchAsync(async (req, res, next) => {
+  const collection = await findOwnedCollection(req);
+  const { bookmarkIds } = req.body;
+
+  if (!Array.isArray(bookmarkIds) || bookmarkIds.length === 0) {
+    return next(new AppError('bookmarkIds must be a non-empty list of bookmark IDs', 400));
+  }
+  const uniqueIds = [...new Set(bookmarkIds.map(String))];
+  uniqueIds.forEach(id => assertValidId(id, 'bookmark'));
+
+  const owned = await Bookmark.countDocuments({ _id: { $in: uniqueIds }, user: req.user._id });
+  if (owned !== uniqueIds.length) {
+    return next(new AppError('Some bookmarks were not found', 404));
+  }
+
+  await moveBookmarksToCollection(uniqueIds, collection);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection: collection._id,
+      moved: uniqueIds.length
+    }
+  });
+});
+
+/**
+ * Replace the share link of a collection, so the previous link stops working
+ * @route POST /api/bookmark-collections/:id/share-link
+ * @access Private
+ */
+export const regenerateShareLink = catchAsync(async (req, res, next) => {
+  const collection = await findOwnedCollection(req);
+
+  if (collection.visibility === 'private') {
+    return next(new AppError('Make the collection unlisted or public to share it', 400));
+  }
+
+  collection.shareToken = generateShareToken();
+  await collection.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      shareToken: collection.shareToken
+    }
+  });
+});
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Video from '../models/videoModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { parseBooleanField } from '../services/videoUploadService.js';
+import { clearVideoCaches } from '../services/videoCleanupService.js';
+import {
+  CAPTION_CONTENT_TYPES,
+  normalizeLanguage,
+  convertCaptions,
+  parseCaptions,
+  serializeSrt,
+  saveCaptionTrack,
+  getCaptionPath,
+  removeCaptionFile
+} from '../services/captionService.js';
+import { isTranscriptionEnabled } from '../services/transcriptionService.js';
+import { enqueueTranscription } from '../services/videoProcessingJobs.js';
+import { canViewVideo } from '../services/videoVisibilityService.js';
+
+/**
+ * Check whether the current user owns a video or is an admin
+ * @param {Object} req - Express request object
+ * @param {Object} video - Video document
+ * @returns {boolean}
+ */
+const canManage = (req, video) => Boolean(req.user) && (
+  video.creator.toString() === req.user._id.toString() || req.user.role === 'admin'
+);
+
+/**
+ * Load a video by the :id route parameter. Unpublished and private videos are
+ * only visible to their creator and admins, followers-only videos to followers too.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Video document
+ */
+const findVideo = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+
+  const video = await Video.findById(req.params.id).select('creator duration isPublished visibility captions transcript');
+  if (!video || !(await canViewVideo(video, req.user))) {
+    throw new AppError('No video found with that ID', 404);
+  }
+
+  return video;
+};
+
+/**
+ * Load a video the current user may add captions to
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Video document
+ */
+const findOwnedVideo = async (req) => {
+  const video = await findVideo(req);
+
+  if (!canManage(req, video)) {
+    throw new AppError('You are not authorized to manage captions of this video', 403);
+  }
+
+  return video;
+};
+
+/**
+ * Find a caption track of a video by the :language route parameter
+ * @param {Object} video - Video document
+ * @param {string} language - Route parameter
+ * @returns {Object} - Caption track
+ */
+const findTrack = (video, language) => {
+  const track = video.captions.find(item => item.language === normalizeLanguage(language));
+  if (!track) {
+    throw new AppError('No captions found for that language', 404);
+  }
+  return track;
+};
+
+/**
+ * Upload a WebVTT or SRT caption file for a language. SRT files are
+ * converted to WebVTT; an existing track of the same language is replaced.
+ * @route POST /api/videos/:id/captions
+ * @access Private (creator or admin)
+ * @body {File} caption - .vtt or .srt file
+ * @body {string} language - Language tag such as "en" or "pt-BR"
+ * @body {string} [label] - Name shown in the player, defaults to the language name
+ * @body {boolean} [isDefault] - Show this track by default
+ */
+export const uploadCaptions = catchAsync(async (req, res, next) => {
+  const video = await findOwnedVideo(req);
+
+  if (!req.file) {
+    return next(new AppError('No caption file uploaded', 400));
+  }
+  const language = normalizeLanguage(req.body.language);
+  if (req.body.label !== undefined && (typeof req.body.label !== 'string' || req.body.label.length > 50)) {
+    return next(new AppError('label must be text of at most 50 characters', 400));
+  }
+
+  const { vtt, format, cueCount } = convertCaptions(req.file.buffer.toString('utf8'), {
+    fileName: req.file.originalname,
+    duration: video.duration || 0
+  });
+
+  const existed = video.captions.some(track => track.language === language);
+  const track = await saveCaptionTrack(video, {
+    language,
+    label: req.body.label?.trim(),
+    isDefault: req.body.isDefault === undefined ? undefined : parseBooleanField(req.body.isDefault, false),
+    vtt,
+    sourceFormat: format,
+    cueCount
+  });
+
+  await clearVideoCaches(video._id);
+
+  res.status(existed ? 200 : 201).json({
+    status: 'success',
+    data: {
+      caption: track
+    }
+  });
+});
+
+/**
+ * List the caption tracks of a video
+ * @route GET /api/videos/:id/captions
+ * @access Public
+ */
+export const getCaptions = catchAsync(async (req, res) => {
+  const video = await findVideo(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      captions: video.captions
+    }
+  });
+});
+
+/**
+ * Serve a caption track as WebVTT, or as SRT with ?format=srt
+ * @route GET /api/videos/:id/captions/:language
+ * @access Public
+ */
+export const getCaptionTrack = catchAsync(async (req, res, next) => {
+  const video = await findVideo(req);
+  const track = findTrack(video, req.params.language);
+  const format = req.query.format || 'vtt';
+
+  if (!CAPTION_CONTENT_TYPES[format]) {
+    return next(new AppError('format must be vtt or srt', 400));
+  }
+
+  const filePath = getCaptionPath(video._id, track.fileName);
+  if (!fs.existsSync(filePath)) {
+    return next(new AppError('Caption file not found', 404));
+  }
+
+  res.set({
+    'Content-Type': CAPTION_CONTENT_TYPES[format],
+    // Tracks can be replaced, so players revalidate them
+    'Cache-Control': 'no-cache',
+    'Content-Disposition': `inline; filename="${video._id}.${track.language}.${format}"`
+  });
+
+  if (format === 'vtt') {
+    return res.sendFile(filePath);
+  }
+
+  const { cues } = parseCaptions(await fs.promises.readFile(filePath, 'utf8'), 'vtt');
+  res.send(serializeSrt(cues));
+});
+
+/**
+ * Delete a caption track
+ * @route DELETE /api/videos/:id/captions/:language
+ * @access Private (creator or admin)
+ */
+export const deleteCaptionTrack = catchAsync(async (req, res) => {
+  const video = await findOwnedVideo(req);
+  const track = findTrack(video, req.params.language);
+
+  video.captions = video.captions.filter(item => item.language !== track.language);
+  await video.save();
+  removeCaptionFile(video._id, track.fileName);
+
+  await clearVideoCaches(video._id);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Get the transcript of a video
+ * @route GET /api/videos/:id/transcript
+ * @access Public
+ */
+export const getTranscript = catchAsync(async (req, res) => {
+  const video = await findVideo(req);
+  const { transcript = {} } = await Video.findById(video._id).select('transcript +transcript.text').lean();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transcript: {
+        status: transcript.status || 'none',
+        provider: transcript.provider,
+        language: transcript.language,
+        text: transcript.text || null,
+        error: transcript.error,
+        completedAt: transcript.completedAt
+      }
+    }
+  });
+});
+
+/**
+ * Transcribe a video again, for example after a failure or a provider change.
+ * The auto-generated caption track is replaced; uploaded tracks are kept.
+ * @route POST /api/videos/:id/transcript
+ * @access Private (creator or admin)
+ */
+export const requestTranscription = catchAsync(async (req, res, next) => {
+  const video = await findOwnedVideo(req);
+
+  if (!isTranscriptionEnabled()) {
+    return next(new AppError('Transcription is not configured on this server', 503));
+  }
+  if (['pending', 'processing'].includes(video.transcript.status)) {
+    return next(new AppError('The video is already being transcribed', 409));
+  }
+
+  const job = await enqueueTranscription(video);
+
+  res.status(202).json({
+    status: 'success',
+    data: {
+      job: {
+        id: job._id,
+        type: job.type,
+        status: job.status
+      }
+    }
+  });
+});
@@ -5,8 +5,21 @@ import User from '../models/userModel.js';
 import Video from '../models/videoModel.js';
 import Article from '../models/articleModel.js';
 import { createError } from '../utils/errorMessage.js';
+import { clearViewerCaches, canViewVideo } from '../services/videoVisibilityService.js';
 import mongoose from 'mongoose';
 
+/**
+ * Check whether a user may watch a video. Videos they cannot watch are
+ * treated as missing, so likes, comments and comment listings do not reveal them.
+ * @param {string} videoId - Video ID
+ * @param {Object|null} user - Authenticated user
+ * @returns {Promise<boolean>}
+ */
+const isViewableVideo = async (videoId, user) => {
+  const video = await Video.findById(videoId).select('creator isPublished visibility');
+  return Boolean(video) && canViewVideo(video, user);
+};
+
 // Like Controllers
 export const toggleLike = async (req, res, next) => {
   try {
@@ -17,11 +30,13 @@ export const toggleLike = async (req, res, next) => {
     let contentExists = false;
     
     if (contentType === 'Video') {
-      contentExists = await Video.exists({ _id: contentId });
+      contentExists = await isViewableVideo(contentId, req.user);
     } else if (contentType === 'Article') {
       contentExists = await Article.exists({ _id: contentId });
     } else if (contentType === 'Comment') {
-      contentExists = await Comment.exists({ _id: contentId });
+      const comment = await Comment.findById(contentId).select('content contentType');
+      contentExists = Boolean(comment) &&
+        (comment.contentType !== 'Video' || await isViewableVideo(comment.content, req.user));
     }
     
     if (!contentExists) {
@@ -78,7 +93,7 @@ export const createComment = async (req, res, next) => {
     let contentExists = false;
     
     if (contentType === 'Video') {
-      contentExists = await Video.exists({ _id: contentId });
+      contentExists = await isViewableVideo(contentId, req.user);
     } else if (contentType === 'Article') {
       contentExists = await Article.exists({ _id: contentId });
     }
@@ -203,6 +218,10 @@ export const getComments = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    if (contentType === 'Video' && !(await isViewableVideo(contentId, req.user))) {
+      return next(createError(404, 'Video not found'));
+    }
+
     const comments = await Comment.find({
       content: contentId,
       contentType,
@@ -271,6 +290,7 @@ export const toggleFollow = async (req, res, next) => {
         { _id: userId },
         { $inc: { 'stats.following': -1 } }
       );
+      await clearViewerCaches(userId);
 
       // Emit socket event for unfollow
       if (req.io) {
@@ -298,6 +318,7 @@ export const toggleFollow = async (req, res, next) => {
       { _id: userId },
       { $inc: { 'stats.following': 1 } }
     );
+    await clearViewerCaches(userId);
 
     // Emit socket event for new follow
     if (req.io) {
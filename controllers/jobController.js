@@ -0,0 +1,34 @@
+import Job from '../models/jobModel.js';
+import mongoose from 'mongoose';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Get the status of a background job
+ * @route GET /api/jobs/:id
+ * @access Private (job owner or admin)
+ */
+export const getJobStatus = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Invalid job ID format', 400));
+  }
+
+  const job = await Job.findById(req.params.id)
+    .select('type status attempts maxAttempts runAt lastError result owner video createdAt updatedAt completedAt');
+
+  if (!job) {
+    return next(new AppError('Job not found', 404));
+  }
+
+  const isOwner = job.owner && job.owner.toString() === req.user._id.toString();
+  if (!isOwner && req.user.role !== 'admin') {
+    return next(new AppError('You are not authorized to view this job', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      job
+    }
+  });
+});
@@ -0,0 +1,428 @@
+import mongoose from 'mongoose';
+import Playlist from '../models/playlistModel.js';
+import PlaylistFollow from '../models/playlistFollowModel.js';
+import Video from '../models/videoModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { parseBooleanField } from '../services/videoUploadService.js';
+import { clearPlaylistVideoCaches, notifyPlaylistFollowers } from '../services/playlistService.js';
+import { filterViewableVideos, isViewableByLink } from '../services/videoVisibilityService.js';
+
+// Most videos a playlist can hold
+const MAX_PLAYLIST_VIDEOS = 500;
+
+/**
+ * Check whether the current user may modify a playlist
+ * @param {Object} req - Express request object
+ * @param {Object} playlist - Playlist document
+ * @returns {boolean}
+ */
+const canManage = (req, playlist) => Boolean(req.user) && (
+  playlist.creator.toString() === req.user._id.toString() || req.user.role === 'admin'
+);
+
+/**
+ * Load a playlist by the :id route parameter
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Playlist document
+ */
+const findPlaylist = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid playlist ID format', 400);
+  }
+
+  const playlist = await Playlist.findById(req.params.id);
+  // Private playlists are hidden from everyone but their owner
+  if (!playlist || (!playlist.isPublic && !canManage(req, playlist))) {
+    throw new AppError('No playlist found with that ID', 404);
+  }
+
+  return playlist;
+};
+
+/**
+ * Load a playlist the current user may modify (its creator or an admin)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - Playlist document
+ */
+const findOwnedPlaylist = async (req) => {
+  const playlist = await findPlaylist(req);
+
+  if (!canManage(req, playlist)) {
+    throw new AppError('You are not authorized to modify this playlist', 403);
+  }
+
+  return playlist;
+};
+
+/**
+ * Check that videos can be added to a playlist: they must exist, the user
+ * must be allowed to watch them and, for a series, belong to the playlist's creator
+ * @param {Object} playlist - Playlist document
+ * @param {Array<string>} videoIds - Videos to add
+ * @param {Object} user - User adding the videos
+ * @returns {Promise<Array<Object>>} - Video documents in the given order
+ */
+const loadPlaylistVideos = async (playlist, videoIds, user) => {
+  if (videoIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+
+  const videos = await Video.find({ _id: { $in: videoIds } }).select('title thumbnail creator isPublished visibility');
+  // Videos the user may not watch are reported as missing, so IDs cannot be probed
+  const viewable = await filterViewableVideos(videos, user);
+  const videosById = new Map(viewable.map(video => [video._id.toString(), video]));
+
+  return videoIds.map(id => {
+    const video = videosById.get(id.toString());
+    if (!video) {
+      throw new AppError(`No video found with ID ${id}`, 404);
+    }
+    if (playlist.kind === 'series' && video.creator.toString() !== playlist.creator.toString()) {
+      throw new AppError('A series can only contain its creator\'s videos', 400);
+    }
+    return video;
+  });
+};
+
+/**
+ * Create a playlist or series
+ * @route POST /api/playlists
+ * @access Private (creators and admins)
+ * @body {string} title
+ * @body {string} [description]
+ * @body {string} [kind] - playlist (default) or series
+ * @body {boolean} [isPublic] - Defaults to true
+ * @body {Array<string>} [videos] - Video IDs in order
+ */
+export const createPlaylist = catchAsync(async (req, res, next) => {
+  const { title, description, kind = 'playlist', videos = [] } = req.body;
+
+  if (!title || !String(title).trim()) {
+    return next(new AppError('Title is required', 400));
+  }
+  if (!['playlist', 'series'].includes(kind)) {
+    return next(new AppError('kind must be playlist or series', 400));
+  }
+  if (!Array.isArray(videos) || videos.length > MAX_PLAYLIST_VIDEOS) {
+    return next(new AppError(`videos must be a list of at most ${MAX_PLAYLIST_VIDEOS} video IDs`, 400));
+  }
+
+  const playlist = new Playlist({
+    title,
+    description,
+    kind,
+    creator: req.user._id,
+    isPublic: parseBooleanField(req.body.isPublic, true)
+  });
+
+  const uniqueIds = [...new Set(videos.map(String))];
+  playlist.videos = (await loadPlaylistVideos(playlist, uniqueIds, req.user)).map(video => video._id);
+  await playlist.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      playlist
+    }
+  });
+});
+
+/**
+ * List public playlists, optionally of one creator or kind
+ * @route GET /api/playlists
+ * @access Public
+ * @query {string} [creator] - Creator's user ID
+ * @query {string} [kind] - playlist or series
+ */
+export const getPlaylists = catchAsync(async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+  const skip = (page - 1) * limit;
+
+  const filter = { isPublic: true };
+  if (req.query.creator) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.creator)) {
+      return next(new AppError('Invalid creator ID format', 400));
+    }
+    filter.creator = req.query.creator;
+  }
+  if (req.query.kind) {
+    filter.kind = req.query.kind;
+  }
+
+  const [playlists, total] = await Promise.all([
+    Playlist.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-videos')
+      .populate('creator', 'name profilePicture handle')
+      .lean(),
+    Playlist.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      playlists,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    }
+  });
+});
+
+/**
+ * Get a playlist with its videos in order
+ * @route GET /api/playlists/:id
+ * @access Public (private playlists only for their owner)
+ */
+export const getPlaylist = catchAsync(async (req, res) => {
+  const playlist = await findPlaylist(req);
+
+  await playlist.populate([
+    { path: 'creator', select: 'name profilePicture handle' },
+    { path: 'videos', select: 'title thumbnail duration views creator isPublished visibility createdAt' }
+  ]);
+
+  const isFollowing = req.user
+    ? await PlaylistFollow.exists({ user: req.user._id, playlist: playlist._id })
+    : null;
+
+  const result = playlist.toObject();
+  // Deleted videos drop out on populate; everyone, the owner included, only sees the
+  // videos they may watch, and creators can always see their own
+  result.videos = await filterViewableVideos(result.videos, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      playlist: result,
+      isFollowing: Boolean(isFollowing)
+    }
+  });
+});
+
+/**
+ * Update a playlist's details
+ * @route PATCH /api/playlists/:id
+ * @access Private (creator or admin)
+ */
+export const updatePlaylist = catchAsync(async (req, res, next) => {
+  const playlist = await findOwnedPlaylist(req);
+
+  if (req.body.title !== undefined && !String(req.body.title).trim()) {
+    return next(new AppError('Title cannot be empty', 400));
+  }
+
+  if (req.body.title !== undefined) playlist.title = req.body.title;
+  if (req.body.description !== undefined) playlist.description = req.body.description;
+  if (req.body.isPublic !== undefined) playlist.isPublic = parseBooleanField(req.body.isPublic, playlist.isPublic);
+
+  await playlist.save();
+  await clearPlaylistVideoCaches(playlist.videos);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      playlist
+    }
+  });
+});
+
+/**
+ * Delete a playlist and its follows
+ * @route DELETE /api/playlists/:id
+ * @access Private (creator or admin)
+ */
+export const deletePlaylist = catchAsync(async (req, res) => {
+  const playlist = await findOwnedPlaylist(req);
+
+  await Promise.all([
+    Playlist.deleteOne({ _id: playlist._id }),
+    PlaylistFollow.deleteMany({ playlist: playlist._id })
+  ]);
+  await clearPlaylistVideoCaches(playlist.videos);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Add a video to a playlist and notify its followers
+ * @route POST /api/playlists/:id/videos
+ * @access Private (creator or admin)
+ * @body {string} videoId
+ * @body {number} [position] - 1-based position, defaults to the end
+ */
+export const addPlaylistVideo = catchAsync(async (req, res, next) => {
+  const playlist = await findOwnedPlaylist(req);
+  const { videoId } = req.body;
+
+  if (playlist.videos.some(id => id.toString() === String(videoId))) {
+    return next(new AppError('Video is already in this playlist', 409));
+  }
+  if (playlist.videos.length >= MAX_PLAYLIST_VIDEOS) {
+    return next(new AppError(`A playlist can hold at most ${MAX_PLAYLIST_VIDEOS} videos`, 400));
+  }
+
+  const [video] = await loadPlaylistVideos(playlist, [videoId], req.user);
+
+  const position = parseInt(req.body.position, 10);
+  const index = Number.isInteger(position)
+    ? Math.min(Math.max(position - 1, 0), playlist.videos.length)
+    : playlist.videos.length;
+  playlist.videos.splice(index, 0, video._id);
+  await playlist.save();
+  await clearPlaylistVideoCaches(playlist.videos);
+
+  const notified = playlist.isPublic && isViewableByLink(video)
+    ? await notifyPlaylistFollowers(req.io, playlist, video)
+    : 0;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      playlist,
+      notifiedFollowers: notified
+    }
+  });
+});
+
+/**
+ * Remove a video from a playlist
+ * @route DELETE /api/playlists/:id/videos/:videoId
+ * @access Private (creator or admin)
+ */
+export const removePlaylistVideo = catchAsync(async (req, res, next) => {
+  const playlist = await findOwnedPlaylist(req);
+  const index = playlist.videos.findIndex(id => id.toString() === req.params.videoId);
+
+  if (index === -1) {
+    return next(new AppError('Video is not in this playlist', 404));
+  }
+
+  const previousVideos = [...playlist.videos];
+  playlist.videos.splice(index, 1);
+  await playlist.save();
+  await clearPlaylistVideoCaches(previousVideos);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      playlist
+    }
+  });
+});
+
+/**
+ * Reorder the videos of a playlist
+ * @route PUT /api/playlists/:id/videos
+ * @access Private (creator or admin)
+ * @body {Array<string>} videoIds - Every video of the playlist in the new order
+ */
+export const reorderPlaylistVideos = catchAsync(async (req, res, next) => {
+  const playlist = await findOwnedPlaylist(req);
+  const { videoIds } = req.body;
+
+  const current = playlist.videos.map(id => id.toString()).sort();
+  const requested = Array.isArray(videoIds) ? videoIds.map(String) : [];
+  const sameVideos = requested.length === current.length
+    && [...requested].sort().every((id, index) => id === current[index]);
+
+  if (!sameVideos) {
+    return next(new AppError('videoIds must list every video of the playlist exactly once', 400));
+  }
+
+  playlist.videos = requested;
+  await playlist.save();
+  await clearPlaylistVideoCaches(playlist.videos);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      playlist
+    }
+  });
+});
+
+/**
+ * Follow a playlist to be notified of new videos
+ * @route POST /api/playlists/:id/follow
+ * @access Private
+ */
+export const followPlaylist = catchAsync(async (req, res, next) => {
+  const playlist = await findPlaylist(req);
+
+  if (playlist.creator.toString() === req.user._id.toString()) {
+    return next(new AppError('You cannot follow your own playlist', 400));
+  }
+
+  const result = await PlaylistFollow.updateOne(
+    { user: req.user._id, playlist: playlist._id },
+    { $setOnInsert: { user: req.user._id, playlist: playlist._id } },
+    { upsert: true }
+  );
+  if (result.upsertedCount > 0) {
+    await Playlist.updateOne({ _id: playlist._id }, { $inc: { followerCount: 1 } });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      following: true
+    }
+  });
+});
+
+/**
+ * Stop following a playlist
+ * @route DELETE /api/playlists/:id/follow
+ * @access Private
+ */
+export const unfollowPlaylist = catchAsync(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid playlist ID format', 400);
+  }
+
+  const follow = await PlaylistFollow.findOneAndDelete({ user: req.user._id, playlist: req.params.id });
+  if (follow) {
+    await Playlist.updateOne({ _id: req.params.id }, { $inc: { followerCount: -1 } });
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * List the playlists the current user follows
+ * @route GET /api/playlists/user/following
+ * @access Private
+ */
+export const getFollowedPlaylists = catchAsync(async (req, res) => {
+  const follows = await PlaylistFollow.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .populate({
+      path: 'playlist',
+      select: '-videos',
+      populate: { path: 'creator', select: 'name profilePicture handle' }
+    })
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      // Playlists made private since are left out
+      playlists: follows
+        .map(follow => follow.playlist)
+        .filter(playlist => playlist && playlist.isPublic)
+    }
+  });
+});
@@ -1,14 +1,15 @@
 import User from '../models/userModel.js';
 import mongoose from 'mongoose';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { catchAsync } from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
-
-// ES module equivalent of __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { applyBadgeChange } from '../services/badgeService.js';
+import { parseAnalyticsRange } from '../services/videoAnalyticsService.js';
+import {
+  getCreatorAnalytics as buildCreatorAnalytics,
+  CREATOR_ANALYTICS_CSV_COLUMNS
+} from '../services/creatorAnalyticsService.js';
+import { toCsv } from '../utils/csv.js';
+import { STORAGE_AREAS, storeFile, removeStoredFile } from '../services/storageService.js';
 
 /**
  * @desc    Get current user profile
@@ -139,15 +140,11 @@ export const uploadProfilePhoto = async (req, res) => {
     
     // Delete old profile picture if it's not the default one
     if (user.profilePicture !== 'default-profile.png') {
-      const oldPicturePath = path.join(__dirname, '../uploads/profiles', user.profilePicture);
-      
-      if (fs.existsSync(oldPicturePath)) {
-        fs.unlinkSync(oldPicturePath);
-      }
+      await removeStoredFile(STORAGE_AREAS.PROFILES, user.profilePicture);
     }
     
     // Update profile picture path in user document
-    user.profilePicture = req.file.filename;
+    user.profilePicture = await storeFile(STORAGE_AREAS.PROFILES, req.file.path);
     await user.save();
     
     res.status(200).json({
@@ -327,42 +324,43 @@ export const manageBadges = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Check if user is a creator
-    if (user.role !== 'creator') {
-      return res.status(400).json({ error: 'User is not a creator' });
-    }
-    
-    // Initialize badges array if it doesn't exist
-    if (!user.creatorProfile.badges) {
-      user.creatorProfile.badges = [];
-    }
-    
-    // Filter out invalid badges
-    const validBadges = badges.filter(badge => 
-      ['verified', 'trending', 'top-creator', 'rising-star'].includes(badge)
-    );
-    
-    if (action === 'add') {
-      // Add badges not already present
-      validBadges.forEach(badge => {
-        if (!user.creatorProfile.badges.includes(badge)) {
-          user.creatorProfile.badges.push(badge);
-        }
-      });
-    } else if (action === 'remove') {
-      // Remove specified badges
-      user.creatorProfile.badges = user.creatorProfile.badges.filter(
-        badge => !validBadges.includes(badge)
-      );
-    }
-    
-    await user.save();
+    // Rejects users that are not creators with a 400
+    const updatedBadges = await applyBadgeChange(user, action, badges);
     
     res.status(200).json({
       message: `Badges ${action === 'add' ? 'added to' : 'removed from'} creator profile`,
-      badges: user.creatorProfile.badges
+      badges: updatedBadges
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * @desc    Get follower growth, views, engagement and top content of the current creator
+ * @route   GET /api/profile/me/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+ * @access  Private/Creator
+ */
+export const getCreatorAnalytics = catchAsync(async (req, res, next) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return next(new AppError('format must be json or csv', 400));
+  }
+
+  const range = parseAnalyticsRange(req.query);
+  const analytics = await buildCreatorAnalytics(req.user._id, range);
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set(
+      'Content-Disposition',
+      `attachment; filename="analytics-${analytics.range.from}-to-${analytics.range.to}.csv"`
+    );
+    return res.status(200).send(toCsv(CREATOR_ANALYTICS_CSV_COLUMNS, analytics.daily));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: analytics
+  });
+});
@@ -0,0 +1,401 @@
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import User from '../models/userModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import { getCache, setCache } from '../utils/redisCache.js';
+import AppError from '../utils/appError.js';
+import { escapeRegex, getSearchTerms, highlightText } from '../utils/searchHighlight.js';
+import { getPublicVideoFilter } from '../services/videoVisibilityService.js';
+
+export const SEARCH_TYPES = ['video', 'article', 'user'];
+
+// Query length limits
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_SUGGEST_QUERY_LENGTH = 50;
+
+// Cache keys
+const CACHE_KEYS = {
+  SUGGEST: 'suggest:'
+};
+
+/**
+ * Parse the category, tag and date filters shared by video and article search
+ * @param {Object} query - Express query object
+ * @returns {Object} - MongoDB filter
+ */
+const buildContentFilters = ({ category, tag, from, to }) => {
+  const filters = {};
+
+  if (category) filters.categories = category;
+  if (tag) filters.tags = tag;
+
+  if (from || to) {
+    filters.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (Number.isNaN(fromDate.getTime())) {
+        throw new AppError('Invalid "from" date', 400);
+      }
+      filters.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (Number.isNaN(toDate.getTime())) {
+        throw new AppError('Invalid "to" date', 400);
+      }
+      filters.createdAt.$lte = toDate;
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Run a text search on a content collection, best matches first
+ * @param {Object} Model - Mongoose model with a text index
+ * @param {Object} options - query, filter, populate path and pagination
+ * @returns {Promise<{items: Array<Object>, total: number}>}
+ */
+const runTextSearch = async (Model, { query, filter, populate, skip, limit }) => {
+  const textFilter = { $text: { $search: query }, ...filter };
+
+  const [items, total] = await Promise.all([
+    Model.find(textFilter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate(populate, 'name handle profilePicture')
+      .lean(),
+    Model.countDocuments(textFilter)
+  ]);
+
+  return { items, total };
+};
+
+/**
+ * Search published public videos; unlisted, followers-only and private videos are never listed
+ */
+const searchVideos = async ({ query, terms, filters, skip, limit }) => {
+  const { items, total } = await runTextSearch(Video, {
+    query,
+    filter: { ...filters, ...getPublicVideoFilter() },
+    populate: 'creator',
+    skip,
+    limit
+  });
+
+  return {
+    total,
+    items: items.map(video => ({
+      _id: video._id,
+      title: video.title,
+      description: video.description,
+      thumbnail: video.thumbnail,
+      duration: video.duration,
+      views: video.views,
+      likes: video.likes,
+      tags: video.tags,
+      categories: video.categories,
+      creator: video.creator,
+      createdAt: video.createdAt,
+      score: video.score,
+      highlights: {
+        title: highlightText(video.title, terms),
+        description: highlightText(video.description, terms),
+        tags: (video.tags || []).filter(tag => terms.some(term => tag.toLowerCase().startsWith(term)))
+      }
+    }))
+  };
+};
+
+/**
+ * Search published articles
+ */
+const searchArticles = async ({ query, terms, filters, skip, limit }) => {
+  const { items, total } = await runTextSearch(Article, {
+    query,
+    filter: { ...filters, isPublished: true },
+    populate: 'author',
+    skip,
+    limit
+  });
+
+  return {
+    total,
+    items: items.map(article => ({
+      _id: article._id,
+      title: article.title,
+      summary: article.summary,
+      featuredImage: article.featuredImage,
+      tags: article.tags,
+      categories: article.categories,
+      author: article.author,
+      relatedVideo: article.relatedVideo,
+      createdAt: article.createdAt,
+      score: article.score,
+      highlights: {
+        title: highlightText(article.title, terms),
+        // Fall back to the body when the match is not in the summary
+        content: highlightText(article.summary, terms) || highlightText(article.content, terms)
+      }
+    }))
+  };
+};
+
+/**
+ * Search active users by handle or name.
+ * User documents have no text index, so matches are ranked by how closely
+ * the handle or name matches: exact handle, handle prefix, name prefix, then
+ * anywhere in the name.
+ */
+const searchUsers = async ({ query, terms, skip, limit }) => {
+  const handleQuery = escapeRegex(query.replace(/^@/, '').toLowerCase());
+  const nameQuery = escapeRegex(query);
+
+  const match = {
+    active: true,
+    $or: [
+      { handle: { $regex: `^${handleQuery}` } },
+      { name: { $regex: nameQuery, $options: 'i' } }
+    ]
+  };
+
+  const [items, total] = await Promise.all([
+    User.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          score: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$handle', query.replace(/^@/, '').toLowerCase()] }, then: 4 },
+                { case: { $regexMatch: { input: '$handle', regex: `^${handleQuery}` } }, then: 3 },
+                { case: { $regexMatch: { input: '$name', regex: `^${nameQuery}`, options: 'i' } }, then: 2 }
+              ],
+              default: 1
+            }
+          }
+        }
+      },
+      { $sort: { score: -1, 'stats.followers': -1, _id: 1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          name: 1,
+          handle: 1,
+          profilePicture: 1,
+          bio: 1,
+          role: 1,
+          isVerified: 1,
+          'stats.followers': 1,
+          'creatorProfile.badges': 1,
+          score: 1
+        }
+      }
+    ]),
+    User.countDocuments(match)
+  ]);
+
+  return {
+    total,
+    items: items.map(user => ({
+      ...user,
+      highlights: {
+        name: highlightText(user.name, terms),
+        handle: highlightText(user.handle, getSearchTerms(query.replace(/^@/, '')))
+      }
+    }))
+  };
+};
+
+const searchers = {
+  video: searchVideos,
+  article: searchArticles,
+  user: searchUsers
+};
+
+/**
+ * Search videos, articles and creators
+ * @route GET /api/search?q=&type=video|article|user&category=&tag=&from=&to=&page=&limit=
+ * @access Public
+ */
+export const search = catchAsync(async (req, res, next) => {
+  const query = String(req.query.q || '').trim();
+
+  if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+    return next(new AppError(`Search query must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`, 400));
+  }
+
+  // Without a type every kind of result is returned
+  const types = req.query.type ? [req.query.type] : SEARCH_TYPES;
+  if (types.some(type => !SEARCH_TYPES.includes(type))) {
+    return next(new AppError(`Invalid search type. Use one of: ${SEARCH_TYPES.join(', ')}`, 400));
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+  const skip = (page - 1) * limit;
+
+  const options = {
+    query,
+    terms: getSearchTerms(query),
+    filters: buildContentFilters(req.query),
+    skip,
+    limit
+  };
+
+  const results = {};
+  for (const type of types) {
+    const { items, total } = await searchers[type](options);
+    results[`${type}s`] = {
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      query,
+      results
+    }
+  });
+});
+
+/**
+ * Rank the distinct values of a list field (tags or categories) starting with the prefix
+ * @param {Object} Model - Video or Article
+ * @param {string} field - 'tags' or 'categories'
+ * @param {string} popularityField - Field summed as popularity
+ * @param {RegExp} prefix - Prefix regex
+ * @param {number} limit - Maximum values
+ * @returns {Promise<Array<{text: string, popularity: number}>>}
+ */
+const suggestListValues = (Model, field, popularityField, prefix, limit) => Model.aggregate([
+  // Matches every published article, which have no visibility
+  { $match: { ...getPublicVideoFilter(), [field]: prefix } },
+  { $unwind: `$${field}` },
+  { $match: { [field]: prefix } },
+  {
+    $group: {
+      _id: { $toLower: `$${field}` },
+      text: { $first: `$${field}` },
+      popularity: { $sum: { $ifNull: [`$${popularityField}`, 0] } },
+      count: { $sum: 1 }
+    }
+  },
+  { $sort: { popularity: -1, count: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, text: 1, popularity: 1 } }
+]);
+
+/**
+ * Merge the tag or category suggestions of videos and articles
+ * @param {Array<Array<Object>>} lists - Results of suggestListValues
+ * @param {number} limit - Maximum values
+ * @returns {Array<{text: string, popularity: number}>}
+ */
+const mergeListSuggestions = (lists, limit) => {
+  const merged = new Map();
+  lists.flat().forEach(({ text, popularity }) => {
+    const key = text.toLowerCase();
+    const existing = merged.get(key);
+    merged.set(key, {
+      text: existing ? existing.text : text,
+      popularity: (existing ? existing.popularity : 0) + popularity
+    });
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => b.popularity - a.popularity)
+    .slice(0, limit);
+};
+
+/**
+ * Build typeahead suggestions for a prefix from MongoDB
+ * @param {string} prefix - Lowercased query
+ * @param {number} limit - Maximum suggestions per group
+ * @returns {Promise<Object>} - Suggestions grouped by kind, most popular first
+ */
+const buildSuggestions = async (prefix, limit) => {
+  const escaped = escapeRegex(prefix);
+  // Titles match when any word starts with the prefix
+  const titlePrefix = new RegExp(`(^|\\s)${escaped}`, 'i');
+  const valuePrefix = new RegExp(`^${escaped}`, 'i');
+
+  const [videos, articles, videoTags, articleTags, videoCategories, articleCategories, creators] = await Promise.all([
+    Video.find({ ...getPublicVideoFilter(), title: titlePrefix })
+      .sort({ views: -1 })
+      .limit(limit)
+      .select('title views')
+      .lean(),
+    Article.find({ isPublished: true, title: titlePrefix })
+      .sort({ viewCount: -1 })
+      .limit(limit)
+      .select('title viewCount')
+      .lean(),
+    suggestListValues(Video, 'tags', 'views', valuePrefix, limit),
+    suggestListValues(Article, 'tags', 'viewCount', valuePrefix, limit),
+    suggestListValues(Video, 'categories', 'views', valuePrefix, limit),
+    suggestListValues(Article, 'categories', 'viewCount', valuePrefix, limit),
+    User.find({ active: true, handle: new RegExp(`^${escapeRegex(prefix.replace(/^@/, ''))}`) })
+      .sort({ 'stats.followers': -1 })
+      .limit(limit)
+      .select('handle name profilePicture stats.followers')
+      .lean()
+  ]);
+
+  return {
+    videos: videos.map(video => ({ id: video._id, text: video.title, popularity: video.views })),
+    articles: articles.map(article => ({ id: article._id, text: article.title, popularity: article.viewCount })),
+    tags: mergeListSuggestions([videoTags, articleTags], limit),
+    categories: mergeListSuggestions([videoCategories, articleCategories], limit),
+    creators: creators.map(user => ({
+      id: user._id,
+      text: `@${user.handle}`,
+      name: user.name,
+      profilePicture: user.profilePicture,
+      popularity: user.stats?.followers || 0
+    }))
+  };
+};
+
+/**
+ * Typeahead suggestions for the search bar
+ * @route GET /api/search/suggest?q=&limit=
+ * @access Public
+ */
+export const suggest = catchAsync(async (req, res, next) => {
+  const prefix = String(req.query.q || '').trim().toLowerCase();
+
+  if (!prefix || prefix.length > MAX_SUGGEST_QUERY_LENGTH) {
+    return next(new AppError(`Suggestion query must be between 1 and ${MAX_SUGGEST_QUERY_LENGTH} characters`, 400));
+  }
+
+  const limit = Math.min(10, Math.max(1, parseInt(req.query.limit) || 5));
+
+  // Served from Redis when caching is enabled, straight from MongoDB otherwise
+  const cacheKey = `${CACHE_KEYS.SUGGEST}${limit}:${prefix}`;
+  const cachedData = await getCache(cacheKey);
+  if (cachedData) {
+    return res.json(cachedData);
+  }
+
+  const response = {
+    status: 'success',
+    data: {
+      query: prefix,
+      suggestions: await buildSuggestions(prefix, limit)
+    }
+  };
+
+  await setCache(cacheKey, response, 300); // Cache for 5 minutes
+
+  res.json(response);
+});
@@ -0,0 +1,113 @@
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { getCache, setCache } from '../utils/redisCache.js';
+import { TRENDING_WINDOWS, getLatestSnapshot } from '../services/trendingService.js';
+import { getPublicVideoFilter } from '../services/videoVisibilityService.js';
+
+// Cache keys
+const CACHE_KEYS = {
+  TRENDING: 'trending:'
+};
+
+/**
+ * Read the window and limit query parameters
+ * @param {Object} query - Express query object
+ * @returns {{window: string, limit: number}}
+ */
+const parseTrendingQuery = (query) => {
+  const window = query.window || '24h';
+  if (!TRENDING_WINDOWS[window]) {
+    throw new AppError(`Invalid window. Use one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`, 400);
+  }
+
+  const limit = Math.min(50, Math.max(1, parseInt(query.limit) || 20));
+  return { window, limit };
+};
+
+/**
+ * Load the documents referenced by snapshot items, keeping the trending order.
+ * Items deleted, unpublished or hidden since the snapshot are skipped.
+ * @param {Object} Model - Video or Article
+ * @param {Array<Object>} items - Snapshot items
+ * @param {string} populatePath - 'creator' or 'author'
+ * @param {string} populateFields - Fields of the populated user
+ * @returns {Promise<Array<Object>>}
+ */
+const hydrateSnapshotItems = async (Model, items, populatePath, populateFields) => {
+  const documents = await Model.find({ _id: { $in: items.map(item => item.refId) }, ...getPublicVideoFilter() })
+    .populate(populatePath, populateFields)
+    .lean();
+  const documentsById = new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+  return items
+    .filter(item => documentsById.has(item.refId.toString()))
+    .map(({ refId, ...trending }) => ({
+      ...documentsById.get(refId.toString()),
+      trending
+    }));
+};
+
+/**
+ * Build a trending response from the latest snapshot, cached until the next computation
+ * @param {string} kind - Snapshot kind
+ * @param {Object} query - Express query object
+ * @param {Function} hydrate - async (items) => response items
+ * @returns {Promise<Object>} - Response body
+ */
+const getTrendingResponse = async (kind, query, hydrate) => {
+  const { window, limit } = parseTrendingQuery(query);
+
+  const cacheKey = `${CACHE_KEYS.TRENDING}${kind}:${window}:${limit}`;
+  const cachedData = await getCache(cacheKey);
+  if (cachedData) {
+    return cachedData;
+  }
+
+  const snapshot = await getLatestSnapshot(kind, window);
+  const items = snapshot ? await hydrate(snapshot.items.slice(0, limit)) : [];
+
+  const response = {
+    status: 'success',
+    data: {
+      window,
+      computedAt: snapshot ? snapshot.computedAt : null,
+      items
+    }
+  };
+
+  await setCache(cacheKey, response, 300); // Cache for 5 minutes
+  return response;
+};
+
+/**
+ * Get trending videos
+ * @route GET /api/trending/videos?window=24h|7d&limit=
+ * @access Public
+ */
+export const getTrendingVideos = catchAsync(async (req, res) => {
+  res.json(await getTrendingResponse('video', req.query, items =>
+    hydrateSnapshotItems(Video, items, 'creator', 'name profilePicture handle')
+  ));
+});
+
+/**
+ * Get trending articles
+ * @route GET /api/trending/articles?window=24h|7d&limit=
+ * @access Public
+ */
+export const getTrendingArticles = catchAsync(async (req, res) => {
+  res.json(await getTrendingResponse('article', req.query, items =>
+    hydrateSnapshotItems(Article, items, 'author', 'name username profilePicture')
+  ));
+});
+
+/**
+ * Get trending tags of videos and articles
+ * @route GET /api/trending/tags?window=24h|7d&limit=
+ * @access Public
+ */
+export const getTrendingTags = catchAsync(async (req, res) => {
+  res.json(await getTrendingResponse('tag', req.query, async items => items));
+});
@@ -0,0 +1,368 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import UploadSession from '../models/uploadSessionModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { getVideosDir } from '../utils/videoStream.js';
+import { removeFileIfExists } from '../utils/fileSystem.js';
+import { VIDEO_MIME_EXTENSIONS, buildVideoFilename } from '../middleware/uploadMiddleware.js';
+import { createVideoFromUpload, parseVideoFields } from '../services/videoUploadService.js';
+import { hashFile } from '../services/videoFingerprintService.js';
+
+dotenv.config();
+
+// Resumable upload configuration
+export const RESUMABLE_UPLOAD_CONFIG = {
+  MAX_FILE_SIZE: parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE || `${1024 * 1024 * 1024}`, 10), // 1GB
+  RECOMMENDED_CHUNK_SIZE: 5 * 1024 * 1024, // 5MB
+  MAX_CHUNK_SIZE: 10 * 1024 * 1024, // 10MB
+  EXPIRY_HOURS: parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS || '24', 10),
+  // A write lock older than this belongs to a request that died mid-chunk
+  WRITE_LOCK_TIMEOUT_MS: 60 * 1000
+};
+
+// Content type of chunk requests (same as the tus protocol)
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Full path of the file receiving an upload's chunks
+ * @param {Object} session - Upload session
+ * @returns {string} - Path inside uploads/videos
+ */
+const getPartPath = (session) => path.join(getVideosDir(), session.partFile);
+
+/**
+ * Add the resumable upload headers to a response
+ * @param {Object} res - Express response object
+ * @param {Object} session - Upload session
+ */
+const setUploadHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.totalSize),
+    'Cache-Control': 'no-store'
+  });
+};
+
+/**
+ * Bring the stored offset in line with the bytes actually on disk.
+ * A crash between writing a chunk and saving the offset leaves them out of step;
+ * every byte on disk passed the chunk checks, so the file size wins.
+ * @param {Object} session - Upload session (updated in place)
+ */
+const syncOffsetWithDisk = async (session) => {
+  const partPath = getPartPath(session);
+  const sizeOnDisk = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+  if (sizeOnDisk !== session.offset) {
+    session.offset = Math.min(sizeOnDisk, session.totalSize);
+    await UploadSession.updateOne({ _id: session._id }, { offset: session.offset });
+  }
+};
+
+/**
+ * Load an upload session of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} options - requireActive: reject completed or aborted sessions
+ * @returns {Promise<Object>} - Upload session
+ */
+const loadSession = async (req, { requireActive = true } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.uploadId)) {
+    throw new AppError('Invalid upload ID format', 400);
+  }
+
+  const session = await UploadSession.findById(req.params.uploadId);
+
+  if (!session) {
+    throw new AppError('Upload not found', 404);
+  }
+
+  if (session.user.toString() !== req.user._id.toString()) {
+    throw new AppError('You are not authorized to access this upload', 403);
+  }
+
+  if (session.status === 'active' && session.expiresAt < new Date()) {
+    removeFileIfExists(getPartPath(session));
+    session.status = 'aborted';
+    await session.save();
+    throw new AppError('Upload has expired', 410);
+  }
+
+  if (requireActive && session.status === 'completed') {
+    throw new AppError('Upload has already been completed', 409);
+  }
+
+  if (requireActive && session.status === 'aborted') {
+    throw new AppError('Upload has been aborted', 410);
+  }
+
+  // A chunk being written leaves the part file ahead of the offset until it is done
+  const isBeingWritten = session.writeLockedAt &&
+    session.writeLockedAt > new Date(Date.now() - RESUMABLE_UPLOAD_CONFIG.WRITE_LOCK_TIMEOUT_MS);
+  if (session.status === 'active' && !isBeingWritten) {
+    await syncOffsetWithDisk(session);
+  }
+
+  return session;
+};
+
+/**
+ * Check a chunk against an "Upload-Checksum: sha256 <base64 digest>" header
+ * @param {string|undefined} header - Upload-Checksum header value
+ * @param {Buffer} chunk - Received chunk
+ */
+const verifyChunkChecksum = (header, chunk) => {
+  if (!header) return;
+
+  const [algorithm, expectedDigest] = header.trim().split(/\s+/);
+  if (algorithm !== 'sha256' || !expectedDigest) {
+    throw new AppError('Unsupported checksum. Use "Upload-Checksum: sha256 <base64 digest>"', 400);
+  }
+
+  const digest = crypto.createHash('sha256').update(chunk).digest('base64');
+  if (digest !== expectedDigest) {
+    throw new AppError('Chunk checksum mismatch', 400);
+  }
+};
+
+/**
+ * Start a resumable video upload
+ * @route POST /api/uploads
+ * @access Private
+ */
+export const createUploadSession = catchAsync(async (req, res, next) => {
+  const { fileName, mimeType, size, checksum } = req.body;
+
+  if (!fileName || !mimeType || !size) {
+    return next(new AppError('Please provide fileName, mimeType and size', 400));
+  }
+
+  if (!VIDEO_MIME_EXTENSIONS[mimeType]) {
+    return next(new AppError('Invalid file type for video. Only MP4, WebM, and QuickTime videos are allowed.', 400));
+  }
+
+  const totalSize = parseInt(size, 10);
+  if (!(totalSize > 0) || totalSize > RESUMABLE_UPLOAD_CONFIG.MAX_FILE_SIZE) {
+    return next(new AppError(`File size must be between 1 byte and ${RESUMABLE_UPLOAD_CONFIG.MAX_FILE_SIZE} bytes`, 400));
+  }
+
+  const sessionId = new mongoose.Types.ObjectId();
+  const session = await UploadSession.create({
+    _id: sessionId,
+    user: req.user._id,
+    fileName,
+    mimeType,
+    totalSize,
+    checksum,
+    partFile: `upload-${sessionId}.part`,
+    expiresAt: new Date(Date.now() + RESUMABLE_UPLOAD_CONFIG.EXPIRY_HOURS * 60 * 60 * 1000)
+  });
+
+  fs.writeFileSync(getPartPath(session), '');
+
+  setUploadHeaders(res, session);
+  res.set('Location', `${req.baseUrl}/${session._id}`);
+  res.status(201).json({
+    status: 'success',
+    data: {
+      uploadId: session._id,
+      offset: session.offset,
+      totalSize: session.totalSize,
+      chunkSize: RESUMABLE_UPLOAD_CONFIG.RECOMMENDED_CHUNK_SIZE,
+      maxChunkSize: RESUMABLE_UPLOAD_CONFIG.MAX_CHUNK_SIZE,
+      expiresAt: session.expiresAt
+    }
+  });
+});
+
+/**
+ * Get the progress of an upload, used by clients to resume
+ * @route GET|HEAD /api/uploads/:uploadId
+ * @access Private
+ */
+export const getUploadStatus = catchAsync(async (req, res) => {
+  const session = await loadSession(req, { requireActive: false });
+
+  setUploadHeaders(res, session);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      uploadId: session._id,
+      status: session.status,
+      offset: session.offset,
+      totalSize: session.totalSize,
+      expiresAt: session.expiresAt,
+      video: session.video
+    }
+  });
+});
+
+/**
+ * Append a chunk at the offset given in the Upload-Offset header
+ * @route PATCH /api/uploads/:uploadId
+ * @access Private
+ */
+export const appendUploadChunk = catchAsync(async (req, res, next) => {
+  if (!req.is(CHUNK_CONTENT_TYPE)) {
+    return next(new AppError(`Chunks must be sent as ${CHUNK_CONTENT_TYPE}`, 415));
+  }
+
+  const session = await loadSession(req);
+  setUploadHeaders(res, session);
+
+  const clientOffset = parseInt(req.get('Upload-Offset'), 10);
+  if (Number.isNaN(clientOffset)) {
+    return next(new AppError('Upload-Offset header is required', 400));
+  }
+
+  if (clientOffset !== session.offset) {
+    return next(new AppError(`Upload offset mismatch: server has ${session.offset} bytes`, 409));
+  }
+
+  const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (chunk.length === 0) {
+    return next(new AppError('Chunk is empty', 400));
+  }
+
+  if (clientOffset + chunk.length > session.totalSize) {
+    return next(new AppError('Chunk exceeds the declared file size', 400));
+  }
+
+  verifyChunkChecksum(req.get('Upload-Checksum'), chunk);
+
+  // Claim the session so a retried request cannot append the same chunk twice
+  const lockedSession = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: 'active',
+      offset: clientOffset,
+      $or: [
+        { writeLockedAt: null },
+        { writeLockedAt: { $lt: new Date(Date.now() - RESUMABLE_UPLOAD_CONFIG.WRITE_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { writeLockedAt: new Date() }
+  );
+
+  if (!lockedSession) {
+    return next(new AppError('Another chunk is being written for this upload', 409));
+  }
+
+  const newOffset = clientOffset + chunk.length;
+  try {
+    await fs.promises.appendFile(getPartPath(session), chunk);
+  } catch (error) {
+    // The offset is reconciled with the part file by the next request
+    await UploadSession.updateOne({ _id: session._id }, { writeLockedAt: null });
+    throw error;
+  }
+
+  // Advanced and unlocked in one update, so a retry of this chunk can no longer claim the session
+  await UploadSession.updateOne(
+    { _id: session._id, offset: clientOffset },
+    { offset: newOffset, writeLockedAt: null }
+  );
+
+  res.set('Upload-Offset', String(newOffset));
+  res.status(200).json({
+    status: 'success',
+    data: {
+      uploadId: session._id,
+      offset: newOffset,
+      totalSize: session.totalSize,
+      complete: newOffset === session.totalSize
+    }
+  });
+});
+
+/**
+ * Finish an upload and create the video from the assembled file
+ * @route POST /api/uploads/:uploadId/complete
+ * @access Private
+ */
+export const completeUpload = catchAsync(async (req, res, next) => {
+  const session = await loadSession(req);
+  const partPath = getPartPath(session);
+
+  if (session.offset !== session.totalSize) {
+    setUploadHeaders(res, session);
+    return next(new AppError(`Upload is incomplete: ${session.offset} of ${session.totalSize} bytes received`, 409));
+  }
+
+  // Mistakes in the details are reported while the upload can still be completed
+  parseVideoFields(req.body);
+
+  // Claim the session so a concurrent or repeated request cannot create a second video
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active' },
+    { status: 'completed' },
+    { new: true }
+  );
+  if (!claimed) {
+    return next(new AppError('Upload has already been completed', 409));
+  }
+
+  if (session.checksum && await hashFile(partPath) !== session.checksum) {
+    removeFileIfExists(partPath);
+    claimed.status = 'aborted';
+    await claimed.save();
+    return next(new AppError('File checksum mismatch, the upload has to be restarted', 400));
+  }
+
+  const videoPath = path.join(getVideosDir(), buildVideoFilename(req.user._id, session.mimeType));
+  try {
+    await fs.promises.rename(partPath, videoPath);
+  } catch (error) {
+    // The part file is still there, so the upload can be completed again
+    claimed.status = 'active';
+    await claimed.save();
+    throw error;
+  }
+
+  try {
+    const { video, jobs, warnings } = await createVideoFromUpload({
+      creatorId: req.user._id,
+      videoPath,
+      // Verified above, no need to read the file again
+      sha256: session.checksum,
+      fields: req.body
+    });
+
+    claimed.video = video._id;
+    await claimed.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        video,
+        jobs,
+        warnings
+      }
+    });
+  } catch (error) {
+    claimed.status = 'aborted';
+    await claimed.save();
+    throw error;
+  }
+});
+
+/**
+ * Abort an upload and delete the received chunks
+ * @route DELETE /api/uploads/:uploadId
+ * @access Private
+ */
+export const abortUpload = catchAsync(async (req, res) => {
+  const session = await loadSession(req);
+
+  removeFileIfExists(getPartPath(session));
+  session.status = 'aborted';
+  await session.save();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
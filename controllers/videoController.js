@@ -1,24 +1,76 @@
 import Video from '../models/videoModel.js';
-import Article from '../models/articleModel.js';
 import Bookmark from '../models/bookmarkModel.js';
+import BookmarkCollection from '../models/bookmarkCollectionModel.js';
 import mongoose from 'mongoose';
-import { streamVideo, getVideosDir } from '../utils/videoStream.js';
-import { getCache, setCache, deleteCache, clearCacheByPattern } from '../utils/redisCache.js';
+import { streamVideo, sendHlsFile } from '../utils/videoStream.js';
+import { getCache, setCache, deleteCache } from '../utils/redisCache.js';
 import { catchAsync } from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import path from 'path';
 import fs from 'fs';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
-import { fileURLToPath } from 'url';
-import { generateArticleFromVideo } from '../services/openaiService.js';
-
-// ES Module equivalent of __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Get videos directory
-const VIDEOS_DIR = getVideosDir();
+import {
+  HLS_RENDITIONS,
+  MASTER_PLAYLIST,
+  VARIANT_PLAYLIST
+} from '../services/transcodeService.js';
+import {
+  createVideoFromUpload,
+  replaceVideoFile,
+  parseListField,
+  parseBooleanField
+} from '../services/videoUploadService.js';
+import { getCandidatesDir, copyCandidateAsThumbnail } from '../services/thumbnailService.js';
+import { getPreviewDir } from '../services/previewClipService.js';
+import { parsePublishAt, syncRelatedArticleSchedule } from '../services/publishingService.js';
+import {
+  createSignedStreamUrl,
+  verifyStreamRequest,
+  getStreamGrantQuery
+} from '../services/streamUrlService.js';
+import {
+  parseVisibility,
+  canViewVideo,
+  getListedVideoFilter,
+  isVideoManager
+} from '../services/videoVisibilityService.js';
+import {
+  SPRITE_FILE_PATTERN,
+  getStoryboardDir,
+  buildStoryboardVtt
+} from '../services/storyboardService.js';
+import {
+  deleteVideoWithAssets,
+  removeThumbnailFile,
+  clearVideoCaches
+} from '../services/videoCleanupService.js';
+import { getRankedFeed, hydrateFeedPage } from '../services/feedRankingService.js';
+import {
+  recordView,
+  getRequiredWatchSeconds,
+  getViewerKey,
+  creditWatchedSeconds
+} from '../services/viewCountingService.js';
+import { getSeriesNavigation } from '../services/playlistService.js';
+import {
+  findOrCreateCollection,
+  getTopPosition,
+  ensureCollectionsMigrated,
+  countCollectionBookmarks,
+  clearBookmarkCaches
+} from '../services/bookmarkCollectionService.js';
+import {
+  recordViewEvent,
+  parseAnalyticsRange,
+  getVideoAnalytics as buildVideoAnalytics
+} from '../services/videoAnalyticsService.js';
+import { removeFileIfExists } from '../utils/fileSystem.js';
+import {
+  STORAGE_AREAS,
+  storeFile,
+  removeStoredFile,
+  sendStoredFile,
+  getLocalDir
+} from '../services/storageService.js';
 
 // Cache keys
 const CACHE_KEYS = {
@@ -27,13 +79,13 @@ const CACHE_KEYS = {
   VIDEO: 'video:'
 };
 
-// Set ffmpeg path
-ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-
 /**
- * Stream a specific video
- * @route GET /api/videos/:id/stream
- * @access Public
+ * Stream a specific video through a signed URL issued by the video details
+ * routes. Access is checked again on every request, so a URL stops working
+ * once the video is unpublished or made private, or the viewer unfollows a
+ * followers-only creator.
+ * @route GET /api/videos/:id/stream?expires=&signature=
+ * @access Public (signed URL; token required for followers-only and private videos)
  */
 export const streamVideoById = async (req, res) => {
   try {
@@ -42,28 +94,23 @@ export const streamVideoById = async (req, res) => {
       return res.status(400).json({ message: 'Invalid video ID format' });
     }
     
+    verifyStreamRequest(req, req.params.id);
+    
     const video = await Video.findById(req.params.id);
     
-    if (!video) {
+    if (!video || !(await canViewVideo(video, req.user))) {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    if (!video.isPublished) {
-      return res.status(403).json({ message: 'This video is not available' });
-    }
-    
-    // Check if the video file exists
-    const fullPath = path.join(VIDEOS_DIR, video.videoFile);
-    if (!fs.existsSync(fullPath)) {
-      return res.status(404).json({ message: 'Video file not found' });
-    }
-    
-    // Increment view count (don't await to not delay the streaming)
-    Video.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } }).exec();
+    // Views are not counted here: players send a request per Range chunk.
+    // They are counted by POST /api/videos/:id/views once enough was watched.
     
     // Stream the video
     streamVideo(req, res, video.videoFile);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error streaming video:', error);
     if (!res.headersSent) {
       res.status(500).json({ message: 'Error streaming video', error: error.message });
@@ -71,6 +118,213 @@ export const streamVideoById = async (req, res) => {
   }
 };
 
+/**
+ * Load a video the user may watch whose HLS renditions are ready
+ * @param {string} videoId - Video ID from the route
+ * @param {Object|null} user - Authenticated user
+ * @returns {Promise<Object>} - Video document
+ */
+const findHlsReadyVideo = async (videoId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video) {
+    throw new AppError('Video not found', 404);
+  }
+
+  if (!(await canViewVideo(video, user))) {
+    throw new AppError('This video is not available', 403);
+  }
+
+  if (!video.hls || video.hls.status !== 'ready') {
+    throw new AppError(`HLS stream is not available (status: ${video.hls?.status || 'pending'})`, 404);
+  }
+
+  return video;
+};
+
+/**
+ * Get the HLS master playlist of a video. Needs the signature of the video's
+ * stream URLs, which is passed on to the variant playlists it lists.
+ * @route GET /api/videos/:id/hls/master.m3u8?expires=...&signature=...
+ * @access Public (signed URL from GET /api/videos/:id)
+ */
+export const getHlsMasterPlaylist = catchAsync(async (req, res) => {
+  verifyStreamRequest(req, req.params.id);
+  const video = await findHlsReadyVideo(req.params.id, req.user);
+  sendHlsFile(res, video.hls.directory, MASTER_PLAYLIST, getStreamGrantQuery(req));
+});
+
+/**
+ * Get a variant playlist or media segment of a video's HLS rendition
+ * @route GET /api/videos/:id/hls/:rendition/:file?expires=...&signature=...
+ * @access Public (URIs of a signed playlist)
+ */
+export const getHlsRenditionFile = catchAsync(async (req, res) => {
+  const { rendition, file } = req.params;
+
+  const isKnownRendition = HLS_RENDITIONS.some(r => r.name === rendition);
+  const isHlsFile = file === VARIANT_PLAYLIST || /^segment-\d+\.ts$/.test(file);
+  if (!isKnownRendition || !isHlsFile) {
+    throw new AppError('HLS file not found', 404);
+  }
+
+  verifyStreamRequest(req, req.params.id);
+  const video = await findHlsReadyVideo(req.params.id, req.user);
+  sendHlsFile(res, video.hls.directory, path.join(rendition, file), getStreamGrantQuery(req));
+});
+
+/**
+ * Load a video the user may watch whose storyboard is ready
+ * @param {string} videoId - Video ID from the route
+ * @param {Object|null} user - Authenticated user
+ * @returns {Promise<Object>} - Video document
+ */
+const findStoryboardReadyVideo = async (videoId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+
+  const video = await Video.findById(videoId).select('creator duration isPublished visibility storyboard');
+
+  if (!video || !(await canViewVideo(video, user))) {
+    throw new AppError('Video not found', 404);
+  }
+
+  if (!video.storyboard || video.storyboard.status !== 'ready') {
+    throw new AppError(`Storyboard is not available (status: ${video.storyboard?.status || 'pending'})`, 404);
+  }
+
+  return video;
+};
+
+/**
+ * Get the WebVTT thumbnails track used for scrubbing previews. Each cue
+ * points at a tile of a sprite sheet with a #xywh= media fragment.
+ * @route GET /api/videos/:id/storyboard.vtt
+ * @access Public
+ */
+export const getStoryboardVtt = catchAsync(async (req, res) => {
+  const video = await findStoryboardReadyVideo(req.params.id, req.user);
+
+  res.set({
+    'Content-Type': 'text/vtt; charset=utf-8',
+    // Regenerated when the video file is replaced
+    'Cache-Control': 'no-cache'
+  });
+  res.send(buildStoryboardVtt(video));
+});
+
+/**
+ * Get a storyboard sprite sheet
+ * @route GET /api/videos/:id/storyboard/:file
+ * @access Public
+ */
+export const getStoryboardSprite = catchAsync(async (req, res) => {
+  if (!SPRITE_FILE_PATTERN.test(req.params.file)) {
+    throw new AppError('Storyboard file not found', 404);
+  }
+
+  const video = await findStoryboardReadyVideo(req.params.id, req.user);
+  const filePath = path.join(getStoryboardDir(video._id), req.params.file);
+  if (!fs.existsSync(filePath)) {
+    throw new AppError('Storyboard file not found', 404);
+  }
+
+  res.set({
+    'Content-Type': 'image/jpeg',
+    // The track links sheets with a version parameter that changes on regeneration
+    'Cache-Control': 'public, max-age=31536000, immutable'
+  });
+  res.sendFile(filePath);
+});
+
+/**
+ * Load a video the user may watch
+ * @param {string} videoId - Video ID from the route
+ * @param {Object|null} user - Authenticated user
+ * @param {string} fields - Fields needed besides those of the access check
+ * @returns {Promise<Object>} - Video document
+ */
+const findViewableVideo = async (videoId, user, fields) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+
+  const video = await Video.findById(videoId).select(`creator isPublished visibility ${fields}`);
+
+  if (!video || !(await canViewVideo(video, user))) {
+    throw new AppError('Video not found', 404);
+  }
+
+  return video;
+};
+
+/**
+ * Get a preview clip (MP4 or animated WebP)
+ * @route GET /api/videos/:id/preview/:file
+ * @access Public
+ */
+export const getPreviewClipFile = catchAsync(async (req, res) => {
+  const video = await findViewableVideo(req.params.id, req.user, 'previewClip');
+
+  // Only the files of the current generation are served
+  const { mp4, webp } = video.previewClip || {};
+  const filePath = path.join(getPreviewDir(video._id), req.params.file);
+  if (![mp4, webp].includes(req.params.file) || !fs.existsSync(filePath)) {
+    throw new AppError('Preview clip not found', 404);
+  }
+
+  // File names change on every generation
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(filePath);
+});
+
+/**
+ * Get the thumbnail of a video
+ * @route GET /api/videos/:id/thumbnail/:file
+ * @access Public
+ */
+export const getThumbnailFile = catchAsync(async (req, res) => {
+  const video = await findViewableVideo(req.params.id, req.user, 'thumbnail');
+
+  // Only the current thumbnail is served
+  if (!video.thumbnail || req.params.file !== video.thumbnail) {
+    throw new AppError('Thumbnail not found', 404);
+  }
+  if (await sendStoredFile(res, STORAGE_AREAS.THUMBNAILS, video.thumbnail)) return;
+
+  // The default image and files not yet migrated to object storage stay on local disk
+  const filePath = path.join(getLocalDir(STORAGE_AREAS.THUMBNAILS), video.thumbnail);
+  if (!fs.existsSync(filePath)) {
+    throw new AppError('Thumbnail not found', 404);
+  }
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(filePath);
+});
+
+/**
+ * Get a frame offered as thumbnail
+ * @route GET /api/videos/:id/thumbnail-candidates/:file
+ * @access Public
+ */
+export const getThumbnailCandidate = catchAsync(async (req, res) => {
+  const video = await findViewableVideo(req.params.id, req.user, 'thumbnailCandidates');
+
+  const isCandidate = (video.thumbnailCandidates || []).some(candidate => candidate.fileName === req.params.file);
+  const filePath = path.join(getCandidatesDir(video._id), req.params.file);
+  if (!isCandidate || !fs.existsSync(filePath)) {
+    throw new AppError('Thumbnail candidate not found', 404);
+  }
+
+  // Regenerated candidates keep their file names
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(filePath);
+});
+
 /**
  * Get video feed with pagination
  * @route GET /api/videos/feed
@@ -88,6 +342,22 @@ export const getVideoFeed = async (req, res) => {
     
     const userId = req.user ? req.user._id : null;
     
+    // "For You" is ranked per user (trending for anonymous users) instead of listed by date
+    if (category === 'For You') {
+      const ranking = await getRankedFeed(userId);
+      const videos = await hydrateFeedPage(ranking.slice(skip, skip + limit), userId);
+      
+      return res.json({
+        videos,
+        pagination: {
+          page,
+          limit,
+          total: ranking.length,
+          pages: Math.ceil(ranking.length / limit)
+        }
+      });
+    }
+    
     // Create a cache key based on the request parameters
     const cacheKey = `${CACHE_KEYS.FEED}${page}:${limit}:${category || 'all'}:${userId || 'anon'}`;
     
@@ -97,11 +367,11 @@ export const getVideoFeed = async (req, res) => {
       return res.json(cachedData);
     }
     
-    // Build query
-    const query = { isPublished: true };
+    // Build query: public videos, plus followers-only videos of followed creators
+    const query = await getListedVideoFilter(userId);
     
     // Filter by category if specified
-    if (category && category !== 'For You') {
+    if (category) {
       query.categories = category;
     }
     
@@ -206,7 +476,7 @@ export const getVideoFeed = async (req, res) => {
                     $expr: {
                       $and: [
                         { $eq: ['$video', '$$videoId'] },
-                        { $eq: ['$user', mongoose.Types.ObjectId(userId)] }
+                        { $eq: ['$user', new mongoose.Types.ObjectId(userId)] }
                       ]
                     }
                   }
@@ -227,7 +497,7 @@ export const getVideoFeed = async (req, res) => {
                       $and: [
                         { $eq: ['$content', '$$videoId'] },
                         { $eq: ['$contentType', 'Video'] },
-                        { $eq: ['$user', mongoose.Types.ObjectId(userId)] }
+                        { $eq: ['$user', new mongoose.Types.ObjectId(userId)] }
                       ]
                     }
                   }
@@ -247,7 +517,9 @@ export const getVideoFeed = async (req, res) => {
               bookmarkInfo: 0,
               likesInfo: 0,
               userLikeInfo: 0,
-              commentsInfo: 0
+              commentsInfo: 0,
+              fingerprint: 0,
+              duplicateOf: 0
             } 
           }
         ]);
@@ -359,7 +631,9 @@ export const getVideoFeed = async (req, res) => {
       { 
         $project: { 
           likesInfo: 0,
-          commentsInfo: 0
+          commentsInfo: 0,
+          fingerprint: 0,
+          duplicateOf: 0
         } 
       }
     ]);
@@ -403,12 +677,13 @@ export const getVideoById = async (req, res) => {
     const userId = req.user ? req.user._id : null;
     
     // Create cache key
-    const cacheKey = `${CACHE_KEYS.VIDEO}${videoId}:${userId || 'anon'}`;
+    const playlistId = req.query.playlist || '';
+    const cacheKey = `${CACHE_KEYS.VIDEO}${videoId}:${userId || 'anon'}:${playlistId}`;
     
     // Try to get from cache
     const cachedData = await getCache(cacheKey);
     if (cachedData) {
-      return res.json(cachedData);
+      return res.json({ ...cachedData, stream: createSignedStreamUrl(req, videoId) });
     }
     
     // Find the video with populated fields
@@ -421,11 +696,18 @@ export const getVideoById = async (req, res) => {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    if (!video.isPublished) {
-      // Only creators and admins can see unpublished videos
-      if (!req.user || (req.user._id.toString() !== video.creator._id.toString() && req.user.role !== 'admin')) {
-        return res.status(403).json({ message: 'This video is not available' });
-      }
+    // Unpublished and private videos are only shown to their creator and admins,
+    // followers-only videos to followers too; unlisted videos to anyone with the link
+    if (!(await canViewVideo(video, req.user))) {
+      return res.status(403).json({ message: 'This video is not available' });
+    }
+    
+    const result = video.toObject();
+    
+    // An article scheduled after the video is not shown before it is published
+    const isOwner = isVideoManager(video, req.user);
+    if (result.linkedArticle && result.linkedArticle.status !== 'published' && !isOwner) {
+      result.linkedArticle = null;
     }
     
     // Check if the user has bookmarked this video
@@ -436,14 +718,18 @@ export const getVideoById = async (req, res) => {
       });
       
       // Add user-specific data
-      video._userBookmarked = !!bookmarkExists;
+      result._userBookmarked = !!bookmarkExists;
       // Add more user-specific data as needed
     }
     
+    // Position in the series (or the playlist being played) and the video to auto-advance to
+    result.series = await getSeriesNavigation(videoId, playlistId);
+    
     // Cache the result
-    await setCache(cacheKey, video);
+    await setCache(cacheKey, result);
     
-    res.json(video);
+    // Stream URLs expire and may be bound to the request, so they are never cached
+    res.json({ ...result, stream: createSignedStreamUrl(req, videoId) });
   } catch (error) {
     console.error('Error fetching video:', error);
     res.status(500).json({ message: 'Error fetching video', error: error.message });
@@ -470,6 +756,9 @@ export const getCategories = async (req, res) => {
  * Bookmark a video
  * @route POST /api/videos/:id/bookmark
  * @access Private
+ * @body {string} [notes]
+ * @body {string} [collectionId] - Collection to save into
+ * @body {string} [collectionName] - Collection to save into by name, created if missing
  */
 export const bookmarkVideo = async (req, res) => {
   try {
@@ -481,7 +770,7 @@ export const bookmarkVideo = async (req, res) => {
     }
     
     const userId = req.user._id;
-    const { notes, collectionName } = req.body;
+    const { notes, collectionId, collectionName } = req.body;
     
     // Check if video exists
     const video = await Video.findById(videoId);
@@ -489,39 +778,62 @@ export const bookmarkVideo = async (req, res) => {
       return res.status(404).json({ message: 'Video not found' });
     }
     
-    if (!video.isPublished) {
+    if (!(await canViewVideo(video, req.user))) {
       return res.status(403).json({ message: 'Cannot bookmark unavailable videos' });
     }
     
+    // Resolve the requested collection, if any
+    let collection = null;
+    if (collectionId) {
+      if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+        return res.status(400).json({ message: 'Invalid collection ID format' });
+      }
+      collection = await BookmarkCollection.findOne({ _id: collectionId, user: userId });
+      if (!collection) {
+        return res.status(404).json({ message: 'Collection not found' });
+      }
+    } else if (collectionName) {
+      collection = await findOrCreateCollection(userId, collectionName);
+    }
+    
     // Check if already bookmarked
     const existingBookmark = await Bookmark.findOne({ user: userId, video: videoId });
     
     if (existingBookmark) {
       // Update existing bookmark
       existingBookmark.notes = notes || existingBookmark.notes;
-      existingBookmark.collectionName = collectionName || existingBookmark.collectionName;
+      if (!existingBookmark.bookmarkCollection) {
+        collection = collection || await findOrCreateCollection(userId, existingBookmark.collectionName);
+      }
+      if (collection && !collection._id.equals(existingBookmark.bookmarkCollection)) {
+        existingBookmark.bookmarkCollection = collection._id;
+        existingBookmark.collectionName = collection.name;
+        existingBookmark.position = await getTopPosition(collection._id);
+      }
       await existingBookmark.save();
       
       // Clear related cache
-      await clearCacheByPattern(`${CACHE_KEYS.VIDEO}${videoId}:${userId}`);
-      await clearCacheByPattern(`${CACHE_KEYS.FEED}*:${userId}`);
+      await clearBookmarkCaches(userId, [videoId]);
       
       return res.json({ message: 'Bookmark updated', bookmark: existingBookmark });
     }
     
+    collection = collection || await findOrCreateCollection(userId);
+    
     // Create new bookmark
     const bookmark = new Bookmark({
       user: userId,
       video: videoId,
       notes,
-      collectionName: collectionName || 'Default'
+      collectionName: collection.name,
+      bookmarkCollection: collection._id,
+      position: await getTopPosition(collection._id)
     });
     
     await bookmark.save();
     
     // Clear related cache
-    await clearCacheByPattern(`${CACHE_KEYS.VIDEO}${videoId}:${userId}`);
-    await clearCacheByPattern(`${CACHE_KEYS.FEED}*:${userId}`);
+    await clearBookmarkCaches(userId, [videoId]);
     
     res.status(201).json({ message: 'Video bookmarked', bookmark });
   } catch (error) {
@@ -557,8 +869,7 @@ export const removeBookmark = async (req, res) => {
     }
     
     // Clear related cache
-    await clearCacheByPattern(`${CACHE_KEYS.VIDEO}${videoId}:${userId}`);
-    await clearCacheByPattern(`${CACHE_KEYS.FEED}*:${userId}`);
+    await clearBookmarkCaches(userId, [videoId]);
     
     res.json({ message: 'Bookmark removed' });
   } catch (error) {
@@ -569,8 +880,10 @@ export const removeBookmark = async (req, res) => {
 
 /**
  * Get user's bookmarks
- * @route GET /api/videos/bookmarks
+ * @route GET /api/videos/user/bookmarks
  * @access Private
+ * @query {string} [collectionId] - Only bookmarks of this collection
+ * @query {string} [collection] - Only bookmarks of the collection with this name
  */
 export const getUserBookmarks = async (req, res) => {
   try {
@@ -582,11 +895,17 @@ export const getUserBookmarks = async (req, res) => {
     const skip = (page - 1) * limit;
     
     const collection = req.query.collection;
+    const collectionId = req.query.collectionId;
     
     // Build query
     const query = { user: userId };
     
-    if (collection) {
+    if (collectionId) {
+      if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+        return res.status(400).json({ message: 'Invalid collection ID format' });
+      }
+      query.bookmarkCollection = collectionId;
+    } else if (collection) {
       query.collectionName = collection;
     }
     
@@ -624,22 +943,28 @@ export const getUserBookmarks = async (req, res) => {
 };
 
 /**
- * Get bookmark collections for user
- * @route GET /api/videos/bookmark-collections
+ * Get bookmark collections for user with their bookmark counts.
+ * Kept for older clients; GET /api/bookmark-collections returns the full collections.
+ * @route GET /api/videos/user/bookmark-collections
  * @access Private
  */
 export const getBookmarkCollections = async (req, res) => {
   try {
     const userId = req.user._id;
     
-    // Use aggregation to get distinct collections and counts
-    const collections = await Bookmark.aggregate([
-      { $match: { user: mongoose.Types.ObjectId(userId) } },
-      { $group: { _id: '$collectionName', count: { $sum: 1 } } },
-      { $sort: { _id: 1 } }
-    ]);
+    await ensureCollectionsMigrated(userId);
     
-    res.json(collections);
+    const collections = await BookmarkCollection.find({ user: userId })
+      .sort({ position: 1, createdAt: 1 })
+      .select('name')
+      .lean();
+    const counts = await countCollectionBookmarks(collections.map(collection => collection._id));
+    
+    res.json(collections.map(collection => ({
+      _id: collection.name,
+      collectionId: collection._id,
+      count: counts.get(collection._id.toString()) || 0
+    })));
   } catch (error) {
     console.error('Error fetching bookmark collections:', error);
     res.status(500).json({ message: 'Error fetching bookmark collections', error: error.message });
@@ -653,114 +978,23 @@ export const uploadVideo = catchAsync(async (req, res, next) => {
     return next(new AppError('No video file uploaded', 400));
   }
 
-  // Convert absolute path to relative path for storage
-  const videoRelativePath = path.basename(req.files.video[0].path);
-  const videoFullPath = req.files.video[0].path;
-  
-  // Handle thumbnail path
-  let thumbnailPath;
-  
-  if (req.files && req.files.thumbnail && req.files.thumbnail[0]) {
-    // Use uploaded thumbnail
-    thumbnailPath = path.basename(req.files.thumbnail[0].path);
-  } else {
-    // Extract first frame as thumbnail
-    const thumbnailFileName = `thumbnail-${req.user._id}-${Date.now()}.jpg`;
-    thumbnailPath = thumbnailFileName;
-    const thumbnailDir = path.join(__dirname, '../uploads/thumbnails');
-    const thumbnailFullPath = path.join(thumbnailDir, thumbnailFileName);
-    
-    // Ensure thumbnails directory exists
-    if (!fs.existsSync(thumbnailDir)) {
-      fs.mkdirSync(thumbnailDir, { recursive: true });
-    }
-    
-    // Extract first frame using FFmpeg
-    try {
-      await new Promise((resolve, reject) => {
-        ffmpeg(videoFullPath)
-          .screenshots({
-            timestamps: ['00:00:01'], // Take screenshot at 1 second to avoid black frames
-            filename: thumbnailFileName,
-            folder: thumbnailDir,
-            size: '720x?', // 720p width, maintain aspect ratio
-          })
-          .on('end', resolve)
-          .on('error', (err) => {
-            console.error('Error extracting thumbnail:', err);
-            reject(err);
-          });
-      });
-    } catch (error) {
-      console.error('Failed to extract thumbnail:', error);
-      // Use default thumbnail if extraction fails
-      thumbnailPath = 'default-thumbnail.png';
-    }
-  }
+  const thumbnailFile = req.files.thumbnail && req.files.thumbnail[0];
 
-  console.log('File upload paths:', {
-    video: videoRelativePath,
-    thumbnail: thumbnailPath
+  const { video, jobs, warnings } = await createVideoFromUpload({
+    creatorId: req.user._id,
+    videoPath: req.files.video[0].path,
+    thumbnailPath: thumbnailFile ? thumbnailFile.path : undefined,
+    fields: req.body
   });
 
-  const videoData = {
-    title: req.body.title,
-    description: req.body.description,
-    creator: req.user._id,
-    videoFile: videoRelativePath,
-    thumbnail: thumbnailPath,
-    categories: req.body.categories ? JSON.parse(req.body.categories) : [],
-    tags: req.body.tags ? JSON.parse(req.body.tags) : [],
-    isPublished: req.body.isPublished === 'false' ? false : true,
-    allowComments: req.body.allowComments === 'false' ? false : true
-  };
-
-  const video = await Video.create(videoData);
-  console.log('Created video record:', JSON.stringify(video, null, 2));
-
-  // Generate article from video using OpenAI
-  try {
-    console.log('Generating article from video...');
-    // The OpenAI service now handles API key checks, retries, and fallbacks internally
-    const { title, content } = await generateArticleFromVideo(video.title, video.description);
-    
-    // Create article linked to the video
-    const articleData = {
-      title,
-      content,
-      author: req.user._id,
-      summary: video.description,
-      tags: video.tags,
-      categories: video.categories,
-      relatedVideo: video._id,
-      status: 'published',
-      isPublished: true
-    };
-    
-    const article = await Article.create(articleData);
-    console.log('Created article from video:', article._id);
-    
-    // Return both video and generated article
-    res.status(201).json({
-      status: 'success',
-      data: {
-        video,
-        generatedArticle: {
-          id: article._id,
-          title: article.title
-        }
-      }
-    });
-  } catch (error) {
-    console.error('Error generating article:', error);
-    // Continue with response even if article generation fails
-    res.status(201).json({
-      status: 'success',
-      data: {
-        video
-      }
-    });
-  }
+  res.status(201).json({
+    status: 'success',
+    data: {
+      video,
+      jobs,
+      warnings
+    }
+  });
 });
 
 // Get all videos with pagination
@@ -769,14 +1003,16 @@ export const getAllVideos = catchAsync(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
-  const videos = await Video.find({ isPublished: true })
+  const filter = await getListedVideoFilter(req.user?._id);
+
+  const videos = await Video.find(filter)
     .populate('creator', 'name avatar')
     .populate('categories', 'name')
     .sort('-createdAt')
     .skip(skip)
     .limit(limit);
 
-  const total = await Video.countDocuments({ isPublished: true });
+  const total = await Video.countDocuments(filter);
 
   res.status(200).json({
     status: 'success',
@@ -794,26 +1030,288 @@ export const getAllVideos = catchAsync(async (req, res) => {
 
 // Get single video
 export const getVideo = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Invalid video ID format', 400));
+  }
+
   const video = await Video.findById(req.params.id)
     .populate('creator', 'name avatar')
     .populate('categories', 'name');
 
-  if (!video) {
+  // Unpublished, scheduled and private videos are only visible to their creator and admins
+  if (!video || !(await canViewVideo(video, req.user))) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  // Position in the series (or the playlist being played) and the video to auto-advance to
+  const series = await getSeriesNavigation(video._id, req.query.playlist);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      video,
+      series,
+      stream: createSignedStreamUrl(req, video._id)
+    }
+  });
+});
+
+/**
+ * Report watch progress and count a view once the viewer has watched enough.
+ * Watch time is only credited as fast as real time passes between reports.
+ * Each viewer is counted once per deduplication window.
+ * @route POST /api/videos/:id/views
+ * @access Public (identifies the viewer by token when provided)
+ * @body {number} watchedSeconds - Seconds watched in this session
+ * @body {string} [source] - feed, search, profile, share or other
+ */
+export const recordVideoView = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Invalid video ID format', 400));
+  }
+
+  const watchedSeconds = Number(req.body.watchedSeconds);
+  if (!Number.isFinite(watchedSeconds) || watchedSeconds < 0) {
+    return next(new AppError('watchedSeconds must be a positive number', 400));
+  }
+
+  const video = await Video.findById(req.params.id).select('creator duration isPublished visibility');
+  // Creators watching their own unpublished video are not counted
+  if (!video || !video.isPublished || !(await canViewVideo(video, req.user))) {
     return next(new AppError('No video found with that ID', 404));
   }
 
-  // Increment views
-  video.views += 1;
-  await video.save();
+  const creditedSeconds = await creditWatchedSeconds({ req, contentId: video._id.toString(), watchedSeconds });
+  const requiredSeconds = getRequiredWatchSeconds(video.duration);
+  const result = creditedSeconds < requiredSeconds
+    ? { counted: false, reason: `Watch at least ${requiredSeconds} seconds for a view` }
+    : await recordView({ req, contentType: 'Video', content: video });
+
+  if (result.counted) {
+    await recordViewEvent({ videoId: video._id, viewer: getViewerKey(req), source: req.body.source });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Load a video the current user may modify (its creator or an admin)
+ * @param {Object} req - Express request object
+ * @param {string} action - Verb used in the error message
+ * @returns {Promise<Object>} - Video document
+ */
+const findOwnedVideo = async (req, action) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    throw new AppError('No video found with that ID', 404);
+  }
+
+  if (video.creator.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError(`You are not authorized to ${action} this video`, 403);
+  }
+
+  return video;
+};
+
+/**
+ * Get daily views, retention, traffic sources and engagement of a video
+ * @route GET /api/videos/:id/analytics
+ * @access Private (creator or admin)
+ * @query {string} [from] - First day (YYYY-MM-DD), defaults to 27 days before "to"
+ * @query {string} [to] - Last day (YYYY-MM-DD), defaults to today
+ */
+export const getVideoAnalytics = catchAsync(async (req, res) => {
+  const video = await findOwnedVideo(req, 'view analytics of');
+  const range = parseAnalyticsRange(req.query);
+
+  const analytics = await buildVideoAnalytics(video, range);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      videoId: video._id,
+      lifetimeViews: video.views,
+      ...analytics
+    }
+  });
+});
+
+/**
+ * Update a video's details and optionally replace its thumbnail
+ * @route PATCH /api/videos/:id
+ * @access Private (creator or admin)
+ */
+export const updateVideo = catchAsync(async (req, res, next) => {
+  const newThumbnailPath = req.file ? req.file.path : undefined;
+
+  let video;
+  let updatedVideo;
+  let storedThumbnail;
+  try {
+    video = await findOwnedVideo(req, 'update');
+
+    const updateData = {};
+
+    if (req.body.title !== undefined) updateData.title = req.body.title;
+    if (req.body.description !== undefined) updateData.description = req.body.description;
+    if (req.body.tags !== undefined) updateData.tags = parseListField(req.body.tags, 'tags');
+    if (req.body.categories !== undefined) updateData.categories = parseListField(req.body.categories, 'categories');
+    if (req.body.allowComments !== undefined) {
+      updateData.allowComments = parseBooleanField(req.body.allowComments, video.allowComments);
+    }
+    if (req.body.isPublished !== undefined) {
+      updateData.isPublished = parseBooleanField(req.body.isPublished, video.isPublished);
+    }
+    const visibility = parseVisibility(req.body.visibility);
+    if (visibility) updateData.visibility = visibility;
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt && updateData.isPublished) {
+      throw new AppError('Send either isPublished: true or a publishAt date, not both', 400);
+    }
+    if (publishAt) {
+      // Scheduling a published video takes it offline until publishAt
+      updateData.publishAt = publishAt;
+      updateData.isPublished = false;
+    } else if (publishAt === null || updateData.isPublished) {
+      updateData.$unset = { publishAt: 1 };
+    }
+    if (Object.keys(updateData).length === 0 && !req.file) {
+      throw new AppError('No updatable fields provided', 400);
+    }
+    if (req.file) {
+      storedThumbnail = await storeFile(STORAGE_AREAS.THUMBNAILS, newThumbnailPath);
+      updateData.thumbnail = storedThumbnail;
+    }
+
+    updatedVideo = await Video.findByIdAndUpdate(
+      video._id,
+      updateData,
+      { new: true, runValidators: true }
+    ).populate('creator', 'name avatar');
+  } catch (error) {
+    // Do not keep a thumbnail for an update that did not happen
+    removeFileIfExists(newThumbnailPath);
+    await removeStoredFile(STORAGE_AREAS.THUMBNAILS, storedThumbnail);
+    throw error;
+  }
+
+  // The old thumbnail is only deleted once the new one is saved
+  if (req.file) {
+    await removeThumbnailFile(video.thumbnail);
+  }
+
+  if (req.body.isPublished !== undefined || req.body.publishAt !== undefined || req.body.visibility !== undefined) {
+    await syncRelatedArticleSchedule(updatedVideo);
+  }
+
+  await clearVideoCaches(video._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      video: updatedVideo
+    }
+  });
+});
+
+/**
+ * Use one of the frames extracted at upload as the video's thumbnail
+ * @route PUT /api/videos/:id/thumbnail
+ * @access Private (creator or admin)
+ * @body {number} candidate - Position of the frame in the video's thumbnailCandidates
+ */
+export const selectThumbnail = catchAsync(async (req, res, next) => {
+  const video = await findOwnedVideo(req, 'update');
+  const candidates = video.thumbnailCandidates;
+
+  if (candidates.length === 0) {
+    return next(new AppError('Thumbnail candidates have not been generated yet', 409));
+  }
+
+  const index = Number(req.body.candidate);
+  if (req.body.candidate === undefined || req.body.candidate === null || !Number.isInteger(index)
+    || index < 0 || index >= candidates.length) {
+    return next(new AppError(`candidate must be a number from 0 to ${candidates.length - 1}`, 400));
+  }
+
+  const { fileName } = candidates[index];
+  if (!fs.existsSync(path.join(getCandidatesDir(video._id), fileName))) {
+    return next(new AppError('Thumbnail candidate file not found', 404));
+  }
+
+  const thumbnail = await copyCandidateAsThumbnail(video, fileName);
+  const updatedVideo = await Video.findByIdAndUpdate(
+    video._id,
+    { thumbnail },
+    { new: true }
+  ).populate('creator', 'name avatar');
+
+  await removeThumbnailFile(video.thumbnail);
+
+  await clearVideoCaches(video._id);
 
   res.status(200).json({
     status: 'success',
     data: {
-      video
+      video: updatedVideo
     }
   });
 });
 
+/**
+ * Replace the media file of a video, keeping its page, engagement and article.
+ * Streams, storyboard and transcript are regenerated in the background.
+ * @route PUT /api/videos/:id/file
+ * @access Private (creator or admin)
+ * @body {File} video - New video file
+ */
+export const replaceVideo = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('No video file uploaded', 400));
+  }
+
+  let video;
+  try {
+    video = await findOwnedVideo(req, 'replace');
+  } catch (error) {
+    removeFileIfExists(req.file.path);
+    throw error;
+  }
+
+  const result = await replaceVideoFile(video, req.file.path);
+
+  await clearVideoCaches(video._id);
+
+  res.status(202).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Delete a video with its files, engagement and bookmarks
+ * @route DELETE /api/videos/:id
+ * @access Private (creator or admin)
+ */
+export const deleteVideo = catchAsync(async (req, res) => {
+  const video = await findOwnedVideo(req, 'delete');
+
+  await deleteVideoWithAssets(video);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
 /**
  * Get videos from a specific creator with pagination
  * @route GET /api/videos/creator/:creatorId
@@ -842,14 +1340,16 @@ export const getCreatorVideos = catchAsync(async (req, res) => {
     return res.json(cachedData);
   }
 
+  // Creators see all their published videos here, other users the ones listed to them
+  const isOwnPage = userId && userId.toString() === creatorId;
+  const match = {
+    ...(isOwnPage ? { isPublished: true } : await getListedVideoFilter(userId)),
+    creator: new mongoose.Types.ObjectId(creatorId)
+  };
+
   // Build aggregation pipeline
   const pipeline = [
-    { 
-      $match: { 
-        creator: new mongoose.Types.ObjectId(creatorId),
-        isPublished: true 
-      } 
-    },
+    { $match: match },
     { $sort: { createdAt: -1 } },
     { $skip: skip },
     { $limit: limit },
@@ -976,15 +1476,14 @@ export const getCreatorVideos = catchAsync(async (req, res) => {
       bookmarkInfo: 0,
       'creator.password': 0,
       'creator.email': 0,
+      fingerprint: 0,
+      duplicateOf: 0,
       // Ensure handle is not excluded
     }
   });
 
   // Get total count for pagination
-  const totalCount = await Video.countDocuments({ 
-    creator: new mongoose.Types.ObjectId(creatorId),
-    isPublished: true 
-  });
+  const totalCount = await Video.countDocuments(match);
 
   // Execute aggregation
   const videos = await Video.aggregate(pipeline);
@@ -1004,4 +1503,70 @@ export const getCreatorVideos = catchAsync(async (req, res) => {
   await setCache(cacheKey, response, 300); // Cache for 5 minutes
 
   res.json(response);
-});
\ No newline at end of file
+});
+
+/**
+ * List uploads that duplicate each other: groups of identical files, and
+ * videos whose perceptual fingerprint is close to other videos
+ * @route GET /api/videos/duplicates
+ * @access Private (admin)
+ */
+export const getDuplicateVideos = catchAsync(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+
+  const [exactGroups, nearDuplicates] = await Promise.all([
+    Video.aggregate([
+      { $match: { 'fingerprint.sha256': { $exists: true } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$fingerprint.sha256',
+          count: { $sum: 1 },
+          lastUploadedAt: { $max: '$createdAt' },
+          videos: {
+            $push: {
+              _id: '$_id',
+              title: '$title',
+              creator: '$creator',
+              duplicateOf: '$duplicateOf',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { lastUploadedAt: -1 } },
+      { $skip: skip },
+      { $limit: limit }
+    ]),
+    Video.find({ 'fingerprint.nearDuplicates.0': { $exists: true } })
+      .select('title creator createdAt +fingerprint.nearDuplicates')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('creator', 'name')
+      .populate('fingerprint.nearDuplicates.video', 'title creator createdAt')
+      .lean()
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      exact: exactGroups.map(group => ({
+        sha256: group._id,
+        count: group.count,
+        videos: group.videos
+      })),
+      near: nearDuplicates.map(video => ({
+        _id: video._id,
+        title: video.title,
+        creator: video.creator,
+        createdAt: video.createdAt,
+        matches: video.fingerprint.nearDuplicates.filter(match => match.video)
+      })),
+      pagination: { page, limit }
+    }
+  });
+});
@@ -0,0 +1,291 @@
+import mongoose from 'mongoose';
+import Video from '../models/videoModel.js';
+import User from '../models/userModel.js';
+import WatchHistory from '../models/watchHistoryModel.js';
+import { catchAsync } from '../utils/catchAsync.js';
+import AppError from '../utils/appError.js';
+import { recordWatchProgress } from '../services/videoAnalyticsService.js';
+import { filterViewableVideos, canViewVideo } from '../services/videoVisibilityService.js';
+
+// Watch progress configuration
+const WATCH_CONFIG = {
+  // Share of a video after which it counts as watched
+  COMPLETION_PERCENT: 90,
+  // Videos stopped earlier than this are not offered in "continue watching"
+  MIN_RESUME_SECONDS: 10,
+  // Allowance for client clocks and request latency when checking reported watch time
+  WATCH_TIME_SLACK_SECONDS: 5
+};
+
+// Fields of the video returned with history entries
+const HISTORY_VIDEO_POPULATE = {
+  path: 'video',
+  select: 'title thumbnail duration views creator isPublished visibility',
+  populate: { path: 'creator', select: 'name profilePicture handle' }
+};
+
+/**
+ * Position a player should start from: videos left near the end start over
+ * @param {Object} entry - Watch history entry with the video's duration populated
+ * @returns {number} - Seconds
+ */
+const getResumePosition = (entry) => {
+  const duration = entry.video?.duration || 0;
+  if (duration > 0 && entry.position >= duration * WATCH_CONFIG.COMPLETION_PERCENT / 100) {
+    return 0;
+  }
+  return entry.position;
+};
+
+/**
+ * Shape a watch history entry for responses
+ * @param {Object} entry - Lean watch history entry
+ * @returns {Object}
+ */
+const formatEntry = (entry) => ({
+  ...entry,
+  resumePosition: getResumePosition(entry)
+});
+
+/**
+ * Validate a video ID route parameter
+ * @param {string} videoId - Route parameter
+ */
+const assertValidVideoId = (videoId) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) {
+    throw new AppError('Invalid video ID format', 400);
+  }
+};
+
+/**
+ * Record the playback position of the current user
+ * @route POST /api/videos/:id/progress
+ * @access Private
+ * @body {number} position - Current position in seconds
+ * @body {number} [watchedSeconds] - Seconds watched since the previous report
+ */
+export const recordProgress = catchAsync(async (req, res, next) => {
+  assertValidVideoId(req.params.id);
+
+  const position = Number(req.body.position);
+  const watchedSeconds = req.body.watchedSeconds === undefined ? 0 : Number(req.body.watchedSeconds);
+
+  if (!Number.isFinite(position) || position < 0) {
+    return next(new AppError('position must be a number of seconds', 400));
+  }
+  if (!Number.isFinite(watchedSeconds) || watchedSeconds < 0) {
+    return next(new AppError('watchedSeconds must be a positive number', 400));
+  }
+
+  if (req.user.watchHistoryPaused) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        recorded: false,
+        reason: 'Watch history is paused'
+      }
+    });
+  }
+
+  const video = await Video.findById(req.params.id).select('duration creator isPublished visibility');
+  if (!video || !(await canViewVideo(video, req.user))) {
+    return next(new AppError('No video found with that ID', 404));
+  }
+
+  const now = new Date();
+  const duration = video.duration || 0;
+  const clampedPosition = duration > 0 ? Math.min(position, duration) : position;
+  const percent = duration > 0 ? Math.round((clampedPosition / duration) * 1000) / 10 : 0;
+
+  const existing = await WatchHistory.findOne({ user: req.user._id, video: video._id }).lean();
+
+  // Reported watch time cannot exceed the time since the previous report
+  const maxWatchedSeconds = existing
+    ? (now - existing.lastWatchedAt) / 1000 + WATCH_CONFIG.WATCH_TIME_SLACK_SECONDS
+    : (duration || watchedSeconds);
+  const countedSeconds = Math.round(Math.min(watchedSeconds, maxWatchedSeconds) * 10) / 10;
+
+  const entry = await WatchHistory.findOneAndUpdate(
+    { user: req.user._id, video: video._id },
+    {
+      $set: {
+        position: clampedPosition,
+        progressPercent: Math.max(existing ? existing.progressPercent : 0, percent),
+        completed: (existing && existing.completed) || percent >= WATCH_CONFIG.COMPLETION_PERCENT,
+        lastWatchedAt: now
+      },
+      $inc: { watchTime: countedSeconds }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  await recordWatchProgress({
+    videoId: video._id,
+    previousPercent: existing ? existing.progressPercent : null,
+    percent,
+    watchedSeconds: countedSeconds
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recorded: true,
+      progress: formatEntry({ ...entry, video: { _id: video._id, duration } })
+    }
+  });
+});
+
+/**
+ * Get the current user's progress on a video, to resume playback
+ * @route GET /api/videos/:id/progress
+ * @access Private
+ */
+export const getVideoProgress = catchAsync(async (req, res) => {
+  assertValidVideoId(req.params.id);
+
+  const entry = await WatchHistory.findOne({ user: req.user._id, video: req.params.id })
+    .populate('video', 'duration')
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      progress: entry
+        ? formatEntry(entry)
+        : { video: req.params.id, position: 0, progressPercent: 0, completed: false, watchTime: 0, resumePosition: 0 }
+    }
+  });
+});
+
+/**
+ * Get the current user's watch history, most recent first
+ * @route GET /api/videos/user/history
+ * @access Private
+ */
+export const getWatchHistory = catchAsync(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+  const skip = (page - 1) * limit;
+
+  // Videos unpublished, made private or no longer followed since they were watched
+  // are left out, so the whole history is checked before a page is taken
+  const allEntries = await WatchHistory.find({ user: req.user._id })
+    .sort({ lastWatchedAt: -1 })
+    .select('video')
+    .populate({ path: 'video', select: 'creator isPublished visibility' })
+    .lean();
+  const viewable = new Set((await filterViewableVideos(
+    allEntries.map(entry => entry.video).filter(Boolean),
+    req.user
+  )).map(video => video._id.toString()));
+  const viewableEntries = allEntries.filter(entry => entry.video && viewable.has(entry.video._id.toString()));
+  const total = viewableEntries.length;
+
+  const entries = await WatchHistory.find({
+    _id: { $in: viewableEntries.slice(skip, skip + limit).map(entry => entry._id) }
+  })
+    .sort({ lastWatchedAt: -1 })
+    .populate(HISTORY_VIDEO_POPULATE)
+    .lean();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paused: Boolean(req.user.watchHistoryPaused),
+      history: entries.filter(entry => entry.video).map(formatEntry),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    }
+  });
+});
+
+/**
+ * Get started but unfinished videos for the "continue watching" shelf
+ * @route GET /api/videos/user/continue-watching
+ * @access Private
+ */
+export const getContinueWatching = catchAsync(async (req, res) => {
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+
+  const entries = await WatchHistory.find({
+    user: req.user._id,
+    completed: false,
+    position: { $gte: WATCH_CONFIG.MIN_RESUME_SECONDS }
+  })
+    .sort({ lastWatchedAt: -1 })
+    .limit(limit)
+    .populate(HISTORY_VIDEO_POPULATE)
+    .lean();
+
+  // Videos unpublished, made private or no longer followed since they were watched drop out
+  const viewable = new Set((await filterViewableVideos(
+    entries.map(entry => entry.video).filter(video => video && video.isPublished),
+    req.user
+  )).map(video => video._id.toString()));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      videos: entries
+        .filter(entry => entry.video && viewable.has(entry.video._id.toString()))
+        .map(formatEntry)
+    }
+  });
+});
+
+/**
+ * Clear the current user's watch history
+ * @route DELETE /api/videos/user/history
+ * @access Private
+ */
+export const clearWatchHistory = catchAsync(async (req, res) => {
+  await WatchHistory.deleteMany({ user: req.user._id });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Remove one video from the current user's watch history
+ * @route DELETE /api/videos/user/history/:videoId
+ * @access Private
+ */
+export const removeWatchHistoryEntry = catchAsync(async (req, res, next) => {
+  assertValidVideoId(req.params.videoId);
+
+  const result = await WatchHistory.findOneAndDelete({ user: req.user._id, video: req.params.videoId });
+  if (!result) {
+    return next(new AppError('Video is not in your watch history', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Pause or resume recording of the current user's watch history
+ * @route PUT /api/videos/user/history/pause
+ * @access Private
+ * @body {boolean} paused
+ */
+export const setWatchHistoryPaused = catchAsync(async (req, res, next) => {
+  if (typeof req.body.paused !== 'boolean') {
+    return next(new AppError('paused must be true or false', 400));
+  }
+
+  await User.findByIdAndUpdate(req.user._id, { watchHistoryPaused: req.body.paused });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paused: req.body.paused
+    }
+  });
+});
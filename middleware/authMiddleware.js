@@ -29,6 +29,16 @@ export const protect = (req, res, next) => {
   })(req, res, next);
 };
 
+// Middleware that identifies the user when a valid token is sent, but lets anonymous requests through
+export const optionalAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user) => {
+    if (!err && user && user.active) {
+      req.user = user;
+    }
+    next();
+  })(req, res, next);
+};
+
 // Middleware to restrict to certain roles
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -1,14 +1,10 @@
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { STORAGE_AREAS, getLocalDir } from '../services/storageService.js';
 
-// ES module equivalent of __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Ensure uploads directory exists
-const profileUploadsDir = path.join(__dirname, '../uploads/profiles');
+// Uploads are received on disk, then moved to the storage backend by the controllers
+const profileUploadsDir = getLocalDir(STORAGE_AREAS.PROFILES);
 if (!fs.existsSync(profileUploadsDir)) {
   fs.mkdirSync(profileUploadsDir, { recursive: true });
 }
@@ -27,6 +23,26 @@ const profileStorage = multer.diskStorage({
   }
 });
 
+// Accepted video mimetypes and the extension used when storing them
+export const VIDEO_MIME_EXTENSIONS = {
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov'
+};
+
+/**
+ * Build the stored file name of an uploaded video
+ * @param {string} userId - Uploading user
+ * @param {string} mimetype - Video mimetype
+ * @returns {string} - File name inside uploads/videos
+ */
+export const buildVideoFilename = (userId, mimetype) => {
+  const timestamp = Date.now();
+  const uniqueSuffix = Math.round(Math.random() * 1E9);
+  const ext = VIDEO_MIME_EXTENSIONS[mimetype] || '.mp4';
+  return `video-${userId}-${timestamp}-${uniqueSuffix}${ext}`.replace(/\s+/g, '');
+};
+
 // Add image file filter for thumbnails
 const imageFileFilter = (req, file, cb) => {
   const allowedFileTypes = /jpeg|jpg|png|gif|webp/;
@@ -43,8 +59,7 @@ const imageFileFilter = (req, file, cb) => {
 const customFileFilter = (req, file, cb) => {
   if (file.fieldname === 'video') {
     // Only accept video files
-    const allowedTypes = ['video/mp4', 'video/webm', 'video/quicktime'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (VIDEO_MIME_EXTENSIONS[file.mimetype]) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type for video. Only MP4, WebM, and QuickTime videos are allowed.'), false);
@@ -73,6 +88,22 @@ export const uploadProfilePicture = multer({
   fileFilter: imageFileFilter
 }).single('profilePicture');
 
+// Caption files are small text files, parsed and converted before being written
+export const uploadCaption = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024, // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.vtt' || ext === '.srt') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only WebVTT (.vtt) and SubRip (.srt) caption files are allowed'));
+    }
+  }
+}).single('caption');
+
 // Middleware to handle multer errors
 export const handleUploadErrors = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -93,9 +124,9 @@ const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     let uploadDir;
     if (file.fieldname === 'video') {
-      uploadDir = path.join(__dirname, '../uploads/videos');
+      uploadDir = getLocalDir(STORAGE_AREAS.VIDEOS);
     } else if (file.fieldname === 'thumbnail') {
-      uploadDir = path.join(__dirname, '../uploads/thumbnails');
+      uploadDir = getLocalDir(STORAGE_AREAS.THUMBNAILS);
     } else {
       return cb(new Error('Invalid field name'));
     }
@@ -112,16 +143,7 @@ const storage = multer.diskStorage({
     
     if (file.fieldname === 'video') {
       // Handle video filename
-      const uniqueSuffix = Math.round(Math.random() * 1E9);
-      let ext;
-      switch (file.mimetype) {
-        case 'video/mp4': ext = '.mp4'; break;
-        case 'video/webm': ext = '.webm'; break;
-        case 'video/quicktime': ext = '.mov'; break;
-        default: ext = '.mp4';
-      }
-      const filename = `video-${userId}-${timestamp}-${uniqueSuffix}${ext}`.replace(/\s+/g, '');
-      cb(null, filename);
+      cb(null, buildVideoFilename(userId, file.mimetype));
     } else if (file.fieldname === 'thumbnail') {
       // Handle thumbnail filename
       const ext = path.extname(file.originalname).toLowerCase();
@@ -162,4 +184,15 @@ export const handleVideoUploadErrors = (err, req, res, next) => {
   next();
 };
 
+// Middleware to handle caption upload errors
+export const handleCaptionUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Caption file size too large. Maximum size is 1MB.'
+    });
+  }
+  handleVideoUploadErrors(err, req, res, next);
+};
+
 export default upload; 
\ No newline at end of file
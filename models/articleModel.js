@@ -45,15 +45,20 @@ const articleSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
-  }
+  },
+  // Scheduled articles are published by the publishing job at this time
+  publishAt: Date,
+  // Draft held back until its related video is published and public
+  publishWithVideo: Boolean
 }, {
   timestamps: true
 });
 
 // Add index for search
 articleSchema.index({ title: 'text', content: 'text', summary: 'text', tags: 'text' });
+articleSchema.index({ publishAt: 1 }, { sparse: true });
 
 const Article = mongoose.model('Article', articleSchema);
 
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const bookmarkCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Video whose thumbnail is shown as the cover
+  coverVideo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  // private: owner only, unlisted: anyone with the share link, public: also listed on the profile
+  visibility: {
+    type: String,
+    enum: ['private', 'unlisted', 'public'],
+    default: 'private'
+  },
+  // Secret part of the share link, set while the collection is unlisted or public
+  shareToken: String,
+  // Order of the collection in the owner's list
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Collection names are unique per user
+bookmarkCollectionSchema.index({ user: 1, name: 1 }, { unique: true });
+bookmarkCollectionSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+const BookmarkCollection = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
+
+export default BookmarkCollection;
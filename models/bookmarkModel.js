@@ -20,10 +20,20 @@ const bookmarkSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Notes cannot be more than 200 characters']
   },
+  // Kept in sync with the name of bookmarkCollection for older clients
   collectionName: {
     type: String,
     default: 'Default',
     trim: true
+  },
+  bookmarkCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookmarkCollection'
+  },
+  // Order inside the collection, lowest first
+  position: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -31,6 +41,7 @@ const bookmarkSchema = new mongoose.Schema({
 
 // Ensure a user can bookmark a video only once
 bookmarkSchema.index({ user: 1, video: 1 }, { unique: true });
+bookmarkSchema.index({ bookmarkCollection: 1, position: 1 });
 
 const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
 
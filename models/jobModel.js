@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // User who triggered the job (allowed to read its status)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Video the job works on, if any
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run (pushed back between retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  // Recurring jobs are a single document that is requeued after every run
+  recurringKey: String,
+  repeatIntervalMs: Number
+}, {
+  timestamps: true
+});
+
+// Index used by workers to claim the next due job
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ video: 1, status: 1 });
+jobSchema.index({ recurringKey: 1 }, { unique: true, sparse: true });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const playlistFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: [true, 'Playlist is required']
+  }
+}, {
+  timestamps: true
+});
+
+// A user follows a playlist only once
+playlistFollowSchema.index({ user: 1, playlist: 1 }, { unique: true });
+playlistFollowSchema.index({ playlist: 1 });
+
+const PlaylistFollow = mongoose.model('PlaylistFollow', playlistFollowSchema);
+
+export default PlaylistFollow;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const playlistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  // A series only holds its creator's videos and is watched in order
+  kind: {
+    type: String,
+    enum: ['playlist', 'series'],
+    default: 'playlist'
+  },
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  // Videos in playback order
+  videos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  }],
+  followerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+playlistSchema.index({ creator: 1, updatedAt: -1 });
+playlistSchema.index({ videos: 1 });
+
+const Playlist = mongoose.model('Playlist', playlistSchema);
+
+export default Playlist;
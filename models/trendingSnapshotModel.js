@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const trendingSnapshotSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['video', 'article', 'tag'],
+    required: true
+  },
+  // Rolling window the scores were computed over, e.g. '24h'
+  window: {
+    type: String,
+    required: true
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Highest score first
+  items: [{
+    _id: false,
+    // Video or article ID (not set for tags)
+    refId: mongoose.Schema.Types.ObjectId,
+    tag: String,
+    score: Number,
+    // Engagement counted inside the window (views are estimated)
+    views: Number,
+    likes: Number,
+    comments: Number,
+    shares: Number,
+    // Number of videos and articles carrying the tag
+    itemCount: Number
+  }]
+}, {
+  timestamps: true
+});
+
+trendingSnapshotSchema.index({ kind: 1, window: 1, computedAt: -1 });
+
+const TrendingSnapshot = mongoose.model('TrendingSnapshot', trendingSnapshotSchema);
+
+export default TrendingSnapshot;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    required: [true, 'File name is required']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'Mimetype is required']
+  },
+  // Total size announced by the client, in bytes
+  totalSize: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File size must be greater than 0']
+  },
+  // Number of bytes received and persisted so far
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Optional SHA-256 (hex) of the whole file, verified on completion
+  checksum: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a hex encoded SHA-256 digest']
+  },
+  // File receiving the chunks, inside uploads/videos
+  partFile: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'aborted'],
+    default: 'active'
+  },
+  // Set while a chunk is being appended so two requests cannot write at once
+  writeLockedAt: Date,
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ user: 1, status: 1 });
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
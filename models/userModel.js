@@ -82,6 +82,11 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['verified', 'trending', 'top-creator', 'rising-star']
     }],
+    // Badges given by jobs such as the trending job, which only revoke these
+    autoBadges: [{
+      type: String,
+      enum: ['verified', 'trending', 'top-creator', 'rising-star']
+    }],
     specialization: [String],
     applicationDate: Date,
     approvalDate: Date,
@@ -109,6 +114,11 @@ const userSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // When set, watch progress is not recorded
+  watchHistoryPaused: {
+    type: Boolean,
+    default: false
+  },
   googleId: String,
   appleId: String,
   resetPasswordToken: String,
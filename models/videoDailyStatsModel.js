@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Where viewers came from when they started watching
+export const TRAFFIC_SOURCES = ['feed', 'search', 'profile', 'share', 'other'];
+
+// Width of a retention bucket in percent of the video
+export const RETENTION_STEP = 5;
+
+// Counters of one video for one UTC day. Events are added with $inc
+// into the bucket of their day instead of being stored one by one.
+const videoDailyStatsSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Midnight UTC of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueViewers: {
+    type: Number,
+    default: 0
+  },
+  // Seconds watched, from playback progress reports
+  watchTime: {
+    type: Number,
+    default: 0
+  },
+  sources: {
+    feed: { type: Number, default: 0 },
+    search: { type: Number, default: 0 },
+    profile: { type: Number, default: 0 },
+    share: { type: Number, default: 0 },
+    other: { type: Number, default: 0 }
+  },
+  // HyperLogLog registers of the viewers who counted a view this day
+  // (utils/hyperLogLog.js), merged to count unique viewers over several days
+  viewerSketch: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Viewers who first reached each point of the video this day,
+  // keyed by the start of the bucket in percent ("0", "5", ... "100")
+  retention: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+});
+
+videoDailyStatsSchema.index({ video: 1, date: 1 }, { unique: true });
+
+const VideoDailyStats = mongoose.model('VideoDailyStats', videoDailyStatsSchema);
+
+export default VideoDailyStats;
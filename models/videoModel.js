@@ -1,5 +1,99 @@
 import mongoose from 'mongoose';
 
+// A subtitle track, stored as WebVTT in uploads/captions/<video ID>/
+const captionTrackSchema = new mongoose.Schema({
+  // BCP 47 language tag, one track per language
+  language: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Format of the uploaded file; tracks are always served as WebVTT
+  sourceFormat: {
+    type: String,
+    enum: ['vtt', 'srt'],
+    default: 'vtt'
+  },
+  cueCount: {
+    type: Number,
+    default: 0
+  },
+  // upload: sent by the creator, transcription: generated from the audio
+  source: {
+    type: String,
+    enum: ['upload', 'transcription'],
+    default: 'upload'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false,
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+captionTrackSchema.virtual('url').get(function() {
+  return `/api/videos/${this.parent()._id}/captions/${this.language}`;
+});
+
+// A frame offered as thumbnail, stored in uploads/thumbnails/candidates/<video ID>/
+// and served by GET /api/videos/:id/thumbnail-candidates/:file
+const thumbnailCandidateSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Position of the frame in seconds
+  time: Number
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+thumbnailCandidateSchema.virtual('url').get(function() {
+  return `/api/videos/${this.parent()._id}/thumbnail-candidates/${this.fileName}`;
+});
+
+// Short silent looping excerpt for hover and autoplay in feeds,
+// stored in uploads/previews/<video ID>/ and served by GET /api/videos/:id/preview/:file
+const previewClipSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  mp4: String,
+  webp: String,
+  // Excerpt of the video, in seconds
+  start: Number,
+  duration: Number,
+  generatedAt: Date,
+  error: String
+}, {
+  _id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+previewClipSchema.virtual('mp4Url').get(function() {
+  return this.mp4 ? `/api/videos/${this.parent()._id}/preview/${this.mp4}` : null;
+});
+
+previewClipSchema.virtual('webpUrl').get(function() {
+  return this.webp ? `/api/videos/${this.parent()._id}/preview/${this.webp}` : null;
+});
+
 const videoSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -25,10 +119,31 @@ const videoSchema = new mongoose.Schema({
     type: String,
     default: 'default-thumbnail.png'
   },
+  // Frames the creator can pick the thumbnail from
+  thumbnailCandidates: [thumbnailCandidateSchema],
+  previewClip: {
+    type: previewClipSchema,
+    default: () => ({})
+  },
+  // Duration in seconds, read with ffprobe at upload
   duration: {
     type: Number,
     default: 0
   },
+  // Technical metadata read with ffprobe at upload (display values, after rotation)
+  mediaInfo: {
+    width: Number,
+    height: Number,
+    aspectRatio: String,
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number,
+    frameRate: Number,
+    rotation: {
+      type: Number,
+      default: 0
+    }
+  },
   categories: [{
     type: String,
     trim: true
@@ -57,6 +172,14 @@ const videoSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Embargo: the video stays unpublished until the publishing job reaches this time
+  publishAt: Date,
+  // Who can watch the video once published, see services/videoVisibilityService.js
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'followers-only', 'private'],
+    default: 'public'
+  },
   isPromoted: {
     type: Boolean,
     default: false
@@ -68,15 +191,127 @@ const videoSchema = new mongoose.Schema({
   linkedArticle: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Article'
+  },
+  // Overall state of the background jobs queued after upload
+  processingStatus: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'ready'
+  },
+  // Adaptive streaming renditions generated after upload
+  hls: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending'
+    },
+    directory: String,
+    renditions: [{
+      _id: false,
+      name: String,
+      height: Number,
+      resolution: String,
+      bandwidth: Number
+    }],
+    error: String
+  },
+  // Sprite sheets of frames at a fixed interval, for scrubbing previews
+  storyboard: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending'
+    },
+    // Seconds between frames
+    interval: Number,
+    tileWidth: Number,
+    tileHeight: Number,
+    columns: Number,
+    rows: Number,
+    sheetCount: Number,
+    frameCount: Number,
+    generatedAt: Date,
+    error: String
+  },
+  captions: [captionTrackSchema],
+  // Duplicate detection, see services/videoFingerprintService.js. Not part of API responses.
+  fingerprint: {
+    // SHA-256 (hex) of the file bytes
+    sha256: {
+      type: String,
+      select: false
+    },
+    // Difference hashes of evenly spaced frames, close for re-encodes of the same clip
+    perceptual: {
+      type: String,
+      select: false
+    },
+    // Videos that look the same, closest first
+    nearDuplicates: {
+      type: [{
+        _id: false,
+        video: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Video'
+        },
+        // Average differing bits per frame hash, out of 64
+        distance: Number
+      }],
+      select: false
+    },
+    computedAt: {
+      type: Date,
+      select: false
+    }
+  },
+  // Earlier upload with identical bytes, whose stored file this video shares
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    select: false
+  },
+  // Speech-to-text transcript of the audio track
+  transcript: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'processing', 'ready', 'failed'],
+      default: 'none'
+    },
+    provider: String,
+    language: String,
+    // Left out of queries unless selected, as it can be long
+    text: {
+      type: String,
+      select: false
+    },
+    error: String,
+    completedAt: Date
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Duplicate detection data is only shown to admins, through the duplicates endpoint
+    transform: function(doc, ret) {
+      delete ret.fingerprint;
+      delete ret.duplicateOf;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Create index for search functionality
 videoSchema.index({ title: 'text', description: 'text', tags: 'text' });
+videoSchema.index({ 'fingerprint.sha256': 1 });
+// Identical uploads share the HLS directory of the original
+videoSchema.index({ 'hls.directory': 1 }, { sparse: true });
+videoSchema.index({ publishAt: 1 }, { sparse: true });
+
+// Thumbnails are served to those who may watch the video, not from /uploads
+videoSchema.virtual('thumbnailUrl').get(function() {
+  return this.thumbnail ? `/api/videos/${this._id}/thumbnail/${this.thumbnail}` : null;
+});
 
 // Virtual field for like status (to be populated by query middleware)
 videoSchema.virtual('userLiked').get(function() {
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Views already counted, views per network and watch progress, used when
+// Redis is unavailable. Records expire with their window.
+const viewRecordSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['Video', 'Article'],
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Authenticated user ID or a hash identifying an anonymous viewer or a network
+  viewer: {
+    type: String,
+    required: true
+  },
+  // Views counted from one network in the rate limit window
+  count: Number,
+  // Watch time credited so far and when it was last reported
+  watchedSeconds: Number,
+  reportedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+viewRecordSchema.index({ contentType: 1, content: 1, viewer: 1 }, { unique: true });
+viewRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ViewRecord = mongoose.model('ViewRecord', viewRecordSchema);
+
+export default ViewRecord;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const watchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Last playback position in seconds, used to resume
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Furthest share of the video reached, 0-100
+  progressPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  // Total seconds spent watching, across sessions
+  watchTime: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per user and video
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
+
+const WatchHistory = mongoose.model('WatchHistory', watchHistorySchema);
+
+export default WatchHistory;
@@ -9,20 +9,16 @@ import {
   getCategories,
   getArticleByVideoId
 } from '../controllers/articleController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+import { STORAGE_AREAS, getLocalDir } from '../services/storageService.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
 
 const router = express.Router();
 
-// ES Module equivalent of __dirname
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure storage for featured images
-const featuredImagesDir = path.join(__dirname, '../uploads/featured-images');
+// Featured images are received here, then moved to the storage backend by the controller
+const featuredImagesDir = getLocalDir(STORAGE_AREAS.FEATURED_IMAGES);
 if (!fs.existsSync(featuredImagesDir)) {
   fs.mkdirSync(featuredImagesDir, { recursive: true });
 }
@@ -86,8 +82,8 @@ const handleUploadErrors = (err, req, res, next) => {
 router.get('/', getAllArticles);
 router.get('/categories', getCategories);
 router.get('/author/:authorId', getAuthorArticles);
-router.get('/video/:videoId', getArticleByVideoId);
-router.get('/:id', getArticle);
+router.get('/video/:videoId', optionalAuth, getArticleByVideoId);
+router.get('/:id', optionalAuth, getArticle);
 
 // Protected routes (require authentication)
 router.post('/upload', protect, uploadFeaturedImage, handleUploadErrors, uploadArticle);
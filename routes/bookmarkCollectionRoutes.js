@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  createCollection,
+  getCollections,
+  getCollection,
+  getSharedCollection,
+  updateCollection,
+  deleteCollection,
+  reorderCollections,
+  reorderCollectionBookmarks,
+  moveBookmarks,
+  regenerateShareLink
+} from '../controllers/bookmarkCollectionController.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes (read-only)
+router.get('/shared/:token', getSharedCollection);
+
+// Protected routes (require authentication)
+router.get('/', protect, getCollections);
+router.post('/', protect, createCollection);
+router.put('/order', protect, reorderCollections);
+
+// Public collections can be read by anyone, the rest by their owner
+router.get('/:id', optionalAuth, getCollection);
+router.patch('/:id', protect, updateCollection);
+router.delete('/:id', protect, deleteCollection);
+router.post('/:id/bookmarks', protect, moveBookmarks);
+router.put('/:id/bookmarks', protect, reorderCollectionBookmarks);
+router.post('/:id/share-link', protect, regenerateShareLink);
+
+export default router;
@@ -9,7 +9,7 @@ import {
   getFollowers,
   getFollowing
 } from '../controllers/engagementController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, optionalAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -20,7 +20,7 @@ router.post('/likes/toggle', protect, toggleLike);
 router.post('/comments', protect, createComment);
 router.put('/comments/:commentId', protect, updateComment);
 router.delete('/comments/:commentId', protect, deleteComment);
-router.get('/comments', getComments);
+router.get('/comments', optionalAuth, getComments);
 
 // Follow routes
 router.post('/follow/:targetUserId', protect, toggleFollow);
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getJobStatus } from '../controllers/jobController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes (require authentication)
+router.get('/:id', protect, getJobStatus);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  createPlaylist,
+  getPlaylists,
+  getPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistVideo,
+  removePlaylistVideo,
+  reorderPlaylistVideos,
+  followPlaylist,
+  unfollowPlaylist,
+  getFollowedPlaylists
+} from '../controllers/playlistController.js';
+import { protect, optionalAuth, restrictTo } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes (owners also see their private playlists)
+router.get('/', getPlaylists);
+router.get('/user/following', protect, getFollowedPlaylists);
+router.get('/:id', optionalAuth, getPlaylist);
+
+// Protected routes (require authentication)
+router.post('/', protect, restrictTo('creator', 'admin'), createPlaylist);
+router.patch('/:id', protect, updatePlaylist);
+router.delete('/:id', protect, deletePlaylist);
+router.post('/:id/videos', protect, addPlaylistVideo);
+router.put('/:id/videos', protect, reorderPlaylistVideos);
+router.delete('/:id/videos/:videoId', protect, removePlaylistVideo);
+router.post('/:id/follow', protect, followPlaylist);
+router.delete('/:id/follow', protect, unfollowPlaylist);
+
+export default router;
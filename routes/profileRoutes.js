@@ -9,7 +9,8 @@ import {
   approveCreator,
   rejectCreator,
   manageBadges,
-  getProfileByHandle
+  getProfileByHandle,
+  getCreatorAnalytics
 } from '../controllers/profileController.js';
 import { uploadProfilePicture, handleUploadErrors } from '../middleware/uploadMiddleware.js';
 
@@ -20,6 +21,7 @@ router.get('/user/:id', getProfileById);
 
 // Protected routes (logged in users)
 router.get('/me', protect, getCurrentProfile);
+router.get('/me/analytics', protect, restrictTo('creator', 'admin'), getCreatorAnalytics);
 router.put('/', protect, updateProfile);
 router.post('/upload-photo', protect, uploadProfilePicture, handleUploadErrors, uploadProfilePhoto);
 router.post('/creator-application', protect, applyForCreator);
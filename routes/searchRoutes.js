@@ -0,0 +1,10 @@
+import express from 'express';
+import { search, suggest } from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/suggest', suggest);
+router.get('/', search);
+
+export default router;
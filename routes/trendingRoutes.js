@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  getTrendingVideos,
+  getTrendingArticles,
+  getTrendingTags
+} from '../controllers/trendingController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/videos', getTrendingVideos);
+router.get('/articles', getTrendingArticles);
+router.get('/tags', getTrendingTags);
+
+export default router;
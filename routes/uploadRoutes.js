@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  createUploadSession,
+  getUploadStatus,
+  appendUploadChunk,
+  completeUpload,
+  abortUpload,
+  RESUMABLE_UPLOAD_CONFIG
+} from '../controllers/uploadController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Chunks arrive as raw bytes rather than JSON or multipart
+const parseChunk = express.raw({
+  type: 'application/offset+octet-stream',
+  limit: RESUMABLE_UPLOAD_CONFIG.MAX_CHUNK_SIZE
+});
+
+// Protected routes (require authentication)
+router.post('/', protect, createUploadSession);
+router.head('/:uploadId', protect, getUploadStatus);
+router.get('/:uploadId', protect, getUploadStatus);
+router.patch('/:uploadId', protect, parseChunk, appendUploadChunk);
+router.post('/:uploadId/complete', protect, completeUpload);
+router.delete('/:uploadId', protect, abortUpload);
+
+export default router;
@@ -11,29 +11,91 @@ import {
   uploadVideo,
   getAllVideos,
   getVideo,
-  getCreatorVideos
+  getCreatorVideos,
+  getDuplicateVideos,
+  getHlsMasterPlaylist,
+  getHlsRenditionFile,
+  getStoryboardVtt,
+  getStoryboardSprite,
+  getPreviewClipFile,
+  getThumbnailFile,
+  getThumbnailCandidate,
+  updateVideo,
+  replaceVideo,
+  selectThumbnail,
+  deleteVideo,
+  recordVideoView,
+  getVideoAnalytics
 } from '../controllers/videoController.js';
-import { protect } from '../middleware/authMiddleware.js';
-import upload, { handleVideoUploadErrors } from '../middleware/uploadMiddleware.js';
+import {
+  recordProgress,
+  getVideoProgress,
+  getWatchHistory,
+  getContinueWatching,
+  clearWatchHistory,
+  removeWatchHistoryEntry,
+  setWatchHistoryPaused
+} from '../controllers/watchHistoryController.js';
+import {
+  uploadCaptions,
+  getCaptions,
+  getCaptionTrack,
+  deleteCaptionTrack,
+  getTranscript,
+  requestTranscription
+} from '../controllers/captionController.js';
+import { protect, optionalAuth, restrictTo } from '../middleware/authMiddleware.js';
+import upload, {
+  handleVideoUploadErrors,
+  uploadCaption,
+  handleCaptionUploadErrors
+} from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
 // Public routes
-router.get('/feed', getVideoFeed);
+router.get('/feed', optionalAuth, getVideoFeed);
 router.get('/categories', getCategories);
-router.get('/creator/:creatorId', getCreatorVideos);
-router.get('/:id', getVideo);
-router.get('/:id/stream', streamVideoById);
-router.get('/', getAllVideos);
+router.get('/duplicates', protect, restrictTo('admin'), getDuplicateVideos);
+router.get('/creator/:creatorId', optionalAuth, getCreatorVideos);
+router.get('/:id', optionalAuth, getVideo);
+router.get('/:id/stream', optionalAuth, streamVideoById);
+router.post('/:id/views', optionalAuth, recordVideoView);
+router.get('/:id/hls/master.m3u8', optionalAuth, getHlsMasterPlaylist);
+router.get('/:id/hls/:rendition/:file', optionalAuth, getHlsRenditionFile);
+router.get('/:id/storyboard.vtt', optionalAuth, getStoryboardVtt);
+router.get('/:id/storyboard/:file', optionalAuth, getStoryboardSprite);
+router.get('/:id/preview/:file', optionalAuth, getPreviewClipFile);
+router.get('/:id/thumbnail/:file', optionalAuth, getThumbnailFile);
+router.get('/:id/thumbnail-candidates/:file', optionalAuth, getThumbnailCandidate);
+router.get('/:id/captions', optionalAuth, getCaptions);
+router.get('/:id/captions/:language', optionalAuth, getCaptionTrack);
+router.get('/:id/transcript', optionalAuth, getTranscript);
+router.get('/', optionalAuth, getAllVideos);
 
 // Protected routes (require authentication)
 router.post('/:id/bookmark', protect, bookmarkVideo);
 router.delete('/:id/bookmark', protect, removeBookmark);
 router.get('/user/bookmarks', protect, getUserBookmarks);
 router.get('/user/bookmark-collections', protect, getBookmarkCollections);
+router.post('/:id/progress', protect, recordProgress);
+router.get('/:id/progress', protect, getVideoProgress);
+router.get('/user/history', protect, getWatchHistory);
+router.delete('/user/history', protect, clearWatchHistory);
+router.put('/user/history/pause', protect, setWatchHistoryPaused);
+router.delete('/user/history/:videoId', protect, removeWatchHistoryEntry);
+router.get('/user/continue-watching', protect, getContinueWatching);
 router.post('/upload', protect, upload.fields([
   { name: 'video', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 }
 ]), handleVideoUploadErrors, uploadVideo);
+router.patch('/:id', protect, upload.single('thumbnail'), handleVideoUploadErrors, updateVideo);
+router.put('/:id/thumbnail', protect, selectThumbnail);
+router.put('/:id/file', protect, upload.single('video'), handleVideoUploadErrors, replaceVideo);
+router.delete('/:id', protect, deleteVideo);
+router.get('/:id/analytics', protect, getVideoAnalytics);
+router.post('/:id/captions', protect, uploadCaption, handleCaptionUploadErrors, uploadCaptions);
+router.delete('/:id/captions/:language', protect, deleteCaptionTrack);
+router.post('/:id/transcript', protect, requestTranscription);
 
 export default router; 
\ No newline at end of file
@@ -12,9 +12,23 @@ import videoRoutes from './routes/videoRoutes.js';
 import profileRoutes from './routes/profileRoutes.js';
 import engagementRoutes from './routes/engagementRoutes.js';
 import articleRoutes from './routes/articleRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import trendingRoutes from './routes/trendingRoutes.js';
+import playlistRoutes from './routes/playlistRoutes.js';
+import bookmarkCollectionRoutes from './routes/bookmarkCollectionRoutes.js';
 import { initRedis, closeRedis } from './utils/redisCache.js';
-import { ensureVideosDirExists } from './utils/videoStream.js';
+import { ensureVideosDirExists, ensureHlsDirExists } from './utils/videoStream.js';
 import { ensureProfilesDirExists, ensureFeaturedImagesDirExists } from './utils/fileSystem.js';
+import { startJobWorker, stopJobWorker } from './services/jobQueue.js';
+import { registerVideoProcessingJobs } from './services/videoProcessingJobs.js';
+import { registerTrendingJobs, scheduleTrendingJob } from './services/trendingService.js';
+import { registerViewJobs, scheduleViewFlushJob } from './services/viewCountingService.js';
+import { registerPublishingJobs, schedulePublishingJob } from './services/publishingService.js';
+import { registerMediaGcJobs, scheduleMediaGcJob } from './services/mediaGcService.js';
+import { joinRoom, getUserRoomId } from './utils/socketEvents.js';
+import { STORAGE_AREAS, isRemoteStorage, sendStoredFile } from './services/storageService.js';
 import cors from 'cors';
 
 // Load environment variables
@@ -33,10 +47,10 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 // CORS Configuration
 const corsOptions = {
   origin: FRONTEND_URL,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Range'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Range', 'Upload-Offset', 'Upload-Checksum'],
   credentials: true,
-  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type']
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type', 'Location', 'Upload-Offset', 'Upload-Length']
 };
 
 app.use(cors(corsOptions));
@@ -86,8 +100,53 @@ const connectDB = async () => {
   }
 };
 
+// Media that needs an access check is only served through the API:
+// videos by signed stream URLs, HLS, captions, storyboards, preview clips,
+// thumbnails and thumbnail candidates by their routes. Quarantined media is never served.
+const PROTECTED_UPLOAD_DIRS = [
+  'videos',
+  'hls',
+  'captions',
+  'storyboards',
+  'previews',
+  'thumbnails',
+  'quarantine'
+];
+const blockProtectedUploads = (req, res, next) => {
+  let requestedPath;
+  try {
+    // Resolved the way express.static does, so encoded or dotted paths cannot get around the check
+    requestedPath = path.posix.normalize(decodeURIComponent(req.path));
+  } catch {
+    return res.status(400).json({ message: 'Invalid path' });
+  }
+
+  const relativePath = requestedPath.split('/').filter(Boolean).join('/');
+  if (PROTECTED_UPLOAD_DIRS.some(dir => relativePath === dir || relativePath.startsWith(`${dir}/`))) {
+    return res.status(404).json({ message: 'Not found' });
+  }
+  next();
+};
+
+// Images kept in object storage are streamed from there. Missing ones fall through
+// to uploads/, which still holds the default images and files not yet migrated.
+const REMOTE_IMAGE_AREAS = [STORAGE_AREAS.PROFILES, STORAGE_AREAS.FEATURED_IMAGES];
+const serveRemoteUploads = async (req, res, next) => {
+  if (!isRemoteStorage() || (req.method !== 'GET' && req.method !== 'HEAD')) return next();
+
+  const [area, fileName, ...rest] = path.posix.normalize(decodeURIComponent(req.path)).split('/').filter(Boolean);
+  if (!REMOTE_IMAGE_AREAS.includes(area) || !fileName || rest.length) return next();
+
+  try {
+    if (!(await sendStoredFile(res, area, fileName))) next();
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  }
+};
+
 // Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', blockProtectedUploads, serveRemoteUploads, express.static(path.join(__dirname, 'uploads')));
 
 // Socket.IO middleware
 const attachSocketIO = (req, res, next) => {
@@ -101,6 +160,12 @@ app.use('/api/videos', videoRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/engagement', attachSocketIO, engagementRoutes);
 app.use('/api/articles', articleRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trending', trendingRoutes);
+app.use('/api/playlists', attachSocketIO, playlistRoutes);
+app.use('/api/bookmark-collections', bookmarkCollectionRoutes);
 
 // Base route
 app.get('/', (req, res) => {
@@ -147,14 +212,31 @@ app.use(errorHandler);
 export default app;
 
 // Start server function
-const startServer = async () => {
+const startServer = async (dbConnected) => {
   // Ensure required directories exist
   ensureVideosDirExists();
+  ensureHlsDirExists();
   ensureProfilesDirExists();
   ensureFeaturedImagesDirExists();
   
   // Initialize Redis
   await initRedis();
+
+  // Background jobs are stored in MongoDB, so the worker needs a connection
+  registerVideoProcessingJobs();
+  registerTrendingJobs();
+  registerViewJobs();
+  registerPublishingJobs(() => io);
+  registerMediaGcJobs();
+  if (dbConnected) {
+    await scheduleTrendingJob();
+    await scheduleViewFlushJob();
+    await schedulePublishingJob();
+    await scheduleMediaGcJob();
+    await startJobWorker();
+  } else {
+    console.warn('Job worker not started: MongoDB is not connected');
+  }
   
   const server = app.listen(PORT, HOST, () => {
     console.log(`Server running on ${HOST}:${PORT} in ${NODE_ENV} mode`);
@@ -180,6 +262,9 @@ const startServer = async () => {
     console.log('Client connected:', socket.id);
     console.log('Authenticated user:', socket.user.name);
 
+    // Personal room for notifications such as new videos in followed playlists
+    joinRoom(socket, getUserRoomId(socket.user._id));
+
     // Handle socket events here
     
     socket.on('disconnect', () => {
@@ -190,6 +275,7 @@ const startServer = async () => {
   // Handle graceful shutdown
   process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully');
+    stopJobWorker();
     server.close(() => {
       console.log('HTTP server closed');
       
@@ -216,7 +302,7 @@ connectDB()
     if (!connected && !TEST_MODE) {
       console.warn('Warning: Server starting without MongoDB connection. Some features may be unavailable.');
     }
-    await startServer();
+    await startServer(connected);
   })
   .catch(err => {
     console.error('Server initialization failed:', err);
@@ -0,0 +1,58 @@
+import AppError from '../utils/appError.js';
+
+// Badges a creator profile can hold
+export const CREATOR_BADGES = ['verified', 'trending', 'top-creator', 'rising-star'];
+
+/**
+ * Add or remove creator badges on a user and save it.
+ * Unknown badges are ignored. Badges given automatically are recorded in
+ * autoBadges: an automatic removal only takes those, and a change made by
+ * an admin turns a badge back into a manual one.
+ * @param {Object} user - User document
+ * @param {string} action - 'add' or 'remove'
+ * @param {Array<string>} badges - Badges to add or remove
+ * @param {Object} [options]
+ * @param {boolean} [options.automatic] - Change made by a job rather than an admin
+ * @returns {Promise<Array<string>>} - The user's badges after the change
+ * @throws {AppError} - 400 if the action is invalid or the user is not a creator
+ */
+export const applyBadgeChange = async (user, action, badges, { automatic = false } = {}) => {
+  if (!['add', 'remove'].includes(action)) {
+    throw new AppError('Action must be either add or remove', 400);
+  }
+
+  // Check if user is a creator
+  if (user.role !== 'creator') {
+    throw new AppError('User is not a creator', 400);
+  }
+
+  // Initialize badges array if it doesn't exist
+  if (!user.creatorProfile.badges) {
+    user.creatorProfile.badges = [];
+  }
+
+  // Filter out invalid badges
+  let validBadges = badges.filter(badge => CREATOR_BADGES.includes(badge));
+  const autoBadges = user.creatorProfile.autoBadges || [];
+
+  if (action === 'add') {
+    // Add badges not already present; a badge already held keeps its origin
+    const addedBadges = validBadges.filter(badge => !user.creatorProfile.badges.includes(badge));
+    user.creatorProfile.badges.push(...addedBadges);
+    user.creatorProfile.autoBadges = automatic
+      ? [...autoBadges, ...addedBadges]
+      : autoBadges.filter(badge => !validBadges.includes(badge));
+  } else {
+    // Jobs only take back the badges they gave
+    if (automatic) {
+      validBadges = validBadges.filter(badge => autoBadges.includes(badge));
+    }
+    user.creatorProfile.badges = user.creatorProfile.badges.filter(
+      badge => !validBadges.includes(badge)
+    );
+    user.creatorProfile.autoBadges = autoBadges.filter(badge => !validBadges.includes(badge));
+  }
+
+  await user.save();
+  return user.creatorProfile.badges;
+};
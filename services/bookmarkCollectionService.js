@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import BookmarkCollection from '../models/bookmarkCollectionModel.js';
+import Bookmark from '../models/bookmarkModel.js';
+import { clearCacheByPattern } from '../utils/redisCache.js';
+
+// Collection used when a bookmark is saved without one
+export const DEFAULT_COLLECTION_NAME = 'Default';
+
+export const COLLECTION_VISIBILITIES = ['private', 'unlisted', 'public'];
+
+/**
+ * Generate the secret part of a collection's share link
+ * @returns {string}
+ */
+export const generateShareToken = () => crypto.randomBytes(18).toString('base64url');
+
+/**
+ * Find a user's collection by name, creating it at the end of their list if needed
+ * @param {string} userId - Owner's user ID
+ * @param {string} [name] - Collection name, defaults to DEFAULT_COLLECTION_NAME
+ * @returns {Promise<Object>} - Collection document
+ */
+export const findOrCreateCollection = async (userId, name = DEFAULT_COLLECTION_NAME) => {
+  const collectionName = String(name).trim() || DEFAULT_COLLECTION_NAME;
+
+  const existing = await BookmarkCollection.findOne({ user: userId, name: collectionName });
+  if (existing) return existing;
+
+  const position = await BookmarkCollection.countDocuments({ user: userId });
+  try {
+    return await BookmarkCollection.create({ user: userId, name: collectionName, position });
+  } catch (error) {
+    // Created by a concurrent request in the meantime
+    if (error.code === 11000) {
+      return BookmarkCollection.findOne({ user: userId, name: collectionName });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Position that puts a bookmark at the top of a collection
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<number>}
+ */
+export const getTopPosition = async (collectionId) => {
+  const first = await Bookmark.findOne({ bookmarkCollection: collectionId })
+    .sort({ position: 1 })
+    .select('position')
+    .lean();
+  return first ? first.position - 1 : 0;
+};
+
+/**
+ * Move bookmarks into a collection, on top of the bookmarks already in it
+ * @param {Array<string>} bookmarkIds - Bookmarks to move, in the order they should appear
+ * @param {Object} collection - Target collection document
+ * @returns {Promise<void>}
+ */
+export const moveBookmarksToCollection = async (bookmarkIds, collection) => {
+  if (bookmarkIds.length === 0) return;
+
+  const top = await getTopPosition(collection._id);
+  await Bookmark.bulkWrite(bookmarkIds.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id, user: collection.user },
+      update: {
+        bookmarkCollection: collection._id,
+        collectionName: collection.name,
+        position: top - bookmarkIds.length + index + 1
+      }
+    }
+  })));
+};
+
+/**
+ * Create collections for bookmarks that only have a collectionName, as saved
+ * before collections had their own model. Safe to run more than once.
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only migrate this user's bookmarks
+ * @returns {Promise<{collections: number, bookmarks: number}>} - Number of collections used and bookmarks linked
+ */
+export const migrateLegacyCollections = async ({ userId } = {}) => {
+  const match = { bookmarkCollection: { $exists: false } };
+  if (userId) match.user = userId;
+
+  const groups = await Bookmark.aggregate([
+    { $match: match },
+    { $group: { _id: { user: '$user', name: '$collectionName' }, count: { $sum: 1 } } },
+    { $sort: { '_id.user': 1, '_id.name': 1 } }
+  ]);
+
+  let bookmarks = 0;
+  for (const { _id } of groups) {
+    const collection = await findOrCreateCollection(_id.user, _id.name || DEFAULT_COLLECTION_NAME);
+    const result = await Bookmark.updateMany(
+      { ...match, user: _id.user, collectionName: _id.name },
+      { bookmarkCollection: collection._id, collectionName: collection.name }
+    );
+    bookmarks += result.modifiedCount;
+  }
+
+  return { collections: groups.length, bookmarks };
+};
+
+/**
+ * Migrate a user's legacy bookmarks if any are left, before their collections are read
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const ensureCollectionsMigrated = async (userId) => {
+  const legacy = await Bookmark.exists({ user: userId, bookmarkCollection: { $exists: false } });
+  if (legacy) {
+    await migrateLegacyCollections({ userId });
+  }
+};
+
+/**
+ * Count the bookmarks of each collection
+ * @param {Array<Object>} collectionIds - Collection IDs
+ * @returns {Promise<Map<string, number>>} - Counts by collection ID
+ */
+export const countCollectionBookmarks = async (collectionIds) => {
+  const counts = await Bookmark.aggregate([
+    { $match: { bookmarkCollection: { $in: collectionIds } } },
+    { $group: { _id: '$bookmarkCollection', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Clear the cached video responses of a user after their bookmarks changed
+ * @param {string} userId - User ID
+ * @param {Array<string>} videoIds - Bookmarked videos
+ * @returns {Promise<void>}
+ */
+export const clearBookmarkCaches = async (userId, videoIds) => {
+  await Promise.all(videoIds.map(videoId => clearCacheByPattern(`video:${videoId}:${userId}:*`)));
+  await clearCacheByPattern(`feed:*:${userId}`);
+};
@@ -0,0 +1,321 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AppError from '../utils/appError.js';
+import { ensureDirectoryExists, removeFileIfExists } from '../utils/fileSystem.js';
+
+// ES Module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CAPTIONS_DIR = path.join(__dirname, '../uploads/captions');
+
+// Caption configuration
+export const CAPTION_CONFIG = {
+  MAX_FILE_SIZE: 1024 * 1024,
+  MAX_CUES: 10000,
+  // Cues may end slightly after the video because of rounding in editors
+  END_SLACK_SECONDS: 1,
+  // Validation errors listed in one response
+  MAX_REPORTED_ERRORS: 5
+};
+
+export const CAPTION_CONTENT_TYPES = {
+  vtt: 'text/vtt; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8'
+};
+
+// BCP 47 tag such as "en", "pt-BR" or "zh-Hant"
+const LANGUAGE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+// HH:MM:SS.mmm, MM:SS.mmm, or HH:MM:SS,mmm in SRT files
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/;
+
+// Blocks of a WebVTT file that are not cues
+const VTT_NON_CUE_BLOCKS = /^(NOTE|STYLE|REGION)(\s|$)/;
+
+/**
+ * Normalize a language tag ("pt-br" becomes "pt-BR")
+ * @param {string} language - Language tag from the request
+ * @returns {string}
+ */
+export const normalizeLanguage = (language) => {
+  if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language.trim())) {
+    throw new AppError('language must be a language tag such as "en" or "pt-BR"', 400);
+  }
+  try {
+    return Intl.getCanonicalLocales(language.trim())[0];
+  } catch (error) {
+    throw new AppError(`Unknown language tag "${language}"`, 400);
+  }
+};
+
+/**
+ * Display name of a language, used when no label is given
+ * @param {string} language - Normalized language tag
+ * @returns {string}
+ */
+export const getLanguageLabel = (language) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    return language;
+  }
+};
+
+/**
+ * Parse a cue timestamp
+ * @param {string} value - Timestamp text
+ * @returns {number|null} - Seconds, or null when malformed
+ */
+export const parseTimestamp = (value) => {
+  const match = TIMESTAMP_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Format seconds as a cue timestamp
+ * @param {number} totalSeconds - Seconds
+ * @param {string} separator - "." for WebVTT, "," for SRT
+ * @returns {string} - HH:MM:SS.mmm
+ */
+export const formatTimestamp = (totalSeconds, separator = '.') => {
+  const totalMillis = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const seconds = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+};
+
+/**
+ * Guess the format of a caption file from its name and content
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File content
+ * @returns {string} - vtt or srt
+ */
+export const detectCaptionFormat = (fileName, text) => {
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  const ext = path.extname(fileName || '').toLowerCase();
+  if (ext === '.vtt') return 'vtt';
+  if (ext === '.srt' || /-->/.test(text)) return 'srt';
+  throw new AppError('Caption files must be WebVTT (.vtt) or SubRip (.srt)', 400);
+};
+
+/**
+ * Parse a WebVTT or SRT file into cues. Malformed cues are reported, not skipped.
+ * @param {string} text - File content
+ * @param {string} format - vtt or srt
+ * @returns {{cues: Array<Object>, errors: Array<string>}} - Cues have their number in the file, start, end (seconds), text and optional identifier and settings
+ */
+export const parseCaptions = (text, format) => {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/)
+    .map(block => block.replace(/^\n+|\n+$/g, ''))
+    .filter(Boolean);
+
+  const errors = [];
+  if (format === 'vtt') {
+    if (!blocks.length || !/^WEBVTT([ \t].*)?$/.test(blocks[0].split('\n')[0])) {
+      return { cues: [], errors: ['WebVTT files must start with "WEBVTT"'] };
+    }
+    blocks.shift();
+  }
+
+  const cues = [];
+  let number = 0;
+  blocks.forEach(block => {
+    if (format === 'vtt' && VTT_NON_CUE_BLOCKS.test(block)) return;
+
+    number += 1;
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    // SRT cues are "number, timing, text"; WebVTT cues have an optional identifier
+    if (timingIndex === -1 || timingIndex > 1) {
+      errors.push(`Cue ${number}: missing "start --> end" timing line`);
+      return;
+    }
+
+    const [startText, rest = ''] = lines[timingIndex].split('-->');
+    const [endText = '', ...settings] = rest.trim().split(/\s+/);
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) {
+      errors.push(`Cue ${number}: malformed timestamp in "${lines[timingIndex].trim()}"`);
+      return;
+    }
+
+    cues.push({
+      number,
+      identifier: timingIndex === 1 ? lines[0].trim() : undefined,
+      start,
+      end,
+      // SRT coordinates (X1:...) have no WebVTT equivalent
+      settings: format === 'vtt' ? settings.join(' ') : '',
+      text: lines.slice(timingIndex + 1).join('\n')
+    });
+  });
+
+  return { cues, errors };
+};
+
+/**
+ * Check cue timing: each cue must end after it starts, start no earlier than
+ * the previous one and end within the video
+ * @param {Array<Object>} cues - Parsed cues
+ * @param {number} duration - Video duration in seconds, 0 when unknown
+ * @returns {Array<string>} - Errors
+ */
+export const validateCueTiming = (cues, duration) => {
+  const errors = [];
+
+  cues.forEach((cue, index) => {
+    const { number } = cue;
+    if (cue.end <= cue.start) {
+      errors.push(`Cue ${number}: ends at ${formatTimestamp(cue.end)}, not after its start ${formatTimestamp(cue.start)}`);
+    }
+    if (index > 0 && cue.start < cues[index - 1].start) {
+      errors.push(`Cue ${number}: starts before the previous cue`);
+    }
+    if (duration > 0 && cue.end > duration + CAPTION_CONFIG.END_SLACK_SECONDS) {
+      errors.push(`Cue ${number}: ends at ${formatTimestamp(cue.end)}, after the end of the video (${formatTimestamp(duration)})`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Write cues as a WebVTT file
+ * @param {Array<Object>} cues - Parsed cues
+ * @returns {string}
+ */
+export const serializeVtt = (cues) => {
+  const blocks = cues.map(cue => {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+    // "-->" is not allowed in cue text or identifiers
+    const identifier = cue.identifier ? `${cue.identifier.replace(/-->/g, '->')}\n` : '';
+    return `${identifier}${timing}\n${cue.text.replace(/-->/g, '->')}`;
+  });
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+};
+
+/**
+ * Write cues as an SRT file
+ * @param {Array<Object>} cues - Parsed cues
+ * @returns {string}
+ */
+export const serializeSrt = (cues) => cues
+  .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`)
+  .join('\n\n') + '\n';
+
+/**
+ * Parse and validate a caption file, converting it to WebVTT
+ * @param {string} text - File content
+ * @param {Object} options
+ * @param {string} options.fileName - Uploaded file name
+ * @param {number} options.duration - Video duration in seconds
+ * @returns {{vtt: string, format: string, cueCount: number}}
+ */
+export const convertCaptions = (text, { fileName, duration }) => {
+  const format = detectCaptionFormat(fileName, text);
+  const { cues, errors } = parseCaptions(text, format);
+
+  if (errors.length === 0 && cues.length === 0) {
+    errors.push('The caption file has no cues');
+  }
+  if (cues.length > CAPTION_CONFIG.MAX_CUES) {
+    errors.push(`Caption files can have at most ${CAPTION_CONFIG.MAX_CUES} cues`);
+  }
+  errors.push(...validateCueTiming(cues, duration));
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, CAPTION_CONFIG.MAX_REPORTED_ERRORS);
+    const more = errors.length - shown.length;
+    throw new AppError(`Invalid caption file: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`, 400);
+  }
+
+  return { vtt: serializeVtt(cues), format, cueCount: cues.length };
+};
+
+/**
+ * Directory holding a video's caption files
+ * @param {string} videoId - Video ID
+ * @returns {string}
+ */
+export const getCaptionsDir = (videoId) => path.join(CAPTIONS_DIR, videoId.toString());
+
+/**
+ * Full path of a caption file
+ * @param {string} videoId - Video ID
+ * @param {string} fileName - Caption file name
+ * @returns {string}
+ */
+export const getCaptionPath = (videoId, fileName) => path.join(getCaptionsDir(videoId), path.basename(fileName));
+
+/**
+ * Store a converted caption track on a video, replacing the track of the same language
+ * @param {Object} video - Video document
+ * @param {Object} track
+ * @param {string} track.language - Normalized language tag
+ * @param {string} [track.label] - Display label
+ * @param {boolean} [track.isDefault] - Make this the default track
+ * @param {string} track.vtt - WebVTT content
+ * @param {string} track.sourceFormat - vtt or srt
+ * @param {number} track.cueCount - Number of cues
+ * @param {string} [track.source] - upload (default) or transcription
+ * @returns {Promise<Object>} - The stored track
+ */
+export const saveCaptionTrack = async (video, { language, label, isDefault, vtt, sourceFormat, cueCount, source = 'upload' }) => {
+  const fileName = `${language}.vtt`;
+  ensureDirectoryExists(getCaptionsDir(video._id));
+  await fs.promises.writeFile(getCaptionPath(video._id, fileName), vtt, 'utf8');
+
+  const existing = video.captions.find(track => track.language === language);
+  const fields = {
+    language,
+    // An uploaded track does not keep the "(auto-generated)" label of the track it replaces
+    label: label || (existing?.source === source ? existing.label : undefined) || getLanguageLabel(language),
+    fileName,
+    sourceFormat,
+    cueCount,
+    source,
+    isDefault: isDefault === undefined ? Boolean(existing?.isDefault) : isDefault
+  };
+
+  if (fields.isDefault) {
+    video.captions.forEach(track => { track.isDefault = false; });
+  }
+  if (existing) {
+    existing.set(fields);
+  } else {
+    video.captions.push(fields);
+  }
+  await video.save();
+
+  return video.captions.find(track => track.language === language);
+};
+
+/**
+ * Delete every caption file of a video
+ * @param {string} videoId - Video ID
+ */
+export const removeCaptionFiles = (videoId) => {
+  fs.rmSync(getCaptionsDir(videoId), { recursive: true, force: true });
+};
+
+/**
+ * Delete one caption file
+ * @param {string} videoId - Video ID
+ * @param {string} fileName - Caption file name
+ * @returns {boolean} - Whether a file was deleted
+ */
+export const removeCaptionFile = (videoId, fileName) => removeFileIfExists(getCaptionPath(videoId, fileName));
@@ -0,0 +1,233 @@
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import Follow from '../models/followModel.js';
+import Like from '../models/likeModel.js';
+import Comment from '../models/commentModel.js';
+import VideoDailyStats from '../models/videoDailyStatsModel.js';
+import { formatDay, listDays, getRangeEnd, ratio } from './videoAnalyticsService.js';
+
+// Items listed per content type in topContent
+const TOP_CONTENT_LIMIT = 5;
+
+// Columns of the CSV export, one row per day
+export const CREATOR_ANALYTICS_CSV_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'followers', label: 'Followers' },
+  { key: 'newFollowers', label: 'New followers' },
+  { key: 'videoViews', label: 'Video views' },
+  { key: 'dailyUniqueViewers', label: 'Unique viewers per video' },
+  { key: 'watchTime', label: 'Watch time (s)' },
+  { key: 'likes', label: 'Likes' },
+  { key: 'comments', label: 'Comments' }
+];
+
+/**
+ * Count likes or comments on a creator's content per item and day
+ * @param {Object} Model - Like or Comment
+ * @param {Object} contentIds - { Video: [ids], Article: [ids] }
+ * @param {Object} createdAt - createdAt filter of the range
+ * @param {Object} extraMatch - Additional conditions
+ * @returns {Promise<Array<{content: string, contentType: string, date: string, count: number}>>}
+ */
+const countEngagement = async (Model, contentIds, createdAt, extraMatch = {}) => {
+  const results = await Model.aggregate([
+    {
+      $match: {
+        $or: [
+          { contentType: 'Video', content: { $in: contentIds.Video } },
+          { contentType: 'Article', content: { $in: contentIds.Article } }
+        ],
+        createdAt,
+        ...extraMatch
+      }
+    },
+    {
+      $group: {
+        _id: {
+          content: '$content',
+          contentType: '$contentType',
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return results.map(({ _id, count }) => ({
+    content: _id.content.toString(),
+    contentType: _id.contentType,
+    date: _id.date,
+    count
+  }));
+};
+
+/**
+ * Add up counts by a key
+ * @param {Array<Object>} items - Items with a count
+ * @param {Function} getKey - Key of an item
+ * @returns {Map<string, number>}
+ */
+const sumBy = (items, getKey) => items.reduce((totals, item) => {
+  const key = getKey(item);
+  totals.set(key, (totals.get(key) || 0) + item.count);
+  return totals;
+}, new Map());
+
+/**
+ * Build the analytics overview of a creator for a range of days
+ * @param {Object} creatorId - Creator's user ID
+ * @param {{from: Date, to: Date}} range - Result of parseAnalyticsRange
+ * @returns {Promise<Object>}
+ */
+export const getCreatorAnalytics = async (creatorId, range) => {
+  const { from, to } = range;
+  const createdInRange = { $gte: from, $lt: getRangeEnd(range) };
+
+  const [videos, articles] = await Promise.all([
+    Video.find({ creator: creatorId }).select('title thumbnail views createdAt').lean(),
+    Article.find({ author: creatorId }).select('title featuredImage viewCount createdAt').lean()
+  ]);
+  const contentIds = {
+    Video: videos.map(video => video._id),
+    Article: articles.map(article => article._id)
+  };
+
+  const [viewBuckets, followersBefore, newFollows, likes, comments, lifetimeLikes] = await Promise.all([
+    VideoDailyStats.find({ video: { $in: contentIds.Video }, date: { $gte: from, $lte: to } })
+      .select('video date views uniqueViewers watchTime')
+      .lean(),
+    // Unfollows delete the Follow record, so past follower counts only include current followers
+    Follow.countDocuments({ following: creatorId, status: 'active', createdAt: { $lt: from } }),
+    Follow.aggregate([
+      { $match: { following: creatorId, status: 'active', createdAt: createdInRange } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    countEngagement(Like, contentIds, createdInRange),
+    countEngagement(Comment, contentIds, createdInRange, { active: { $ne: false } }),
+    Like.countDocuments({
+      $or: [
+        { contentType: 'Video', content: { $in: contentIds.Video } },
+        { contentType: 'Article', content: { $in: contentIds.Article } }
+      ]
+    })
+  ]);
+
+  const viewsByDay = new Map();
+  viewBuckets.forEach(bucket => {
+    const day = formatDay(bucket.date);
+    const totals = viewsByDay.get(day) || { videoViews: 0, dailyUniqueViewers: 0, watchTime: 0 };
+    totals.videoViews += bucket.views || 0;
+    // Unique per video and day: a viewer of three videos is counted three times
+    totals.dailyUniqueViewers += bucket.uniqueViewers || 0;
+    totals.watchTime += bucket.watchTime || 0;
+    viewsByDay.set(day, totals);
+  });
+  const newFollowersByDay = new Map(newFollows.map(({ _id, count }) => [_id, count]));
+  const likesByDay = sumBy(likes, like => like.date);
+  const commentsByDay = sumBy(comments, comment => comment.date);
+
+  let followers = followersBefore;
+  const daily = listDays(range).map(date => {
+    const views = viewsByDay.get(date) || { videoViews: 0, dailyUniqueViewers: 0, watchTime: 0 };
+    const newFollowers = newFollowersByDay.get(date) || 0;
+    followers += newFollowers;
+
+    return {
+      date,
+      followers,
+      newFollowers,
+      videoViews: views.videoViews,
+      dailyUniqueViewers: views.dailyUniqueViewers,
+      watchTime: Math.round(views.watchTime),
+      likes: likesByDay.get(date) || 0,
+      comments: commentsByDay.get(date) || 0
+    };
+  });
+
+  const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+  const rangeViews = sum('videoViews');
+  const videoEngagement = likes.concat(comments)
+    .filter(item => item.contentType === 'Video')
+    .reduce((total, item) => total + item.count, 0);
+
+  // Top content of the range
+  const viewsByVideo = sumBy(
+    viewBuckets.map(bucket => ({ video: bucket.video.toString(), count: bucket.views || 0 })),
+    bucket => bucket.video
+  );
+  const likesByContent = sumBy(likes, like => like.content);
+  const commentsByContent = sumBy(comments, comment => comment.content);
+
+  const topVideos = videos
+    .map(video => {
+      const id = video._id.toString();
+      const views = viewsByVideo.get(id) || 0;
+      const engagement = (likesByContent.get(id) || 0) + (commentsByContent.get(id) || 0);
+      return {
+        _id: video._id,
+        title: video.title,
+        thumbnail: video.thumbnail,
+        views,
+        likes: likesByContent.get(id) || 0,
+        comments: commentsByContent.get(id) || 0,
+        engagementRate: ratio(engagement, views),
+        lifetimeViews: video.views || 0
+      };
+    })
+    .filter(video => video.views > 0 || video.likes > 0 || video.comments > 0)
+    .sort((a, b) => b.views - a.views || (b.likes + b.comments) - (a.likes + a.comments))
+    .slice(0, TOP_CONTENT_LIMIT);
+
+  // Article views are only kept as a total, so articles are ranked by engagement
+  const topArticles = articles
+    .map(article => {
+      const id = article._id.toString();
+      return {
+        _id: article._id,
+        title: article.title,
+        featuredImage: article.featuredImage,
+        likes: likesByContent.get(id) || 0,
+        comments: commentsByContent.get(id) || 0,
+        lifetimeViews: article.viewCount || 0
+      };
+    })
+    .filter(article => article.likes > 0 || article.comments > 0)
+    .sort((a, b) => (b.likes + b.comments) - (a.likes + a.comments) || b.lifetimeViews - a.lifetimeViews)
+    .slice(0, TOP_CONTENT_LIMIT);
+
+  const lifetimeVideoViews = videos.reduce((total, video) => total + (video.views || 0), 0);
+  const lifetimeArticleViews = articles.reduce((total, article) => total + (article.viewCount || 0), 0);
+
+  return {
+    range: { from: formatDay(from), to: formatDay(to) },
+    lifetime: {
+      videos: videos.length,
+      articles: articles.length,
+      videoViews: lifetimeVideoViews,
+      articleViews: lifetimeArticleViews,
+      totalViews: lifetimeVideoViews + lifetimeArticleViews,
+      likes: lifetimeLikes
+    },
+    totals: {
+      followers,
+      newFollowers: sum('newFollowers'),
+      videoViews: rangeViews,
+      dailyUniqueViewers: sum('dailyUniqueViewers'),
+      watchTime: sum('watchTime'),
+      likes: sum('likes'),
+      comments: sum('comments'),
+      // Likes and comments on videos per video view
+      engagementRate: ratio(videoEngagement, rangeViews)
+    },
+    daily,
+    topContent: {
+      videos: topVideos,
+      articles: topArticles
+    }
+  };
+};
@@ -0,0 +1,315 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Video from '../models/videoModel.js';
+import Follow from '../models/followModel.js';
+import Like from '../models/likeModel.js';
+import Bookmark from '../models/bookmarkModel.js';
+import Comment from '../models/commentModel.js';
+import WatchHistory from '../models/watchHistoryModel.js';
+import { getCache, setCache } from '../utils/redisCache.js';
+import { getListedVideoFilter } from './videoVisibilityService.js';
+import { getLatestSnapshot } from './trendingService.js';
+
+dotenv.config();
+
+/**
+ * Read a numeric setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value used when unset or invalid
+ * @returns {number}
+ */
+const readNumber = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+};
+
+// Scoring weights. Every signal is normalized to 0..1 before weighting,
+// so a weight is the most a signal can add to a video's score.
+export const FEED_WEIGHTS = {
+  FOLLOWED_CREATOR: readNumber('FEED_WEIGHT_FOLLOWED_CREATOR', 3),
+  CATEGORY_AFFINITY: readNumber('FEED_WEIGHT_CATEGORY_AFFINITY', 1.5),
+  TAG_AFFINITY: readNumber('FEED_WEIGHT_TAG_AFFINITY', 1),
+  RECENCY: readNumber('FEED_WEIGHT_RECENCY', 2),
+  ENGAGEMENT_VELOCITY: readNumber('FEED_WEIGHT_ENGAGEMENT_VELOCITY', 2),
+  PROMOTED: readNumber('FEED_WEIGHT_PROMOTED', 1)
+};
+
+// Ranking configuration
+const FEED_CONFIG = {
+  // Age at which the recency signal has dropped to half
+  RECENCY_HALF_LIFE_HOURS: readNumber('FEED_RECENCY_HALF_LIFE_HOURS', 48),
+  // Only videos this recent are ranked
+  CANDIDATE_WINDOW_DAYS: readNumber('FEED_CANDIDATE_WINDOW_DAYS', 30),
+  MAX_CANDIDATES: 500,
+  // Likes used to learn category and tag preferences
+  MAX_LIKES_FOR_AFFINITY: 200,
+  // Trending window used for users without signals
+  TRENDING_WINDOW: '24h',
+  // Ranked lists are cached so paging through the feed stays stable
+  RANKING_CACHE_TTL: 300 // 5 minutes
+};
+
+// Relative value of each kind of engagement in the velocity signal
+export const ENGAGEMENT_VALUES = {
+  views: 1,
+  likes: 3,
+  comments: 5,
+  shares: 4
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Turn a list of values into affinities, the most frequent value being 1
+ * @param {Array<string>} values - Categories or tags of liked videos
+ * @returns {Map<string, number>} - Lowercased value to affinity
+ */
+const toAffinityMap = (values) => {
+  const counts = new Map();
+  values.forEach(value => {
+    const key = value.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const max = Math.max(0, ...counts.values());
+  const affinities = new Map();
+  counts.forEach((count, key) => affinities.set(key, count / max));
+  return affinities;
+};
+
+/**
+ * Average affinity of a video's values; unknown values count as 0
+ * @param {Array<string>} values - Categories or tags of the candidate
+ * @param {Map<string, number>} affinities - Result of toAffinityMap
+ * @returns {number} - 0..1
+ */
+const averageAffinity = (values = [], affinities) => {
+  if (values.length === 0 || affinities.size === 0) return 0;
+  const total = values.reduce((sum, value) => sum + (affinities.get(value.toLowerCase()) || 0), 0);
+  return total / values.length;
+};
+
+/**
+ * Collect what a user's activity says about their taste
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - followedCreators, categoryAffinity, tagAffinity, watchedIds
+ */
+const getUserSignals = async (userId) => {
+  const [follows, likes, bookmarks, history] = await Promise.all([
+    Follow.find({ follower: userId, status: 'active' }).select('following').lean(),
+    Like.find({ user: userId, contentType: 'Video' })
+      .sort({ createdAt: -1 })
+      .limit(FEED_CONFIG.MAX_LIKES_FOR_AFFINITY)
+      .select('content')
+      .lean(),
+    Bookmark.find({ user: userId }).select('video').lean(),
+    WatchHistory.find({ user: userId }).select('video').lean()
+  ]);
+
+  const likedVideoIds = likes.map(like => like.content);
+  const likedVideos = await Video.find({ _id: { $in: likedVideoIds } })
+    .select('categories tags')
+    .lean();
+
+  return {
+    followedCreators: new Set(follows.map(follow => follow.following.toString())),
+    categoryAffinity: toAffinityMap(likedVideos.flatMap(video => video.categories || [])),
+    tagAffinity: toAffinityMap(likedVideos.flatMap(video => video.tags || [])),
+    // Videos the user already engaged with are not recommended again
+    watchedIds: new Set([
+      ...likedVideoIds.map(id => id.toString()),
+      ...bookmarks.map(bookmark => bookmark.video.toString()),
+      ...history.map(entry => entry.video.toString())
+    ])
+  };
+};
+
+/**
+ * Engagement per hour since publication
+ * @param {Object} video - Candidate video
+ * @param {number} ageHours - Hours since publication
+ * @returns {number}
+ */
+const getEngagementVelocity = (video, ageHours) => {
+  const engagement = Object.entries(ENGAGEMENT_VALUES)
+    .reduce((sum, [field, value]) => sum + (video[field] || 0) * value, 0);
+  // The offset keeps brand new videos from getting an infinite velocity
+  return engagement / (ageHours + 2);
+};
+
+/**
+ * Score candidates for a user, or for everyone when signals is null
+ * @param {Array<Object>} candidates - Lean video documents
+ * @param {Object|null} signals - Result of getUserSignals
+ * @returns {Array<{id: string, score: number}>} - Best first
+ */
+export const scoreCandidates = (candidates, signals) => {
+  const now = Date.now();
+  const withAge = candidates.map(video => {
+    const ageHours = Math.max(0, (now - new Date(video.createdAt).getTime()) / HOUR_MS);
+    return { video, ageHours, velocity: getEngagementVelocity(video, ageHours) };
+  });
+
+  const maxVelocity = Math.max(0, ...withAge.map(candidate => candidate.velocity));
+
+  return withAge
+    .map(({ video, ageHours, velocity }) => {
+      let score = FEED_WEIGHTS.RECENCY * Math.pow(0.5, ageHours / FEED_CONFIG.RECENCY_HALF_LIFE_HOURS);
+      if (maxVelocity > 0) score += FEED_WEIGHTS.ENGAGEMENT_VELOCITY * (velocity / maxVelocity);
+      if (video.isPromoted) score += FEED_WEIGHTS.PROMOTED;
+
+      if (signals) {
+        if (signals.followedCreators.has(video.creator.toString())) score += FEED_WEIGHTS.FOLLOWED_CREATOR;
+        score += FEED_WEIGHTS.CATEGORY_AFFINITY * averageAffinity(video.categories, signals.categoryAffinity);
+        score += FEED_WEIGHTS.TAG_AFFINITY * averageAffinity(video.tags, signals.tagAffinity);
+      }
+
+      return { id: video._id.toString(), score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Count documents per video for a set of videos
+ * @param {Object} Model - Like or Comment
+ * @param {Array<Object>} videoIds - Video IDs
+ * @param {Object} extraMatch - Additional conditions
+ * @returns {Promise<Map<string, number>>}
+ */
+const countPerVideo = async (Model, videoIds, extraMatch = {}) => {
+  const counts = await Model.aggregate([
+    { $match: { content: { $in: videoIds }, contentType: 'Video', ...extraMatch } },
+    { $group: { _id: '$content', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Load the recent videos that can appear in a user's feed.
+ * Likes and comments are counted from their collections since the
+ * counters on the video are not kept up to date.
+ * @param {string|null} userId - Authenticated user ID
+ * @returns {Promise<Array<Object>>}
+ */
+const getCandidates = async (userId) => {
+  const candidates = await Video.find({
+    ...(await getListedVideoFilter(userId)),
+    createdAt: { $gte: new Date(Date.now() - FEED_CONFIG.CANDIDATE_WINDOW_DAYS * 24 * HOUR_MS) }
+  })
+    .sort({ createdAt: -1 })
+    .limit(FEED_CONFIG.MAX_CANDIDATES)
+    .select('creator categories tags views shares isPromoted createdAt')
+    .lean();
+
+  const videoIds = candidates.map(video => video._id);
+  const [likeCounts, commentCounts] = await Promise.all([
+    countPerVideo(Like, videoIds),
+    countPerVideo(Comment, videoIds)
+  ]);
+
+  return candidates.map(video => ({
+    ...video,
+    likes: likeCounts.get(video._id.toString()) || 0,
+    comments: commentCounts.get(video._id.toString()) || 0
+  }));
+};
+
+/**
+ * Check whether a user's activity says anything about their taste
+ * @param {Object|null} signals - Result of getUserSignals
+ * @returns {boolean}
+ */
+const hasTasteSignals = (signals) => Boolean(signals) && (
+  signals.followedCreators.size > 0 ||
+  signals.categoryAffinity.size > 0 ||
+  signals.tagAffinity.size > 0
+);
+
+/**
+ * Rank the latest trending videos, computed by the trending job
+ * @returns {Promise<Array<{id: string, score: number}>|null>} - null before the first snapshot
+ */
+const getTrendingRanking = async () => {
+  const snapshot = await getLatestSnapshot('video', FEED_CONFIG.TRENDING_WINDOW);
+  if (!snapshot) return null;
+
+  return snapshot.items.map(item => ({ id: item.refId.toString(), score: item.score }));
+};
+
+/**
+ * Rank the feed of a user. Anonymous users and users without follows or likes
+ * get the latest trending videos; until the trending job has run, recent videos
+ * are ranked by recency, engagement velocity and promotion instead.
+ * Videos the user already watched, liked or bookmarked, and their own, are left out.
+ * @param {string|null} userId - Authenticated user ID
+ * @returns {Promise<Array<{id: string, score: number}>>} - Ranked video IDs
+ */
+export const getRankedFeed = async (userId) => {
+  const cacheKey = `feed:foryou:${userId || 'anon'}`;
+  const cachedRanking = await getCache(cacheKey);
+  if (cachedRanking) {
+    return cachedRanking;
+  }
+
+  const signals = userId ? await getUserSignals(userId) : null;
+  const isPersonal = hasTasteSignals(signals);
+
+  let ranking = isPersonal ? null : await getTrendingRanking();
+  if (!ranking) {
+    ranking = scoreCandidates(await getCandidates(userId), isPersonal ? signals : null);
+  }
+
+  if (userId) {
+    // Creators do not need their own videos recommended to them, nor anything seen already
+    const ownVideoIds = new Set((await Video.find({
+      _id: { $in: ranking.map(item => item.id) },
+      creator: userId
+    }).distinct('_id')).map(id => id.toString()));
+    ranking = ranking.filter(item => !ownVideoIds.has(item.id) && !signals.watchedIds.has(item.id));
+  }
+
+  await setCache(cacheKey, ranking, FEED_CONFIG.RANKING_CACHE_TTL);
+  return ranking;
+};
+
+/**
+ * Load a page of ranked videos with the fields the feed returns
+ * @param {Array<{id: string, score: number}>} rankedPage - Slice of getRankedFeed
+ * @param {string|null} userId - Authenticated user ID
+ * @returns {Promise<Array<Object>>} - Videos in ranking order
+ */
+export const hydrateFeedPage = async (rankedPage, userId) => {
+  const ids = rankedPage.map(item => item.id);
+  const listedFilter = await getListedVideoFilter(userId);
+
+  const [videos, likeCounts, commentCounts, userLikes, userBookmarks] = await Promise.all([
+    Video.find({ ...listedFilter, _id: { $in: ids } })
+      .populate('creator', 'name profilePicture handle')
+      .lean(),
+    countPerVideo(Like, ids.map(id => new mongoose.Types.ObjectId(id))),
+    // Like the other feeds, only top-level comments are counted for display
+    countPerVideo(Comment, ids.map(id => new mongoose.Types.ObjectId(id)), { parentComment: null }),
+    userId
+      ? Like.find({ user: userId, contentType: 'Video', content: { $in: ids } }).select('content').lean()
+      : [],
+    userId
+      ? Bookmark.find({ user: userId, video: { $in: ids } }).select('video').lean()
+      : []
+  ]);
+
+  const likedIds = new Set(userLikes.map(like => like.content.toString()));
+  const bookmarkedIds = new Set(userBookmarks.map(bookmark => bookmark.video.toString()));
+  const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+
+  // Videos deleted, unpublished or hidden since the ranking was cached are skipped
+  return rankedPage
+    .filter(item => videosById.has(item.id))
+    .map(item => ({
+      ...videosById.get(item.id),
+      likes: likeCounts.get(item.id) || 0,
+      comments: commentCounts.get(item.id) || 0,
+      feedScore: item.score,
+      userLiked: likedIds.has(item.id),
+      userBookmarked: bookmarkedIds.has(item.id)
+    }));
+};
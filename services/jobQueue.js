@@ -0,0 +1,245 @@
+import { EventEmitter } from 'events';
+import os from 'os';
+import dotenv from 'dotenv';
+import Job from '../models/jobModel.js';
+
+dotenv.config();
+
+// Worker configuration
+const JOB_CONFIG = {
+  POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10),
+  CONCURRENCY: Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1', 10)),
+  MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+  INITIAL_BACKOFF_MS: 10000, // 10 seconds
+  MAX_BACKOFF_MS: 10 * 60 * 1000, // 10 minutes
+  // Transcodes can take a while; only reclaim jobs whose worker clearly died
+  LOCK_TIMEOUT_MS: 60 * 60 * 1000 // 1 hour
+};
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let activeJobs = 0;
+let running = false;
+
+/**
+ * Emits 'completed' and 'failed' with the settled job document.
+ * 'failed' is only emitted once retries are exhausted.
+ */
+export const jobEvents = new EventEmitter();
+
+/**
+ * Register the function that processes jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job) => result
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - owner, video, runAt, maxAttempts
+ * @returns {Promise<Object>} - Created job document
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  return Job.create({
+    type,
+    payload,
+    owner: options.owner,
+    video: options.video,
+    runAt: options.runAt || new Date(),
+    maxAttempts: options.maxAttempts || JOB_CONFIG.MAX_ATTEMPTS
+  });
+};
+
+/**
+ * Make sure a job of this type runs every intervalMs.
+ * Safe to call on every start and from several servers: the job is a single
+ * document identified by its type.
+ * @param {string} type - Job type
+ * @param {number} intervalMs - Delay between the end of a run and the next one
+ * @param {Object} payload - Data passed to the handler
+ * @returns {Promise<Object|null>} - Recurring job document
+ */
+export const scheduleRecurringJob = async (type, intervalMs, payload = {}) => {
+  try {
+    return await Job.findOneAndUpdate(
+      { recurringKey: type },
+      {
+        $set: { repeatIntervalMs: intervalMs, payload },
+        $setOnInsert: {
+          type,
+          status: 'queued',
+          runAt: new Date(),
+          maxAttempts: JOB_CONFIG.MAX_ATTEMPTS
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another server created it at the same moment
+    if (error.code === 11000) return Job.findOne({ recurringKey: type });
+    throw error;
+  }
+};
+
+/**
+ * Queue the next run of a recurring job once the current one has settled
+ * @param {Object} job - Settled job document
+ */
+const rescheduleRecurringJob = async (job) => {
+  if (!job.repeatIntervalMs) return;
+
+  await Job.findByIdAndUpdate(job._id, {
+    status: 'queued',
+    attempts: 0,
+    runAt: new Date(Date.now() + job.repeatIntervalMs)
+  });
+};
+
+/**
+ * Calculate the retry delay with exponential increase
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const calculateBackoff = (attempts) => Math.min(
+  JOB_CONFIG.MAX_BACKOFF_MS,
+  JOB_CONFIG.INITIAL_BACKOFF_MS * Math.pow(2, attempts - 1)
+);
+
+/**
+ * Atomically claim the next due job this worker can handle
+ * @returns {Promise<Object|null>} - Claimed job or null
+ */
+const claimNextJob = () => Job.findOneAndUpdate(
+  {
+    status: 'queued',
+    runAt: { $lte: new Date() },
+    type: { $in: [...handlers.keys()] }
+  },
+  {
+    status: 'running',
+    lockedAt: new Date(),
+    lockedBy: WORKER_ID,
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+/**
+ * Put jobs left running by a crashed worker back in the queue
+ */
+const requeueStaleJobs = async () => {
+  const result = await Job.updateMany(
+    {
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - JOB_CONFIG.LOCK_TIMEOUT_MS) }
+    },
+    { status: 'queued', runAt: new Date(), lockedAt: null, lockedBy: null }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Requeued ${result.modifiedCount} stale jobs`);
+  }
+};
+
+/**
+ * Run a claimed job and record its outcome
+ * @param {Object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    const result = await handler(job);
+    const completedJob = await Job.findByIdAndUpdate(job._id, {
+      status: 'completed',
+      result,
+      lastError: null,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null
+    }, { new: true });
+
+    jobEvents.emit('completed', completedJob);
+    await rescheduleRecurringJob(completedJob);
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+
+    if (job.attempts < job.maxAttempts) {
+      const backoff = calculateBackoff(job.attempts);
+      await Job.findByIdAndUpdate(job._id, {
+        status: 'queued',
+        runAt: new Date(Date.now() + backoff),
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null
+      });
+      console.log(`Retrying job ${job._id} in ${Math.round(backoff / 1000)} seconds`);
+      return;
+    }
+
+    const failedJob = await Job.findByIdAndUpdate(job._id, {
+      status: 'failed',
+      lastError: error.message,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null
+    }, { new: true });
+
+    jobEvents.emit('failed', failedJob);
+    await rescheduleRecurringJob(failedJob);
+  }
+};
+
+/**
+ * Claim and start jobs until the concurrency limit is reached
+ */
+const poll = async () => {
+  try {
+    while (running && activeJobs < JOB_CONFIG.CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch(err => console.error('Job bookkeeping error:', err))
+        .finally(() => {
+          activeJobs--;
+        });
+    }
+  } catch (error) {
+    console.error('Job polling error:', error);
+  }
+
+  if (running) {
+    pollTimer = setTimeout(poll, JOB_CONFIG.POLL_INTERVAL_MS);
+  }
+};
+
+/**
+ * Start polling for jobs in this process
+ */
+export const startJobWorker = async () => {
+  if (running) return;
+
+  running = true;
+  await requeueStaleJobs();
+  console.log(`Job worker ${WORKER_ID} started (concurrency: ${JOB_CONFIG.CONCURRENCY})`);
+  poll();
+};
+
+/**
+ * Stop claiming new jobs. Jobs already running finish on their own.
+ */
+export const stopJobWorker = () => {
+  running = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,347 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import User from '../models/userModel.js';
+import UploadSession from '../models/uploadSessionModel.js';
+import Job from '../models/jobModel.js';
+import { registerJobHandler, scheduleRecurringJob } from './jobQueue.js';
+import { STORAGE_AREAS, listStoredFiles, removeStoredFile, withStoredFile } from './storageService.js';
+import { DEFAULT_THUMBNAIL, THUMBNAIL_CANDIDATES_DIR } from './thumbnailService.js';
+import { CAPTIONS_DIR, getCaptionPath } from './captionService.js';
+import { STORYBOARDS_DIR, getStoryboardDir } from './storyboardService.js';
+import { PREVIEWS_DIR } from './previewClipService.js';
+import { getHlsDir } from '../utils/videoStream.js';
+
+// Load environment variables
+dotenv.config();
+
+// ES Module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MEDIA_GC_JOB_TYPE = 'media:gc';
+
+// report: only list orphans; quarantine: move them aside for review; delete: remove them
+export const MEDIA_GC_ACTIONS = ['report', 'quarantine', 'delete'];
+
+// Orphaned media collection configuration
+export const MEDIA_GC_CONFIG = {
+  // Younger files are never orphans: uploads in flight and jobs still writing have no record yet
+  GRACE_HOURS: parseFloat(process.env.MEDIA_GC_GRACE_HOURS || '24'),
+  // Hours between scheduled runs; 0 leaves collection to npm run gc:media
+  INTERVAL_HOURS: parseFloat(process.env.MEDIA_GC_INTERVAL_HOURS || '0'),
+  // What scheduled runs do with the orphans they find
+  ACTION: process.env.MEDIA_GC_ACTION || 'report',
+  // Quarantined files are kept here, one sub-directory per run, until removed by hand
+  QUARANTINE_DIR: path.join(__dirname, '../uploads/quarantine')
+};
+
+// Record fields holding the name of a stored file, per storage area
+const FILE_REFERENCES = {
+  [STORAGE_AREAS.VIDEOS]: [
+    { model: Video, field: 'videoFile' },
+    // Resumable uploads append their chunks to a part file next to the videos
+    { model: UploadSession, field: 'partFile', filter: { status: 'active' } }
+  ],
+  [STORAGE_AREAS.THUMBNAILS]: [{ model: Video, field: 'thumbnail' }],
+  [STORAGE_AREAS.PROFILES]: [{ model: User, field: 'profilePicture' }],
+  [STORAGE_AREAS.FEATURED_IMAGES]: [{ model: Article, field: 'featuredImage' }]
+};
+
+// Defaults shared by many records and always served from uploads/
+const SHARED_FILES = {
+  [STORAGE_AREAS.THUMBNAILS]: [DEFAULT_THUMBNAIL],
+  [STORAGE_AREAS.PROFILES]: ['default-profile.png']
+};
+
+// Generated files, in one sub-directory per video ID
+const VIDEO_DIRECTORIES = {
+  hls: getHlsDir(),
+  captions: CAPTIONS_DIR,
+  storyboards: STORYBOARDS_DIR,
+  previews: PREVIEWS_DIR,
+  'thumbnail-candidates': THUMBNAIL_CANDIDATES_DIR
+};
+
+const isStorageArea = (area) => Object.values(STORAGE_AREAS).includes(area);
+
+// OAuth sign-ups keep the provider's picture URL
+const isExternalUrl = (value) => /^https?:\/\//i.test(value);
+
+/**
+ * Whether a file was last modified before the grace period
+ * @param {Date} modifiedAt - Modification time
+ * @param {Date} now - Start of the run
+ * @returns {boolean}
+ */
+const isPastGracePeriod = (modifiedAt, now) =>
+  now - modifiedAt >= MEDIA_GC_CONFIG.GRACE_HOURS * 60 * 60 * 1000;
+
+/**
+ * Total size of a file or directory on disk
+ * @param {string} fullPath - File or directory
+ * @returns {Promise<number>} - Bytes
+ */
+const getDiskUsage = async (fullPath) => {
+  const stat = await fs.promises.stat(fullPath);
+  if (!stat.isDirectory()) return stat.size;
+
+  const entries = await fs.promises.readdir(fullPath);
+  const sizes = await Promise.all(entries.map(entry => getDiskUsage(path.join(fullPath, entry))));
+  return sizes.reduce((total, size) => total + size, 0);
+};
+
+/**
+ * Entries of a directory, or none when it does not exist
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<Object>>} - fs.Dirent entries
+ */
+const readDirectory = async (dir) => {
+  try {
+    return await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+/**
+ * Names of the files of an area that a record points to
+ * @param {string} area - One of STORAGE_AREAS
+ * @returns {Promise<Set<string>>}
+ */
+const getReferencedFiles = async (area) => {
+  const names = new Set(SHARED_FILES[area] || []);
+  for (const { model, field, filter = {} } of FILE_REFERENCES[area]) {
+    const values = await model.distinct(field, filter);
+    // Older records may hold a path rather than a bare file name
+    values.filter(Boolean).forEach(value => names.add(path.basename(value)));
+  }
+  return names;
+};
+
+/**
+ * Find stored files no record points to, and generated directories of videos
+ * that no longer exist. Files modified within the grace period are skipped.
+ * @param {Date} [now] - Start of the run
+ * @returns {Promise<Array<{area: string, name: string, type: string, size: number, modifiedAt: Date}>>}
+ */
+export const findOrphanedMedia = async (now = new Date()) => {
+  const orphans = [];
+
+  for (const area of Object.values(STORAGE_AREAS)) {
+    const referenced = await getReferencedFiles(area);
+    const files = await listStoredFiles(area);
+
+    files
+      .filter(file => !referenced.has(file.fileName) && isPastGracePeriod(file.modifiedAt, now))
+      .forEach(file => orphans.push({
+        area,
+        name: file.fileName,
+        type: 'file',
+        size: file.size,
+        modifiedAt: file.modifiedAt
+      }));
+  }
+
+  const videoIds = new Set((await Video.distinct('_id')).map(id => id.toString()));
+  // Identical uploads play the HLS directory of the original, which can outlive it
+  const hlsDirectories = new Set(await Video.distinct('hls.directory'));
+  for (const [area, dir] of Object.entries(VIDEO_DIRECTORIES)) {
+    for (const entry of await readDirectory(dir)) {
+      if (videoIds.has(entry.name) || (area === 'hls' && hlsDirectories.has(entry.name))) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      const { mtime } = await fs.promises.stat(fullPath);
+      if (!isPastGracePeriod(mtime, now)) continue;
+
+      orphans.push({
+        area,
+        name: entry.name,
+        type: entry.isDirectory() ? 'directory' : 'file',
+        size: await getDiskUsage(fullPath),
+        modifiedAt: mtime
+      });
+    }
+  }
+
+  return orphans;
+};
+
+/**
+ * Find records pointing to files that do not exist
+ * @returns {Promise<Array<{model: string, id: string, field: string, value: string}>>}
+ */
+export const findDanglingReferences = async () => {
+  const stored = {};
+  for (const area of Object.values(STORAGE_AREAS)) {
+    const files = await listStoredFiles(area);
+    stored[area] = new Set([...files.map(file => file.fileName), ...(SHARED_FILES[area] || [])]);
+  }
+
+  const dangling = [];
+  const checkFile = (model, record, field, area, value) => {
+    if (!value || isExternalUrl(value) || stored[area].has(path.basename(value))) return;
+    dangling.push({ model, id: record._id.toString(), field, value });
+  };
+
+  const videos = Video.find()
+    .select('videoFile thumbnail hls.status hls.directory storyboard.status captions.language captions.fileName')
+    .lean()
+    .cursor();
+  for await (const video of videos) {
+    checkFile('Video', video, 'videoFile', STORAGE_AREAS.VIDEOS, video.videoFile);
+    checkFile('Video', video, 'thumbnail', STORAGE_AREAS.THUMBNAILS, video.thumbnail);
+
+    const videoId = video._id.toString();
+    const hlsDirectory = video.hls?.directory || videoId;
+    if (video.hls?.status === 'ready' && !fs.existsSync(path.join(getHlsDir(), hlsDirectory))) {
+      dangling.push({ model: 'Video', id: videoId, field: 'hls', value: hlsDirectory });
+    }
+    if (video.storyboard?.status === 'ready' && !fs.existsSync(getStoryboardDir(videoId))) {
+      dangling.push({ model: 'Video', id: videoId, field: 'storyboard', value: videoId });
+    }
+    (video.captions || [])
+      .filter(track => !fs.existsSync(getCaptionPath(videoId, track.fileName)))
+      .forEach(track => dangling.push({ model: 'Video', id: videoId, field: `captions.${track.language}`, value: track.fileName }));
+  }
+
+  for await (const user of User.find({ profilePicture: { $exists: true } }).select('profilePicture').lean().cursor()) {
+    checkFile('User', user, 'profilePicture', STORAGE_AREAS.PROFILES, user.profilePicture);
+  }
+
+  for await (const article of Article.find({ featuredImage: { $exists: true } }).select('featuredImage').lean().cursor()) {
+    checkFile('Article', article, 'featuredImage', STORAGE_AREAS.FEATURED_IMAGES, article.featuredImage);
+  }
+
+  return dangling;
+};
+
+/**
+ * Move an orphan to the quarantine directory of the run
+ * @param {Object} orphan - Entry of findOrphanedMedia
+ * @param {string} runDir - Quarantine directory of the run
+ */
+const quarantineOrphan = async (orphan, runDir) => {
+  const target = path.join(runDir, orphan.area, orphan.name);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  if (isStorageArea(orphan.area)) {
+    await withStoredFile(orphan.area, orphan.name, localPath => fs.promises.copyFile(localPath, target));
+    await removeStoredFile(orphan.area, orphan.name);
+  } else {
+    await fs.promises.rename(path.join(VIDEO_DIRECTORIES[orphan.area], orphan.name), target);
+  }
+};
+
+/**
+ * Delete an orphan
+ * @param {Object} orphan - Entry of findOrphanedMedia
+ */
+const deleteOrphan = async (orphan) => {
+  if (isStorageArea(orphan.area)) {
+    await removeStoredFile(orphan.area, orphan.name);
+  } else {
+    await fs.promises.rm(path.join(VIDEO_DIRECTORIES[orphan.area], orphan.name), { recursive: true, force: true });
+  }
+};
+
+/**
+ * Cross-reference media files with Video, Article, User and upload session records.
+ * Dangling references are only reported; fixing them needs a decision per record.
+ * @param {Object} [options]
+ * @param {string} [options.action] - One of MEDIA_GC_ACTIONS
+ * @param {boolean} [options.dryRun] - Report what the action would do without doing it
+ * @returns {Promise<Object>} - Orphans, dangling references and what was done
+ */
+export const reconcileMedia = async ({ action = 'report', dryRun = false } = {}) => {
+  if (!MEDIA_GC_ACTIONS.includes(action)) {
+    throw new Error(`Unknown media GC action "${action}", expected ${MEDIA_GC_ACTIONS.join(', ')}`);
+  }
+
+  const now = new Date();
+  const orphans = await findOrphanedMedia(now);
+  const danglingReferences = await findDanglingReferences();
+
+  const report = {
+    action,
+    dryRun: action === 'report' || dryRun,
+    orphans,
+    orphanedBytes: orphans.reduce((total, orphan) => total + orphan.size, 0),
+    danglingReferences,
+    processed: 0,
+    failed: []
+  };
+  if (report.dryRun) return report;
+
+  const runDir = path.join(MEDIA_GC_CONFIG.QUARANTINE_DIR, now.toISOString().replace(/[:.]/g, '-'));
+  for (const orphan of orphans) {
+    try {
+      if (action === 'quarantine') {
+        await quarantineOrphan(orphan, runDir);
+      } else {
+        await deleteOrphan(orphan);
+      }
+      report.processed++;
+    } catch (error) {
+      report.failed.push({ area: orphan.area, name: orphan.name, error: error.message });
+    }
+  }
+
+  if (action === 'quarantine' && report.processed > 0) {
+    report.quarantineDir = runDir;
+  }
+  return report;
+};
+
+/**
+ * Counts of a report, small enough to keep as a job result
+ * @param {Object} report - Result of reconcileMedia
+ * @returns {Object}
+ */
+export const summarizeMediaReport = (report) => ({
+  action: report.action,
+  dryRun: report.dryRun,
+  orphans: report.orphans.length,
+  orphanedBytes: report.orphanedBytes,
+  danglingReferences: report.danglingReferences.length,
+  processed: report.processed,
+  failed: report.failed.length,
+  quarantineDir: report.quarantineDir
+});
+
+/**
+ * Register the media collection job handler
+ */
+export const registerMediaGcJobs = () => {
+  registerJobHandler(MEDIA_GC_JOB_TYPE, async (job) => {
+    const summary = summarizeMediaReport(await reconcileMedia({ action: job.payload?.action }));
+    console.log('Media GC:', summary);
+    return summary;
+  });
+};
+
+/**
+ * Schedule the recurring media collection when MEDIA_GC_INTERVAL_HOURS is set
+ * @returns {Promise<Object|null>} - Recurring job, null when disabled
+ */
+export const scheduleMediaGcJob = async () => {
+  if (!MEDIA_GC_CONFIG.INTERVAL_HOURS) {
+    // A run scheduled while an interval was configured would otherwise keep repeating
+    await Job.deleteOne({ recurringKey: MEDIA_GC_JOB_TYPE, status: 'queued' });
+    return null;
+  }
+
+  if (!MEDIA_GC_ACTIONS.includes(MEDIA_GC_CONFIG.ACTION)) {
+    throw new Error(`Unknown MEDIA_GC_ACTION "${MEDIA_GC_CONFIG.ACTION}", expected ${MEDIA_GC_ACTIONS.join(', ')}`);
+  }
+
+  return scheduleRecurringJob(
+    MEDIA_GC_JOB_TYPE,
+    MEDIA_GC_CONFIG.INTERVAL_HOURS * 60 * 60 * 1000,
+    { action: MEDIA_GC_CONFIG.ACTION }
+  );
+};
@@ -0,0 +1,104 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffprobeInstaller from '@ffprobe-installer/ffprobe';
+import AppError from '../utils/appError.js';
+
+// Set ffprobe path
+ffmpeg.setFfprobePath(ffprobeInstaller.path);
+
+// Demuxers ffprobe uses for still images, which also report a "video" stream
+const IMAGE_FORMATS = /^(image2|gif|.+_pipe)$/;
+
+/**
+ * Run ffprobe on a file
+ * @param {string} fullPath - Full path to the media file
+ * @returns {Promise<Object>} - Raw ffprobe output
+ */
+const runFfprobe = (fullPath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(fullPath, (err, data) => (err ? reject(err) : resolve(data)));
+});
+
+/**
+ * Parse an ffprobe rational such as "30000/1001"
+ * @param {string} value - Rational string
+ * @returns {number|null} - Decimal value
+ */
+const parseRational = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const [numerator, denominator] = value.split('/').map(Number);
+  if (!numerator || !denominator) return null;
+  return numerator / denominator;
+};
+
+/**
+ * Read the display rotation of a video stream (0, 90, 180 or 270)
+ * Older ffprobe versions report a "rotate" tag, newer ones display matrix
+ * side data, which fluent-ffmpeg flattens onto the stream.
+ * @param {Object} stream - ffprobe video stream
+ * @returns {number} - Rotation in degrees
+ */
+const getRotation = (stream) => {
+  const raw = Number(stream.tags?.rotate ?? stream.rotation ?? 0) || 0;
+  return ((Math.round(raw / 90) * 90) % 360 + 360) % 360;
+};
+
+/**
+ * Reduce width and height to a ratio string such as "16:9"
+ * @param {number} width - Display width
+ * @param {number} height - Display height
+ * @returns {string} - Aspect ratio
+ */
+const toAspectRatio = (width, height) => {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(width, height);
+  return `${width / divisor}:${height / divisor}`;
+};
+
+/**
+ * Probe an uploaded video and return the metadata stored on the Video model.
+ * Width, height and aspect ratio are the displayed values, i.e. after rotation.
+ * @param {string} fullPath - Full path to the video file
+ * @returns {Promise<{duration: number, mediaInfo: Object}>} - Normalized metadata
+ * @throws {AppError} - 400 if the file is not a decodable video
+ */
+export const probeVideo = async (fullPath) => {
+  let data;
+  try {
+    data = await runFfprobe(fullPath);
+  } catch (error) {
+    throw new AppError('Uploaded file is not a valid video', 400);
+  }
+
+  // Cover art in audio files shows up as a video stream with the attached_pic flag
+  const videoStream = (data.streams || []).find(stream =>
+    stream.codec_type === 'video' && !stream.disposition?.attached_pic
+  );
+  const audioStream = (data.streams || []).find(stream => stream.codec_type === 'audio');
+
+  const duration = parseFloat(data.format?.duration) || parseFloat(videoStream?.duration) || 0;
+
+  const isStillImage = IMAGE_FORMATS.test(data.format?.format_name || '');
+
+  if (!videoStream || isStillImage || !videoStream.width || !videoStream.height || duration <= 0) {
+    throw new AppError('Uploaded file does not contain a playable video stream', 400);
+  }
+
+  const rotation = getRotation(videoStream);
+  const isSideways = rotation === 90 || rotation === 270;
+  const width = isSideways ? videoStream.height : videoStream.width;
+  const height = isSideways ? videoStream.width : videoStream.height;
+  const frameRate = parseRational(videoStream.avg_frame_rate) || parseRational(videoStream.r_frame_rate);
+
+  return {
+    duration: Math.round(duration * 100) / 100,
+    mediaInfo: {
+      width,
+      height,
+      aspectRatio: toAspectRatio(width, height),
+      videoCodec: videoStream.codec_name,
+      audioCodec: audioStream ? audioStream.codec_name : null,
+      bitrate: parseInt(data.format?.bit_rate, 10) || null,
+      frameRate: frameRate ? Math.round(frameRate * 100) / 100 : null,
+      rotation
+    }
+  };
+};
@@ -1,3 +1,4 @@
+import fs from 'fs';
 import { Configuration, OpenAIApi } from 'openai';
 import dotenv from 'dotenv';
 
@@ -46,13 +47,18 @@ const calculateBackoff = (retry) => {
  * @param {string} videoDescription - The description of the video
  * @returns {Promise<{title: string, content: string}>} - Generated article title and content
  */
+// Characters of the transcript included in prompts and basic articles
+const TRANSCRIPT_PROMPT_CHARS = 12000;
+const TRANSCRIPT_EXCERPT_CHARS = 600;
+
 /**
  * Generate a basic article from video metadata without using AI
  * @param {string} videoTitle - The title of the video
  * @param {string} videoDescription - The description of the video
+ * @param {string} [transcript] - What is said in the video
  * @returns {Object} - Basic article with title and content
  */
-const generateBasicArticle = (videoTitle, videoDescription) => {
+const generateBasicArticle = (videoTitle, videoDescription, transcript) => {
   const title = `${videoTitle}: Latest Update`;
   
   // Create a simple formatted article from the description
@@ -67,6 +73,13 @@ const generateBasicArticle = (videoTitle, videoDescription) => {
     }
   }
   
+  if (transcript) {
+    const excerpt = transcript.length > TRANSCRIPT_EXCERPT_CHARS
+      ? `${transcript.substring(0, TRANSCRIPT_EXCERPT_CHARS).replace(/\s+\S*$/, '')}...`
+      : transcript;
+    content += `\n<h2>From the Video</h2>\n<p>${excerpt}</p>\n`;
+  }
+  
   content += `\n<h2>Conclusion</h2>\n<p>For more detailed information, please watch the full video.</p>`;
   
   return { title, content };
@@ -76,12 +89,13 @@ const generateBasicArticle = (videoTitle, videoDescription) => {
  * Generate article content using OpenAI's ChatGPT with retry logic
  * @param {string} videoTitle - The title of the video
  * @param {string} videoDescription - The description of the video
+ * @param {string} [transcript] - What is said in the video, when it was transcribed
  * @returns {Promise<{title: string, content: string}>} - Generated article title and content
  */
-export const generateArticleFromVideo = async (videoTitle, videoDescription) => {
+export const generateArticleFromVideo = async (videoTitle, videoDescription, transcript) => {
   if (!process.env.OPENAI_API_KEY) {
     console.log('OpenAI API key is not configured, using basic article generation');
-    return generateBasicArticle(videoTitle, videoDescription);
+    return generateBasicArticle(videoTitle, videoDescription, transcript);
   }
 
   let retries = 0;
@@ -89,7 +103,10 @@ export const generateArticleFromVideo = async (videoTitle, videoDescription) =>
   while (retries <= RETRY_CONFIG.MAX_RETRIES) {
     try {
       // Create a prompt for the ChatGPT model
-      const prompt = `Generate a news article based on the following video information:\n\nVideo Title: ${videoTitle}\nVideo Description: ${videoDescription}\n\nPlease create a well-structured news article with a catchy title and detailed content that expands on the video's topic. The article should be informative, engaging, and between 400-600 words.`;
+      const transcriptSection = transcript
+        ? `\nVideo Transcript: ${transcript.substring(0, TRANSCRIPT_PROMPT_CHARS)}\n`
+        : '';
+      const prompt = `Generate a news article based on the following video information:\n\nVideo Title: ${videoTitle}\nVideo Description: ${videoDescription}\n${transcriptSection}\nPlease create a well-structured news article with a catchy title and detailed content that expands on the video's topic. The article should be informative, engaging, and between 400-600 words.`;
 
       // Call the OpenAI API
       const response = await openai.createChatCompletion({
@@ -131,7 +148,7 @@ export const generateArticleFromVideo = async (videoTitle, videoDescription) =>
       if (retries >= RETRY_CONFIG.MAX_RETRIES || !isRateLimitError) {
         console.error('Error generating article with OpenAI:', error);
         console.log('Using fallback article generation method');
-        return generateBasicArticle(videoTitle, videoDescription);
+        return generateBasicArticle(videoTitle, videoDescription, transcript);
       }
       
       // Calculate backoff time and wait
@@ -145,5 +162,75 @@ export const generateArticleFromVideo = async (videoTitle, videoDescription) =>
   
   // If we've exhausted all retries, use the fallback
   console.log('All retry attempts failed, using fallback article generation');
-  return generateBasicArticle(videoTitle, videoDescription);
-};
\ No newline at end of file
+  return generateBasicArticle(videoTitle, videoDescription, transcript);
+};
+
+// Files larger than this are rejected by the transcription API
+const MAX_TRANSCRIPTION_FILE_BYTES = 25 * 1024 * 1024;
+
+let languageCodesByName = null;
+
+/**
+ * Map a language name returned by Whisper ("english") to its ISO 639-1 code
+ * @param {string} name - Language name or code
+ * @returns {string|undefined}
+ */
+const toLanguageCode = (name) => {
+  if (!name) return undefined;
+  if (/^[a-z]{2}$/i.test(name)) return name.toLowerCase();
+
+  if (!languageCodesByName) {
+    const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+    languageCodesByName = new Map();
+    for (let first = 97; first <= 122; first++) {
+      for (let second = 97; second <= 122; second++) {
+        const code = String.fromCharCode(first, second);
+        const displayName = displayNames.of(code);
+        if (displayName && displayName !== code) {
+          languageCodesByName.set(displayName.toLowerCase(), code);
+        }
+      }
+    }
+  }
+  return languageCodesByName.get(name.toLowerCase());
+};
+
+/**
+ * Transcribe an audio file with OpenAI Whisper. Errors are thrown so the
+ * calling job can retry.
+ * @param {string} audioPath - Full path to the audio file
+ * @param {Object} [options]
+ * @param {string} [options.language] - ISO 639-1 code of the spoken language, detected when omitted
+ * @returns {Promise<{text: string, language: string, segments: Array<{start: number, end: number, text: string}>}>}
+ */
+export const transcribeAudio = async (audioPath, { language } = {}) => {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OpenAI API key is not configured');
+  }
+
+  const { size } = await fs.promises.stat(audioPath);
+  if (size > MAX_TRANSCRIPTION_FILE_BYTES) {
+    throw new Error(`Audio is ${Math.round(size / 1024 / 1024)}MB, above the 25MB transcription limit`);
+  }
+
+  const response = await openai.createTranscription(
+    fs.createReadStream(audioPath),
+    'whisper-1',
+    undefined,
+    'verbose_json',
+    0,
+    language,
+    { maxBodyLength: Infinity }
+  );
+
+  const { text = '', segments = [] } = response.data;
+  return {
+    text: text.trim(),
+    language: language || toLanguageCode(response.data.language),
+    segments: segments.map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim()
+    }))
+  };
+};
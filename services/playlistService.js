@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import Playlist from '../models/playlistModel.js';
+import PlaylistFollow from '../models/playlistFollowModel.js';
+import Video from '../models/videoModel.js';
+import { clearCacheByPattern } from '../utils/redisCache.js';
+import { SOCKET_EVENTS, emitToUser } from '../utils/socketEvents.js';
+import { getLinkViewableVideoFilter } from './videoVisibilityService.js';
+
+/**
+ * Find where a video sits in a public playlist and what plays next.
+ * Without a playlist ID, the most recently updated public series holding
+ * the video is used.
+ * @param {string} videoId - Video being watched
+ * @param {string} [playlistId] - Playlist the viewer is playing, from ?playlist=
+ * @returns {Promise<Object|null>} - Playlist, position and next video, or null
+ */
+export const getSeriesNavigation = async (videoId, playlistId) => {
+  const filter = { videos: videoId, isPublic: true };
+  if (playlistId && mongoose.Types.ObjectId.isValid(playlistId)) {
+    filter._id = playlistId;
+  } else {
+    filter.kind = 'series';
+  }
+
+  const playlist = await Playlist.findOne(filter)
+    .sort({ updatedAt: -1 })
+    .select('title kind videos')
+    .lean();
+  if (!playlist) return null;
+
+  // Unpublished, restricted or deleted videos are skipped, so auto-advance never
+  // dead-ends and the numbering only counts videos the viewer can play
+  const viewable = await Video.find({ _id: { $in: playlist.videos }, ...getLinkViewableVideoFilter() })
+    .select('title thumbnail duration')
+    .lean();
+  const viewableById = new Map(viewable.map(video => [video._id.toString(), video]));
+  const videoIds = playlist.videos.filter(id => id.toString() === videoId.toString() || viewableById.has(id.toString()));
+
+  const index = videoIds.findIndex(id => id.toString() === videoId.toString());
+  const nextId = videoIds[index + 1];
+
+  return {
+    playlist: { _id: playlist._id, title: playlist.title, kind: playlist.kind },
+    position: index + 1,
+    total: videoIds.length,
+    next: nextId ? viewableById.get(nextId.toString()) : null
+  };
+};
+
+/**
+ * Drop cached video details whose series navigation may have changed
+ * @param {Array<Object>} videoIds - Videos of a changed playlist
+ * @returns {Promise<void>}
+ */
+export const clearPlaylistVideoCaches = async (videoIds) => {
+  await Promise.all(videoIds.map(id => clearCacheByPattern(`video:${id}:*`)));
+};
+
+/**
+ * Tell the followers of a playlist that a video was added
+ * @param {Object} io - Socket.IO server
+ * @param {Object} playlist - Playlist document
+ * @param {Object} video - Added video
+ * @returns {Promise<number>} - Followers notified
+ */
+export const notifyPlaylistFollowers = async (io, playlist, video) => {
+  if (!io) return 0;
+
+  const follows = await PlaylistFollow.find({ playlist: playlist._id }).select('user').lean();
+  const payload = {
+    playlist: { _id: playlist._id, title: playlist.title, kind: playlist.kind },
+    video: { _id: video._id, title: video.title, thumbnail: video.thumbnail },
+    position: playlist.videos.findIndex(id => id.toString() === video._id.toString()) + 1
+  };
+
+  follows.forEach(follow => emitToUser(io, follow.user, SOCKET_EVENTS.PLAYLIST.VIDEO_ADDED, payload));
+  return follows.length;
+};
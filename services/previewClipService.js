@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import { STORAGE_AREAS, withStoredFile } from './storageService.js';
+
+// Load environment variables
+dotenv.config();
+
+// ES Module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+export const PREVIEWS_DIR = path.join(__dirname, '../uploads/previews');
+
+// Preview clip configuration
+export const PREVIEW_CLIP_CONFIG = {
+  DURATION_SECONDS: parseFloat(process.env.PREVIEW_CLIP_SECONDS || '3'),
+  WIDTH: 320,
+  // Clips start this far into the video, past intros and title cards
+  START_RATIO: 0.25,
+  MP4_FPS: 15,
+  // Animated WebP grows quickly with the frame rate
+  WEBP_FPS: 10
+};
+
+/**
+ * Directory holding a video's preview clips
+ * @param {string} videoId - Video ID
+ * @returns {string}
+ */
+export const getPreviewDir = (videoId) => path.join(PREVIEWS_DIR, videoId.toString());
+
+/**
+ * Choose which part of the video the preview shows
+ * @param {number} duration - Video duration in seconds
+ * @returns {{start: number, duration: number}}
+ */
+export const getPreviewWindow = (duration) => {
+  const clipDuration = Math.min(PREVIEW_CLIP_CONFIG.DURATION_SECONDS, duration);
+  const start = Math.min(duration * PREVIEW_CLIP_CONFIG.START_RATIO, duration - clipDuration);
+  return {
+    start: Math.max(0, Math.round(start * 100) / 100),
+    duration: Math.round(clipDuration * 100) / 100
+  };
+};
+
+/**
+ * Encode a silent excerpt of a video
+ * @param {string} inputPath - Full path to the video file
+ * @param {string} outputPath - .mp4 or .webp file to write
+ * @param {Object} window - Result of getPreviewWindow
+ * @param {Array<string>} options - Codec options for the format
+ * @returns {Promise<void>}
+ */
+const encodeClip = (inputPath, outputPath, window, options) => new Promise((resolve, reject) => {
+  ffmpeg(inputPath)
+    .seekInput(window.start)
+    .duration(window.duration)
+    .noAudio()
+    .outputOptions(options)
+    .output(outputPath)
+    .on('end', resolve)
+    .on('error', reject)
+    .run();
+});
+
+/**
+ * Generate the looping preview clips of a video, an MP4 for <video> players
+ * and an animated WebP for places that only take images, and record them on the Video
+ * @param {Object} video - Video document
+ * @returns {Promise<Object>} - Updated video document
+ */
+export const generatePreviewClip = async (video) => {
+  const outputDir = getPreviewDir(video._id);
+
+  if (!video.duration) {
+    return Video.findByIdAndUpdate(video._id, {
+      previewClip: { status: 'failed', error: 'Video duration is unknown' }
+    }, { new: true });
+  }
+
+  await Video.findByIdAndUpdate(video._id, {
+    'previewClip.status': 'processing',
+    'previewClip.error': null
+  });
+
+  try {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const window = getPreviewWindow(video.duration);
+    // File names change on every generation so cached clips of a replaced video are never served
+    const baseName = `preview-${Date.now()}`;
+    const scale = `scale=${PREVIEW_CLIP_CONFIG.WIDTH}:-2`;
+
+    await withStoredFile(STORAGE_AREAS.VIDEOS, video.videoFile, async (inputPath) => {
+      await encodeClip(inputPath, path.join(outputDir, `${baseName}.mp4`), window, [
+        '-vf', `fps=${PREVIEW_CLIP_CONFIG.MP4_FPS},${scale}`,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-crf', '28',
+        '-pix_fmt', 'yuv420p',
+        '-movflags', '+faststart'
+      ]);
+      await encodeClip(inputPath, path.join(outputDir, `${baseName}.webp`), window, [
+        '-vf', `fps=${PREVIEW_CLIP_CONFIG.WEBP_FPS},${scale}`,
+        '-c:v', 'libwebp',
+        '-quality', '60',
+        '-loop', '0'
+      ]);
+    });
+
+    return await Video.findByIdAndUpdate(video._id, {
+      previewClip: {
+        status: 'ready',
+        mp4: `${baseName}.mp4`,
+        webp: `${baseName}.webp`,
+        start: window.start,
+        duration: window.duration,
+        generatedAt: new Date()
+      }
+    }, { new: true });
+  } catch (error) {
+    console.error(`Preview clip generation failed for video ${video._id}:`, error);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+
+    await Video.findByIdAndUpdate(video._id, {
+      'previewClip.status': 'failed',
+      'previewClip.error': error.message
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete the preview clips of a video
+ * @param {string} videoId - Video ID
+ */
+export const removePreviewClipFiles = (videoId) => {
+  fs.rmSync(getPreviewDir(videoId), { recursive: true, force: true });
+};
@@ -0,0 +1,218 @@
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import Follow from '../models/followModel.js';
+import Playlist from '../models/playlistModel.js';
+import AppError from '../utils/appError.js';
+import { registerJobHandler, scheduleRecurringJob } from './jobQueue.js';
+import { notifyPlaylistFollowers } from './playlistService.js';
+import { isViewableByLink, isPublicVideo } from './videoVisibilityService.js';
+import { clearVideoCaches } from './videoCleanupService.js';
+import { deleteCache, clearCacheByPattern } from '../utils/redisCache.js';
+import { SOCKET_EVENTS, emitToUser } from '../utils/socketEvents.js';
+
+// Load environment variables
+dotenv.config();
+
+const PUBLISH_JOB_TYPE = 'publishing:sweep';
+
+// Scheduled publishing configuration
+export const PUBLISHING_CONFIG = {
+  // How often due videos and articles are published; content goes live at most this late
+  SWEEP_INTERVAL_SECONDS: parseInt(process.env.PUBLISH_SWEEP_INTERVAL_SECONDS || '30', 10),
+  // Items published per type and sweep; the rest follow in the next sweep
+  BATCH_SIZE: 100
+};
+
+/**
+ * Read a publishAt field
+ * @param {string|null|undefined} value - ISO 8601 date, or null/"" to cancel the schedule
+ * @returns {Date|null|undefined} - Future date, null to cancel, undefined when not sent
+ */
+export const parsePublishAt = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'null') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError('publishAt must be an ISO 8601 date such as "2026-05-01T09:00:00Z"', 400);
+  }
+  if (date <= new Date()) {
+    throw new AppError('publishAt must be in the future', 400);
+  }
+  return date;
+};
+
+/**
+ * Tell the active followers of a creator about newly published content
+ * @param {Object} io - Socket.IO server
+ * @param {string} userId - Creator or author
+ * @param {string} eventName - Socket event
+ * @param {Object} payload - Event data
+ * @returns {Promise<number>} - Followers notified
+ */
+const notifyFollowers = async (io, userId, eventName, payload) => {
+  if (!io) return 0;
+
+  const follows = await Follow.find({ following: userId, status: 'active' }).select('follower').lean();
+  follows.forEach(follow => emitToUser(io, follow.follower, eventName, payload));
+  return follows.length;
+};
+
+/**
+ * Drop cached article lists and the given articles
+ * @param {Array<Object>} articleIds - Changed articles
+ */
+const clearArticleCaches = async (articleIds) => {
+  await Promise.all(articleIds.map(articleId => deleteCache(`article:${articleId}`)));
+  await clearCacheByPattern('articles:*');
+  await clearCacheByPattern('article-categories:*');
+};
+
+/**
+ * Keep the articles scheduled or held back along with a video on the video's
+ * schedule and visibility: they are published once the video is public, move
+ * with the publishAt of a public video, and go back to draft otherwise.
+ * Articles are listed to everyone, so a video that is not public keeps them as
+ * drafts until it is. Published articles are left alone.
+ * @param {Object} video - Video after the change, with isPublished, publishAt and visibility
+ * @returns {Promise<number>} - Articles updated
+ */
+export const syncRelatedArticleSchedule = async (video) => {
+  const filter = {
+    relatedVideo: video._id,
+    $or: [{ status: 'scheduled' }, { status: 'draft', publishWithVideo: true }]
+  };
+  const articleIds = await Article.find(filter).distinct('_id');
+  if (articleIds.length === 0) return 0;
+
+  const isPublicVisibility = (video.visibility || 'public') === 'public';
+  let update;
+  if (isPublicVideo(video)) {
+    update = { status: 'published', isPublished: true, $unset: { publishAt: 1, publishWithVideo: 1 } };
+  } else if (video.publishAt && isPublicVisibility) {
+    update = { status: 'scheduled', publishAt: video.publishAt };
+  } else if (video.isPublished || video.publishAt) {
+    update = { status: 'draft', publishWithVideo: true, $unset: { publishAt: 1 } };
+  } else {
+    // A cancelled schedule leaves the articles as drafts, like the video
+    update = { status: 'draft', $unset: { publishAt: 1 } };
+  }
+
+  await Article.updateMany({ _id: { $in: articleIds } }, update);
+  await clearArticleCaches(articleIds);
+  return articleIds.length;
+};
+
+/**
+ * Publish the videos whose publishAt has passed
+ * @param {Object} io - Socket.IO server
+ * @param {Date} now - Sweep time
+ * @returns {Promise<Array<Object>>} - Videos published
+ */
+const publishDueVideos = async (io, now) => {
+  const due = await Video.find({ isPublished: false, publishAt: { $lte: now } })
+    .sort({ publishAt: 1 })
+    .limit(PUBLISHING_CONFIG.BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  const published = [];
+  for (const { _id } of due) {
+    // Claimed with the same conditions, so an edit made meanwhile wins and each video is announced once
+    const video = await Video.findOneAndUpdate(
+      { _id, isPublished: false, publishAt: { $lte: now } },
+      { isPublished: true, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+    if (!video) continue;
+    published.push(video);
+
+    await clearVideoCaches(video._id);
+    // Unlisted and private videos are not announced
+    if (['public', 'followers-only'].includes(video.visibility || 'public')) {
+      await notifyFollowers(io, video.creator, SOCKET_EVENTS.PUBLISHING.VIDEO_PUBLISHED, {
+        video: { _id: video._id, title: video.title, thumbnail: video.thumbnail, creator: video.creator }
+      });
+    }
+    if (!isViewableByLink(video)) continue;
+
+    // Adding a scheduled video to a playlist did not notify its followers
+    const playlists = await Playlist.find({ videos: video._id, isPublic: true });
+    await Promise.all(playlists.map(playlist => notifyPlaylistFollowers(io, playlist, video)));
+  }
+
+  return published;
+};
+
+/**
+ * Publish the articles whose publishAt has passed
+ * @param {Object} io - Socket.IO server
+ * @param {Date} now - Sweep time
+ * @returns {Promise<number>} - Articles published
+ */
+const publishDueArticles = async (io, now) => {
+  const due = await Article.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .sort({ publishAt: 1 })
+    .limit(PUBLISHING_CONFIG.BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  const publishedIds = [];
+  for (const { _id } of due) {
+    const article = await Article.findOneAndUpdate(
+      { _id, status: 'scheduled', publishAt: { $lte: now } },
+      { status: 'published', isPublished: true, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+    if (!article) continue;
+    publishedIds.push(article._id);
+
+    await notifyFollowers(io, article.author, SOCKET_EVENTS.PUBLISHING.ARTICLE_PUBLISHED, {
+      article: { _id: article._id, title: article.title, featuredImage: article.featuredImage, author: article.author }
+    });
+  }
+
+  if (publishedIds.length > 0) {
+    await clearArticleCaches(publishedIds);
+  }
+  return publishedIds.length;
+};
+
+/**
+ * Publish every video and article whose publishAt has passed
+ * @param {Object} io - Socket.IO server, null when notifications cannot be sent
+ * @returns {Promise<{videos: number, articles: number}>} - Items published
+ */
+export const publishDueContent = async (io) => {
+  const now = new Date();
+  const publishedVideos = await publishDueVideos(io, now);
+  const articles = await publishDueArticles(io, now);
+  // After the scheduled articles, so those are announced; this publishes the drafts held back for a video
+  for (const video of publishedVideos) {
+    await syncRelatedArticleSchedule(video);
+  }
+  const videos = publishedVideos.length;
+
+  if (videos + articles > 0) {
+    console.log(`Scheduled publishing: ${videos} video(s), ${articles} article(s) published`);
+  }
+  return { videos, articles };
+};
+
+/**
+ * Register the scheduled publishing job handler
+ * @param {Function} getIo - Returns the Socket.IO server, which is created after the worker starts
+ */
+export const registerPublishingJobs = (getIo) => {
+  registerJobHandler(PUBLISH_JOB_TYPE, () => publishDueContent(getIo()));
+};
+
+/**
+ * Schedule the recurring publishing sweep
+ * @returns {Promise<Object|null>} - Recurring job
+ */
+export const schedulePublishingJob = () => scheduleRecurringJob(
+  PUBLISH_JOB_TYPE,
+  PUBLISHING_CONFIG.SWEEP_INTERVAL_SECONDS * 1000
+);
@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// S3-compatible object storage configuration (AWS S3, MinIO, ...)
+export const S3_CONFIG = {
+  BUCKET: process.env.S3_BUCKET,
+  REGION: process.env.S3_REGION || 'us-east-1',
+  // Set for MinIO and other S3-compatible services, e.g. http://localhost:9000
+  ENDPOINT: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+  ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  // Bucket in the path (http://host/bucket/key) instead of the host name; MinIO needs it
+  FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT),
+  // Prepended to every key, to share a bucket between environments
+  PREFIX: process.env.S3_PREFIX || '',
+  // A request, or a stream of its response, idle this long fails instead of hanging
+  REQUEST_TIMEOUT_MS: parseInt(process.env.S3_REQUEST_TIMEOUT_MS || '30000', 10)
+};
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Encode a URI component the way Signature Version 4 expects
+ * @param {string} value - Path segment or query value
+ * @returns {string}
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Add an AWS Signature Version 4 Authorization header to a request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL, with an encoded path
+ * @param {Object} request.headers - Headers to sign; host, x-amz-date and x-amz-content-sha256 are added
+ * @param {Object} credentials - accessKeyId, secretAccessKey and region
+ * @param {Date} [now] - Signing time
+ * @returns {Object} - Signed headers
+ */
+export const signRequest = ({ method, url, headers }, { accessKeyId, secretAccessKey, region }, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...headers,
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': headers['x-amz-content-sha256'] || UNSIGNED_PAYLOAD
+  };
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join(''),
+    names.join(';'),
+    lowerCased['x-amz-content-sha256']
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+
+/**
+ * URL of an object, or of the bucket when no key is given
+ * @param {string} [key] - Object key, without the configured prefix
+ * @returns {URL}
+ */
+const getObjectUrl = (key) => {
+  const endpoint = new URL(S3_CONFIG.ENDPOINT);
+  const objectPath = key === undefined
+    ? ''
+    : `${S3_CONFIG.PREFIX}${key}`.split('/').map(encodeRfc3986).join('/');
+
+  if (S3_CONFIG.FORCE_PATH_STYLE) {
+    return new URL(`${endpoint.origin}/${S3_CONFIG.BUCKET}/${objectPath}`);
+  }
+  return new URL(`${endpoint.protocol}//${S3_CONFIG.BUCKET}.${endpoint.host}/${objectPath}`);
+};
+
+/**
+ * Read a whole response body as text
+ * @param {Object} response - http.IncomingMessage
+ * @returns {Promise<string>}
+ */
+const readBody = async (response) => {
+  const chunks = [];
+  for await (const chunk of response) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Send a signed request to the object store
+ * @param {string} method - HTTP method
+ * @param {URL} url - Object or bucket URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra headers
+ * @param {Object} [options.body] - Readable stream to upload
+ * @returns {Promise<Object>} - http.IncomingMessage, not yet read
+ */
+const sendRequest = (method, url, { headers = {}, body } = {}) => {
+  if (!S3_CONFIG.BUCKET || !S3_CONFIG.ACCESS_KEY_ID || !S3_CONFIG.SECRET_ACCESS_KEY) {
+    return Promise.reject(new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY'));
+  }
+
+  const signedHeaders = signRequest({ method, url, headers }, {
+    accessKeyId: S3_CONFIG.ACCESS_KEY_ID,
+    secretAccessKey: S3_CONFIG.SECRET_ACCESS_KEY,
+    region: S3_CONFIG.REGION
+  });
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method, headers: signedHeaders }, resolve);
+    request.on('error', reject);
+    // Also covers a response body that stalls: destroying the request fails its stream
+    request.setTimeout(S3_CONFIG.REQUEST_TIMEOUT_MS, () => {
+      request.destroy(new Error(`S3 ${method} ${url.pathname} timed out after ${S3_CONFIG.REQUEST_TIMEOUT_MS} ms`));
+    });
+    if (body) {
+      body.on('error', error => request.destroy(error));
+      body.pipe(request);
+    } else {
+      request.end();
+    }
+  });
+};
+
+/**
+ * Turn an error response into an Error carrying the status and S3 error code
+ * @param {Object} response - http.IncomingMessage
+ * @param {string} action - What was attempted, for the message
+ * @returns {Promise<Error>}
+ */
+const toError = async (response, action) => {
+  const body = await readBody(response);
+  const code = (body.match(/<Code>([^<]+)<\/Code>/) || [])[1] || `HTTP ${response.statusCode}`;
+  const error = new Error(`S3 ${action} failed: ${code}`);
+  error.statusCode = response.statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Upload a local file
+ * @param {string} key - Object key
+ * @param {string} filePath - Full path of the file
+ * @param {string} contentType - MIME type stored with the object
+ * @returns {Promise<void>}
+ */
+export const putObjectFromFile = async (key, filePath, contentType) => {
+  const { size } = await fs.promises.stat(filePath);
+  const response = await sendRequest('PUT', getObjectUrl(key), {
+    headers: { 'content-type': contentType, 'content-length': size },
+    body: fs.createReadStream(filePath)
+  });
+
+  if (response.statusCode !== 200) {
+    throw await toError(response, `upload of ${key}`);
+  }
+  response.resume();
+};
+
+/**
+ * Read the size and type of an object
+ * @param {string} key - Object key
+ * @returns {Promise<{size: number, contentType: string}|null>} - null when the object does not exist
+ */
+export const headObject = async (key) => {
+  const response = await sendRequest('HEAD', getObjectUrl(key));
+  response.resume();
+
+  if (response.statusCode === 404) return null;
+  if (response.statusCode !== 200) {
+    const error = new Error(`S3 stat of ${key} failed: HTTP ${response.statusCode}`);
+    error.statusCode = response.statusCode;
+    throw error;
+  }
+  return {
+    size: parseInt(response.headers['content-length'], 10),
+    contentType: response.headers['content-type']
+  };
+};
+
+/**
+ * Open an object, or a byte range of it, for reading
+ * @param {string} key - Object key
+ * @param {Object} [range] - Inclusive start and end offsets
+ * @returns {Promise<Object>} - Readable stream of the bytes
+ */
+export const getObjectStream = async (key, range) => {
+  const headers = range ? { range: `bytes=${range.start}-${range.end ?? ''}` } : {};
+  const response = await sendRequest('GET', getObjectUrl(key), { headers });
+
+  if (response.statusCode !== 200 && response.statusCode !== 206) {
+    throw await toError(response, `read of ${key}`);
+  }
+  return response;
+};
+
+/**
+ * Delete an object; deleting a missing object succeeds
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+export const deleteObject = async (key) => {
+  const response = await sendRequest('DELETE', getObjectUrl(key));
+  if (response.statusCode !== 204 && response.statusCode !== 200) {
+    throw await toError(response, `delete of ${key}`);
+  }
+  response.resume();
+};
+
+/**
+ * Decode the XML entities S3 uses in keys
+ * @param {string} value - XML text
+ * @returns {string}
+ */
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * List the objects whose key starts with a prefix, following continuation tokens
+ * @param {string} prefix - Key prefix, without the configured prefix
+ * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>} - Keys without the configured prefix
+ */
+export const listObjects = async (prefix) => {
+  const objects = [];
+  let continuationToken;
+
+  do {
+    const url = getObjectUrl();
+    url.searchParams.set('list-type', '2');
+    url.searchParams.set('prefix', `${S3_CONFIG.PREFIX}${prefix}`);
+    if (continuationToken) url.searchParams.set('continuation-token', continuationToken);
+
+    const response = await sendRequest('GET', url);
+    if (response.statusCode !== 200) {
+      throw await toError(response, `listing of ${prefix}`);
+    }
+    const body = await readBody(response);
+
+    for (const [, entry] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      const field = (name) => (entry.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+      objects.push({
+        key: decodeXml(field('Key')).slice(S3_CONFIG.PREFIX.length),
+        size: parseInt(field('Size'), 10),
+        lastModified: new Date(field('LastModified'))
+      });
+    }
+
+    continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(body)
+      ? decodeXml((body.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/) || [])[1] || '')
+      : undefined;
+  } while (continuationToken);
+
+  return objects;
+};
@@ -0,0 +1,264 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { putObjectFromFile, headObject, getObjectStream, deleteObject, listObjects } from './s3Storage.js';
+
+// Load environment variables
+dotenv.config();
+
+// ES Module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+// Media kept in the storage backend, by the uploads sub-directory that names them
+export const STORAGE_AREAS = {
+  VIDEOS: 'videos',
+  THUMBNAILS: 'thumbnails',
+  PROFILES: 'profiles',
+  FEATURED_IMAGES: 'featured-images'
+};
+
+// local: files stay in uploads/; s3: files are moved to an S3-compatible bucket
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.ogg': 'video/ogg',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * MIME type of a stored file, from its extension
+ * @param {string} fileName - File name
+ * @returns {string}
+ */
+export const getContentType = (fileName) =>
+  CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Local directory of an area. Uploads are received here before being stored,
+ * and it holds the stored files themselves with the local driver.
+ * @param {string} area - One of STORAGE_AREAS
+ * @returns {string}
+ */
+export const getLocalDir = (area) => path.join(UPLOADS_DIR, area);
+
+/**
+ * Full local path of a file of an area
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - File name; directories are stripped
+ * @returns {string}
+ */
+const getLocalPath = (area, fileName) => path.join(getLocalDir(area), path.basename(fileName));
+
+/**
+ * Object key of a file of an area
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - File name; directories are stripped
+ * @returns {string}
+ */
+const getKey = (area, fileName) => `${area}/${path.basename(fileName)}`;
+
+const localDriver = {
+  async store(area, fileName, sourcePath) {
+    const targetPath = getLocalPath(area, fileName);
+    if (path.resolve(sourcePath) === targetPath) return;
+
+    await fs.promises.mkdir(getLocalDir(area), { recursive: true });
+    await fs.promises.copyFile(sourcePath, targetPath);
+    await fs.promises.unlink(sourcePath);
+  },
+
+  async stat(area, fileName) {
+    try {
+      const { size } = await fs.promises.stat(getLocalPath(area, fileName));
+      return { size, contentType: getContentType(fileName) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async openReadStream(area, fileName, range) {
+    return fs.createReadStream(getLocalPath(area, fileName), range || {});
+  },
+
+  async remove(area, fileName) {
+    try {
+      await fs.promises.unlink(getLocalPath(area, fileName));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  },
+
+  async withLocalFile(area, fileName, fn) {
+    return fn(getLocalPath(area, fileName));
+  },
+
+  async list(area) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(getLocalDir(area), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.filter(item => item.isFile())) {
+      const { size, mtime } = await fs.promises.stat(path.join(getLocalDir(area), entry.name));
+      files.push({ fileName: entry.name, size, modifiedAt: mtime });
+    }
+    return files;
+  }
+};
+
+const s3Driver = {
+  async store(area, fileName, sourcePath) {
+    await putObjectFromFile(getKey(area, fileName), sourcePath, getContentType(fileName));
+    // The received copy is not needed once the object is stored
+    await fs.promises.rm(sourcePath, { force: true });
+  },
+
+  async stat(area, fileName) {
+    const stat = await headObject(getKey(area, fileName));
+    return stat && { size: stat.size, contentType: stat.contentType || getContentType(fileName) };
+  },
+
+  async openReadStream(area, fileName, range) {
+    return getObjectStream(getKey(area, fileName), range);
+  },
+
+  async remove(area, fileName) {
+    const exists = await headObject(getKey(area, fileName));
+    if (!exists) return false;
+    await deleteObject(getKey(area, fileName));
+    return true;
+  },
+
+  // ffmpeg and the transcription providers need a file on disk
+  async withLocalFile(area, fileName, fn) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    const tempPath = path.join(tempDir, path.basename(fileName));
+    try {
+      await pipeline(await getObjectStream(getKey(area, fileName)), fs.createWriteStream(tempPath));
+      return await fn(tempPath);
+    } finally {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  },
+
+  async list(area) {
+    const objects = await listObjects(`${area}/`);
+    return objects
+      .map(object => ({ fileName: object.key.slice(area.length + 1), size: object.size, modifiedAt: object.lastModified }))
+      // Keys in "sub-directories" of the area are not files of it
+      .filter(file => file.fileName && !file.fileName.includes('/'));
+  }
+};
+
+const DRIVERS = { local: localDriver, s3: s3Driver };
+
+if (!DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", expected local or s3`);
+}
+
+const driver = DRIVERS[STORAGE_DRIVER];
+
+/**
+ * Whether stored files live somewhere other than uploads/
+ * @returns {boolean}
+ */
+export const isRemoteStorage = () => STORAGE_DRIVER !== 'local';
+
+/**
+ * Store a received file under its own name. The local file is moved, so
+ * it must not be used afterwards; read it back with withStoredFile.
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} sourcePath - Full path of the received file
+ * @returns {Promise<string>} - Stored file name
+ */
+export const storeFile = async (area, sourcePath) => {
+  const fileName = path.basename(sourcePath);
+  await driver.store(area, fileName, sourcePath);
+  return fileName;
+};
+
+/**
+ * Size and MIME type of a stored file
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - Stored file name
+ * @returns {Promise<{size: number, contentType: string}|null>} - null when the file does not exist
+ */
+export const statStoredFile = (area, fileName) => driver.stat(area, fileName);
+
+/**
+ * Open a stored file, or a byte range of it, for reading
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - Stored file name
+ * @param {Object} [range] - Inclusive start and end offsets
+ * @returns {Promise<Object>} - Readable stream
+ */
+export const openStoredFile = (area, fileName, range) => driver.openReadStream(area, fileName, range);
+
+/**
+ * Delete a stored file
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - Stored file name
+ * @returns {Promise<boolean>} - Whether a file was deleted
+ */
+export const removeStoredFile = async (area, fileName) => {
+  if (!fileName) return false;
+  return driver.remove(area, fileName);
+};
+
+/**
+ * List the files of an area; sub-directories are left out
+ * @param {string} area - One of STORAGE_AREAS
+ * @returns {Promise<Array<{fileName: string, size: number, modifiedAt: Date}>>}
+ */
+export const listStoredFiles = (area) => driver.list(area);
+
+/**
+ * Run a function with a local path of a stored file, downloading it to a
+ * temporary file first when it lives in object storage
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - Stored file name
+ * @param {Function} fn - Receives the local path; its result is returned
+ * @returns {Promise<*>}
+ */
+export const withStoredFile = (area, fileName, fn) => driver.withLocalFile(area, fileName, fn);
+
+/**
+ * Send a stored file, e.g. an image of a remote backend under its /uploads URL
+ * @param {Object} res - Express response object
+ * @param {string} area - One of STORAGE_AREAS
+ * @param {string} fileName - Stored file name
+ * @returns {Promise<boolean>} - false when the file does not exist
+ */
+export const sendStoredFile = async (res, area, fileName) => {
+  const stat = await statStoredFile(area, fileName);
+  if (!stat) return false;
+
+  res.set({
+    'Content-Type': stat.contentType,
+    'Content-Length': stat.size,
+    // Stored file names are unique, a changed image gets a new name
+    'Cache-Control': 'public, max-age=31536000, immutable'
+  });
+  await pipeline(await openStoredFile(area, fileName), res);
+  return true;
+};
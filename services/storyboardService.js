@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import { STORAGE_AREAS, withStoredFile } from './storageService.js';
+import { formatTimestamp } from './captionService.js';
+
+// Load environment variables
+dotenv.config();
+
+// ES Module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+export const STORYBOARDS_DIR = path.join(__dirname, '../uploads/storyboards');
+
+// Storyboard configuration
+export const STORYBOARD_CONFIG = {
+  // Seconds between frames
+  INTERVAL_SECONDS: parseInt(process.env.STORYBOARD_INTERVAL_SECONDS || '5', 10),
+  // Long videos use a longer interval so they never get more frames than this
+  MAX_FRAMES: parseInt(process.env.STORYBOARD_MAX_FRAMES || '400', 10),
+  TILE_WIDTH: 160,
+  COLUMNS: 10,
+  ROWS: 10
+};
+
+export const SPRITE_FILE_PATTERN = /^sprite-\d{3}\.jpg$/;
+
+/**
+ * Directory holding a video's sprite sheets
+ * @param {string} videoId - Video ID
+ * @returns {string}
+ */
+export const getStoryboardDir = (videoId) => path.join(STORYBOARDS_DIR, videoId.toString());
+
+/**
+ * Choose the frame interval and tile size of a video's storyboard
+ * @param {Object} video - Video with duration and mediaInfo
+ * @returns {{interval: number, tileWidth: number, tileHeight: number, columns: number, rows: number}}
+ */
+export const getStoryboardLayout = (video) => {
+  const { width, height } = video.mediaInfo || {};
+  const tileWidth = STORYBOARD_CONFIG.TILE_WIDTH;
+  // Even heights keep the JPEG encoder happy; 16:9 is assumed when the size is unknown
+  const tileHeight = width && height
+    ? Math.max(2, Math.round((tileWidth * height) / width / 2) * 2)
+    : Math.round((tileWidth * 9) / 16 / 2) * 2;
+
+  return {
+    interval: Math.max(STORYBOARD_CONFIG.INTERVAL_SECONDS, Math.ceil(video.duration / STORYBOARD_CONFIG.MAX_FRAMES)),
+    tileWidth,
+    tileHeight,
+    columns: STORYBOARD_CONFIG.COLUMNS,
+    rows: STORYBOARD_CONFIG.ROWS
+  };
+};
+
+/**
+ * Render frames at a fixed interval into sprite sheets of tiles
+ * @param {string} inputPath - Full path to the video file
+ * @param {string} outputDir - Directory for sprite-001.jpg, sprite-002.jpg, ...
+ * @param {Object} layout - Result of getStoryboardLayout
+ * @returns {Promise<void>}
+ */
+const renderSpriteSheets = (inputPath, outputDir, layout) => new Promise((resolve, reject) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  ffmpeg(inputPath)
+    .outputOptions([
+      '-vf', `fps=1/${layout.interval},scale=${layout.tileWidth}:${layout.tileHeight},tile=${layout.columns}x${layout.rows}`,
+      '-q:v', '5'
+    ])
+    .output(path.join(outputDir, 'sprite-%03d.jpg'))
+    .on('end', resolve)
+    .on('error', reject)
+    .run();
+});
+
+/**
+ * Generate the sprite sheets of a video and record the layout on the Video
+ * @param {Object} video - Video document
+ * @returns {Promise<Object>} - Updated video document
+ */
+export const generateStoryboard = async (video) => {
+  const outputDir = getStoryboardDir(video._id);
+
+  if (!video.duration) {
+    return Video.findByIdAndUpdate(video._id, {
+      storyboard: { status: 'failed', error: 'Video duration is unknown' }
+    }, { new: true });
+  }
+
+  await Video.findByIdAndUpdate(video._id, {
+    'storyboard.status': 'processing',
+    'storyboard.error': null
+  });
+
+  try {
+    // Start from a clean directory so sheets of a replaced video never linger
+    fs.rmSync(outputDir, { recursive: true, force: true });
+
+    const layout = getStoryboardLayout(video);
+    await withStoredFile(STORAGE_AREAS.VIDEOS, video.videoFile, inputPath => renderSpriteSheets(inputPath, outputDir, layout));
+
+    const sheetCount = fs.readdirSync(outputDir).filter(file => SPRITE_FILE_PATTERN.test(file)).length;
+    const framesPerSheet = layout.columns * layout.rows;
+    const frameCount = Math.min(Math.ceil(video.duration / layout.interval), sheetCount * framesPerSheet);
+
+    return await Video.findByIdAndUpdate(video._id, {
+      storyboard: {
+        status: 'ready',
+        ...layout,
+        sheetCount,
+        frameCount,
+        generatedAt: new Date()
+      }
+    }, { new: true });
+  } catch (error) {
+    console.error(`Storyboard generation failed for video ${video._id}:`, error);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+
+    await Video.findByIdAndUpdate(video._id, {
+      'storyboard.status': 'failed',
+      'storyboard.error': error.message
+    });
+    throw error;
+  }
+};
+
+/**
+ * Build the WebVTT thumbnails track of a storyboard. Each cue points at its
+ * tile with a media fragment; sheet URLs are relative to the track's URL and
+ * versioned so a regenerated storyboard is never mixed with a cached one.
+ * @param {Object} video - Video with a ready storyboard and its duration
+ * @returns {string}
+ */
+export const buildStoryboardVtt = (video) => {
+  const { interval, tileWidth, tileHeight, columns, rows, frameCount, generatedAt } = video.storyboard;
+  const framesPerSheet = columns * rows;
+  const version = generatedAt ? new Date(generatedAt).getTime() : 0;
+
+  const cues = [];
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * interval;
+    const end = Math.min((frame + 1) * interval, video.duration);
+    const sheet = String(Math.floor(frame / framesPerSheet) + 1).padStart(3, '0');
+    const tile = frame % framesPerSheet;
+    const x = (tile % columns) * tileWidth;
+    const y = Math.floor(tile / columns) * tileHeight;
+
+    cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}\nstoryboard/sprite-${sheet}.jpg?v=${version}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+  }
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+};
+
+/**
+ * Delete the sprite sheets of a video
+ * @param {string} videoId - Video ID
+ */
+export const removeStoryboardFiles = (videoId) => {
+  fs.rmSync(getStoryboardDir(videoId), { recursive: true, force: true });
+};
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import AppError from '../utils/appError.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Parse a comma separated list of hostnames
+ * @param {string} value - e.g. "example.com, app.example.com"
+ * @returns {Array<string>}
+ */
+const parseHostList = (value) => (value || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Signed stream URL configuration
+export const STREAM_URL_CONFIG = {
+  SECRET: process.env.STREAM_URL_SECRET || process.env.JWT_SECRET || 'fallback_stream_url_secret_for_dev',
+  // How long an issued URL can be played; long enough for a video watched with pauses
+  TTL_SECONDS: parseInt(process.env.STREAM_URL_TTL_SECONDS || '14400', 10),
+  // Only the IP address the URL was issued to can use it
+  BIND_IP: process.env.STREAM_URL_BIND_IP === 'true',
+  // Only the user the URL was issued to can use it, with their token
+  BIND_USER: process.env.STREAM_URL_BIND_USER === 'true',
+  // Sites allowed to embed streams; empty allows every site
+  ALLOWED_REFERERS: parseHostList(process.env.STREAM_ALLOWED_REFERERS),
+  // Requests without a Referer (native apps, privacy settings) are let through unless this is set
+  REQUIRE_REFERER: process.env.STREAM_REQUIRE_REFERER === 'true'
+};
+
+/**
+ * Sign a stream grant
+ * @param {Object} grant
+ * @param {string} grant.videoId - Video ID
+ * @param {number} grant.expires - Expiry as a Unix timestamp in seconds
+ * @param {string} grant.userId - Bound user ID, '' when not bound
+ * @param {string} grant.ip - Bound IP address, '' when not bound
+ * @returns {string} - base64url HMAC-SHA256
+ */
+const sign = ({ videoId, expires, userId, ip }) => crypto
+  .createHmac('sha256', STREAM_URL_CONFIG.SECRET)
+  .update(`${videoId}:${expires}:${userId}:${ip}`)
+  .digest('base64url');
+
+/**
+ * Bindings of a request, as configured
+ * @param {Object} req - Express request object
+ * @returns {{userId: string, ip: string}}
+ */
+const getBindings = (req) => ({
+  userId: STREAM_URL_CONFIG.BIND_USER && req.user ? req.user._id.toString() : '',
+  ip: STREAM_URL_CONFIG.BIND_IP ? req.ip : ''
+});
+
+/**
+ * Issue time-limited stream URLs for a video the requester may watch: the
+ * progressive stream and the HLS master playlist share one signature
+ * @param {Object} req - Express request object of the viewer
+ * @param {string} videoId - Video ID
+ * @returns {{url: string, hlsUrl: string, expiresAt: Date}}
+ */
+export const createSignedStreamUrl = (req, videoId) => {
+  const expires = Math.floor(Date.now() / 1000) + STREAM_URL_CONFIG.TTL_SECONDS;
+  const signature = sign({ videoId: videoId.toString(), expires, ...getBindings(req) });
+  const query = `expires=${expires}&signature=${signature}`;
+
+  return {
+    url: `/api/videos/${videoId}/stream?${query}`,
+    hlsUrl: `/api/videos/${videoId}/hls/master.m3u8?${query}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Query string of a verified stream request, for the URIs written into the
+ * HLS playlists it is served
+ * @param {Object} req - Express request object that passed verifyStreamRequest
+ * @returns {string} - e.g. "expires=1767225600&signature=Ld0v6rdJ..."
+ */
+export const getStreamGrantQuery = (req) => new URLSearchParams({
+  expires: String(req.query.expires),
+  signature: String(req.query.signature)
+}).toString();
+
+/**
+ * Reject requests embedded by sites outside the allowlist
+ * @param {Object} req - Express request object
+ */
+const checkReferer = (req) => {
+  const { ALLOWED_REFERERS, REQUIRE_REFERER } = STREAM_URL_CONFIG;
+  if (ALLOWED_REFERERS.length === 0) return;
+
+  const referer = req.get('referer');
+  if (!referer) {
+    if (REQUIRE_REFERER) throw new AppError('Streaming is not allowed from this site', 403);
+    return;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(referer).hostname.toLowerCase();
+  } catch {
+    throw new AppError('Streaming is not allowed from this site', 403);
+  }
+  const allowed = ALLOWED_REFERERS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  if (!allowed) {
+    throw new AppError('Streaming is not allowed from this site', 403);
+  }
+};
+
+/**
+ * Check the signature, expiry, bindings and referer of a stream request
+ * @param {Object} req - Express request object with expires and signature query parameters
+ * @param {string} videoId - Video ID from the route
+ */
+export const verifyStreamRequest = (req, videoId) => {
+  checkReferer(req);
+
+  const { expires, signature } = req.query;
+  if (!expires || !signature) {
+    throw new AppError('A signed stream URL is required; get one from GET /api/videos/:id', 403);
+  }
+
+  const expiresAt = parseInt(expires, 10);
+  if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+    throw new AppError('This stream URL has expired', 403);
+  }
+
+  const expected = Buffer.from(sign({ videoId: videoId.toString(), expires: expiresAt, ...getBindings(req) }));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Invalid stream URL signature', 403);
+  }
+};
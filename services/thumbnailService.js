@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import { ensureDirectoryExists } from '../utils/fileSystem.js';
+import { STORAGE_AREAS, getLocalDir, storeFile } from './storageService.js';
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+export const THUMBNAILS_DIR = getLocalDir(STORAGE_AREAS.THUMBNAILS);
+export const DEFAULT_THUMBNAIL = 'default-thumbnail.png';
+
+export const THUMBNAIL_CANDIDATES_DIR = path.join(THUMBNAILS_DIR, 'candidates');
+
+// Number of frames offered to the creator, spread evenly over the video
+export const THUMBNAIL_CANDIDATE_COUNT = parseInt(process.env.THUMBNAIL_CANDIDATE_COUNT || '4', 10);
+
+/**
+ * Directory holding a video's candidate frames
+ * @param {string} videoId - Video ID
+ * @returns {string}
+ */
+export const getCandidatesDir = (videoId) => path.join(THUMBNAIL_CANDIDATES_DIR, videoId.toString());
+
+/**
+ * Extract evenly spaced frames as thumbnail candidates, skipping the very start
+ * and end of the video where frames are often black
+ * @param {string} videoFullPath - Full path to the video file
+ * @param {Object} video - Video with _id and duration
+ * @returns {Promise<Array<{fileName: string, time: number}>>} - Candidates in time order
+ */
+export const extractThumbnailCandidates = async (videoFullPath, video) => {
+  const outputDir = getCandidatesDir(video._id);
+  const duration = video.duration || 0;
+  const times = Array.from(
+    { length: THUMBNAIL_CANDIDATE_COUNT },
+    (item, index) => Math.round((duration * (index + 1)) / (THUMBNAIL_CANDIDATE_COUNT + 1) * 100) / 100
+  );
+
+  // Candidates of a replaced file are regenerated from scratch
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  ensureDirectoryExists(outputDir);
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(videoFullPath)
+      .screenshots({
+        timestamps: times,
+        filename: 'candidate-%i.jpg',
+        folder: outputDir,
+        size: '720x?', // 720p width, maintain aspect ratio
+      })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  return times
+    .map((time, index) => ({ fileName: `candidate-${index + 1}.jpg`, time }))
+    .filter(candidate => fs.existsSync(path.join(outputDir, candidate.fileName)));
+};
+
+/**
+ * Store a copy of a candidate frame as a thumbnail, so the thumbnail
+ * outlives regenerated candidates
+ * @param {Object} video - Video with _id and creator
+ * @param {string} fileName - Candidate file name
+ * @returns {Promise<string>} - Stored thumbnail file name
+ */
+export const copyCandidateAsThumbnail = async (video, fileName) => {
+  const thumbnailFileName = `thumbnail-${video.creator}-${Date.now()}.jpg`;
+  ensureDirectoryExists(THUMBNAILS_DIR);
+
+  const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFileName);
+  await fs.promises.copyFile(path.join(getCandidatesDir(video._id), path.basename(fileName)), thumbnailPath);
+
+  return storeFile(STORAGE_AREAS.THUMBNAILS, thumbnailPath);
+};
+
+/**
+ * Delete the candidate frames of a video
+ * @param {string} videoId - Video ID
+ */
+export const removeThumbnailCandidates = (videoId) => {
+  fs.rmSync(getCandidatesDir(videoId), { recursive: true, force: true });
+};
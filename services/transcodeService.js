@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import Video from '../models/videoModel.js';
+import { getHlsDir } from '../utils/videoStream.js';
+import { STORAGE_AREAS, withStoredFile } from './storageService.js';
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+// HLS ladder, lowest quality first. Heights refer to the short side so
+// vertical videos get the same treatment as landscape ones.
+export const HLS_RENDITIONS = [
+  { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: '480p', height: 480, videoBitrate: 1000, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2500, audioBitrate: 128 }
+];
+
+// Target segment length in seconds
+const HLS_SEGMENT_SECONDS = 6;
+
+export const MASTER_PLAYLIST = 'master.m3u8';
+export const VARIANT_PLAYLIST = 'index.m3u8';
+
+/**
+ * Build the ffmpeg scale filter for a rendition.
+ * Scales the short side to the target height without upscaling.
+ * @param {number} height - Target short-side height in pixels
+ * @returns {string} - ffmpeg video filter
+ */
+const buildScaleFilter = (height) => (
+  `scale='if(gt(iw,ih),-2,min(${height},iw))':'if(gt(iw,ih),min(${height},ih),-2)'`
+);
+
+/**
+ * Transcode a single rendition into an HLS variant playlist with segments
+ * @param {string} inputPath - Full path to the source video
+ * @param {string} outputDir - Directory for this rendition's playlist and segments
+ * @param {Object} rendition - Entry from HLS_RENDITIONS
+ * @returns {Promise<void>}
+ */
+const transcodeRendition = (inputPath, outputDir, rendition) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions([
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        '-vf', buildScaleFilter(rendition.height),
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-profile:v', 'main',
+        '-b:v', `${rendition.videoBitrate}k`,
+        '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+        '-bufsize', `${rendition.videoBitrate * 2}k`,
+        // Fixed GOP so every rendition has segment boundaries at the same timestamps
+        '-g', '48',
+        '-keyint_min', '48',
+        '-sc_threshold', '0',
+        '-c:a', 'aac',
+        '-b:a', `${rendition.audioBitrate}k`,
+        '-ac', '2',
+        '-hls_time', `${HLS_SEGMENT_SECONDS}`,
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outputDir, 'segment-%03d.ts')
+      ])
+      .output(path.join(outputDir, VARIANT_PLAYLIST))
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+};
+
+/**
+ * Pick the renditions worth producing for a source video.
+ * Renditions above the source's short side would only be upscaled copies,
+ * so they are skipped; the lowest rendition is always kept.
+ * @param {Object} mediaInfo - Probed video metadata (may be missing on old videos)
+ * @returns {Array<Object>} - Entries from HLS_RENDITIONS
+ */
+const selectRenditions = (mediaInfo) => {
+  if (!mediaInfo || !mediaInfo.width || !mediaInfo.height) {
+    return HLS_RENDITIONS;
+  }
+
+  const shortSide = Math.min(mediaInfo.width, mediaInfo.height);
+  const renditions = HLS_RENDITIONS.filter(rendition => rendition.height <= shortSide);
+  return renditions.length > 0 ? renditions : [HLS_RENDITIONS[0]];
+};
+
+/**
+ * Work out the output resolution of a rendition, mirroring buildScaleFilter
+ * @param {Object} mediaInfo - Probed video metadata
+ * @param {number} height - Target short-side height
+ * @returns {string|null} - Resolution as "WIDTHxHEIGHT", or null if unknown
+ */
+const getOutputResolution = (mediaInfo, height) => {
+  if (!mediaInfo || !mediaInfo.width || !mediaInfo.height) return null;
+
+  const { width: sourceWidth, height: sourceHeight } = mediaInfo;
+  const toEven = (value) => Math.round(value / 2) * 2;
+
+  if (sourceWidth > sourceHeight) {
+    const outputHeight = Math.min(height, sourceHeight);
+    return `${toEven(sourceWidth * outputHeight / sourceHeight)}x${outputHeight}`;
+  }
+
+  const outputWidth = Math.min(height, sourceWidth);
+  return `${outputWidth}x${toEven(sourceHeight * outputWidth / sourceWidth)}`;
+};
+
+/**
+ * Build the master playlist that lets players switch between renditions
+ * @param {Array<Object>} renditions - Renditions that were transcoded
+ * @returns {string} - Master playlist contents
+ */
+const buildMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach(rendition => {
+    const resolution = rendition.resolution ? `,RESOLUTION=${rendition.resolution}` : '';
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}${resolution}`);
+    lines.push(`${rendition.name}/${VARIANT_PLAYLIST}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Delete an HLS directory unless a video still plays from it:
+ * identical uploads share the ladder of the original
+ * @param {string} directory - Directory name under uploads/hls
+ * @returns {Promise<boolean>} - Whether the directory was deleted
+ */
+export const removeHlsDirectoryIfUnused = async (directory) => {
+  if (!directory || await Video.exists({ 'hls.directory': directory })) return false;
+  await fs.promises.rm(path.join(getHlsDir(), directory), { recursive: true, force: true });
+  return true;
+};
+
+/**
+ * Transcode a video into the HLS ladder and record the result on the Video.
+ * Renditions are transcoded one after another to keep CPU usage predictable.
+ * @param {Object} video - Video document
+ * @returns {Promise<Object>} - Updated video document
+ */
+export const transcodeVideoToHls = async (video) => {
+  // The video's usual directory may hold a ladder that identical uploads still play from
+  const isShared = await Video.exists({ _id: { $ne: video._id }, 'hls.directory': video._id.toString() });
+  const directory = isShared ? `${video._id}-${Date.now()}` : video._id.toString();
+  const outputRoot = path.join(getHlsDir(), directory);
+  const previousDirectory = video.hls?.directory;
+
+  await Video.findByIdAndUpdate(video._id, {
+    'hls.status': 'processing',
+    'hls.error': null
+  });
+
+  try {
+    // Start from a clean directory so stale segments never leak into a new ladder
+    fs.rmSync(outputRoot, { recursive: true, force: true });
+
+    const renditions = [];
+    await withStoredFile(STORAGE_AREAS.VIDEOS, video.videoFile, async (inputPath) => {
+      for (const rendition of selectRenditions(video.mediaInfo)) {
+        await transcodeRendition(inputPath, path.join(outputRoot, rendition.name), rendition);
+        renditions.push({
+          name: rendition.name,
+          height: rendition.height,
+          resolution: getOutputResolution(video.mediaInfo, rendition.height),
+          bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000
+        });
+      }
+    });
+
+    fs.writeFileSync(path.join(outputRoot, MASTER_PLAYLIST), buildMasterPlaylist(renditions));
+
+    const updatedVideo = await Video.findByIdAndUpdate(video._id, {
+      hls: {
+        status: 'ready',
+        directory,
+        renditions
+      }
+    }, { new: true });
+    if (previousDirectory && previousDirectory !== directory) {
+      await removeHlsDirectoryIfUnused(previousDirectory);
+    }
+    return updatedVideo;
+  } catch (error) {
+    console.error(`HLS transcoding failed for video ${video._id}:`, error);
+    fs.rmSync(outputRoot, { recursive: true, force: true });
+
+    await Video.findByIdAndUpdate(video._id, {
+      'hls.status': 'failed',
+      'hls.error': error.message
+    });
+    throw error;
+  }
+};
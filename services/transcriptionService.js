@@ -0,0 +1,176 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import dotenv from 'dotenv';
+import { transcribeAudio } from './openaiService.js';
+import { serializeVtt, saveCaptionTrack, getLanguageLabel, normalizeLanguage } from './captionService.js';
+import { removeFileIfExists } from '../utils/fileSystem.js';
+
+// Load environment variables
+dotenv.config();
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+// Transcription configuration
+export const TRANSCRIPTION_CONFIG = {
+  // openai, stub or none; defaults to openai when an API key is configured
+  PROVIDER: process.env.TRANSCRIPTION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+  // Spoken language as an ISO 639-1 code; detected by the provider when empty
+  LANGUAGE: process.env.TRANSCRIPTION_LANGUAGE || undefined,
+  // Length of the cues produced by the stub provider
+  STUB_SEGMENT_SECONDS: 5
+};
+
+/**
+ * Offline provider for development and tests: returns numbered placeholder
+ * sentences covering the whole audio, without calling any service
+ */
+const stubProvider = {
+  transcribe: async (audioPath, { language, duration = 0 } = {}) => {
+    const segmentCount = Math.max(1, Math.ceil(duration / TRANSCRIPTION_CONFIG.STUB_SEGMENT_SECONDS));
+    const segments = Array.from({ length: segmentCount }, (item, index) => ({
+      start: index * TRANSCRIPTION_CONFIG.STUB_SEGMENT_SECONDS,
+      end: Math.max(
+        index * TRANSCRIPTION_CONFIG.STUB_SEGMENT_SECONDS + 1,
+        Math.min(duration, (index + 1) * TRANSCRIPTION_CONFIG.STUB_SEGMENT_SECONDS)
+      ),
+      text: `Transcript segment ${index + 1}.`
+    }));
+
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      language: language || 'en',
+      segments
+    };
+  }
+};
+
+/**
+ * Transcription providers by name. A provider has
+ * transcribe(audioPath, { language, duration }) resolving to
+ * { text, language, segments: [{ start, end, text }] }.
+ */
+const providers = new Map([
+  ['openai', { transcribe: transcribeAudio }],
+  ['stub', stubProvider]
+]);
+
+/**
+ * Add or replace a transcription provider
+ * @param {string} name - Value of TRANSCRIPTION_PROVIDER that selects it
+ * @param {{transcribe: Function}} provider - Provider implementation
+ */
+export const registerTranscriptionProvider = (name, provider) => {
+  if (!provider || typeof provider.transcribe !== 'function') {
+    throw new Error(`Transcription provider "${name}" must have a transcribe function`);
+  }
+  providers.set(name, provider);
+};
+
+/**
+ * Whether uploads are transcribed
+ * @returns {boolean}
+ */
+export const isTranscriptionEnabled = () => TRANSCRIPTION_CONFIG.PROVIDER !== 'none';
+
+/**
+ * Get the configured transcription provider
+ * @returns {{name: string, transcribe: Function}}
+ */
+export const getTranscriptionProvider = () => {
+  const name = TRANSCRIPTION_CONFIG.PROVIDER;
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}"`);
+  }
+  return { name, ...provider };
+};
+
+/**
+ * Extract the audio track of a video as mono 16kHz MP3, which speech-to-text
+ * services accept and which keeps files small
+ * @param {string} videoFullPath - Full path to the video file
+ * @returns {Promise<string>} - Full path to a temporary audio file, deleted by the caller
+ */
+export const extractAudio = async (videoFullPath) => {
+  const audioPath = path.join(os.tmpdir(), `audio-${crypto.randomBytes(8).toString('hex')}.mp3`);
+
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg(videoFullPath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .audioCodec('libmp3lame')
+        .audioBitrate('32k')
+        .output(audioPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+  } catch (error) {
+    removeFileIfExists(audioPath);
+    throw error;
+  }
+
+  return audioPath;
+};
+
+/**
+ * Turn transcript segments into caption cues, dropping empty and zero-length ones
+ * @param {Array<{start: number, end: number, text: string}>} segments - Provider segments
+ * @returns {Array<Object>} - Cues for serializeVtt
+ */
+export const segmentsToCues = (segments) => segments
+  .filter(segment => segment.text && segment.end > segment.start)
+  .map(segment => ({ start: segment.start, end: segment.end, text: segment.text }));
+
+/**
+ * Transcribe a video's audio with the configured provider
+ * @param {Object} video - Video document
+ * @param {string} videoFullPath - Full path to the video file
+ * @returns {Promise<{provider: string, text: string, language: string, segments: Array<Object>}>}
+ */
+export const transcribeVideo = async (video, videoFullPath) => {
+  const provider = getTranscriptionProvider();
+  const audioPath = await extractAudio(videoFullPath);
+
+  try {
+    const result = await provider.transcribe(audioPath, {
+      language: TRANSCRIPTION_CONFIG.LANGUAGE,
+      duration: video.duration || 0
+    });
+    return { provider: provider.name, ...result };
+  } finally {
+    removeFileIfExists(audioPath);
+  }
+};
+
+/**
+ * Store the transcript's segments as an auto-generated caption track. A track
+ * uploaded by the creator for the same language is never replaced.
+ * @param {Object} video - Video document with its captions
+ * @param {Object} transcript - Result of transcribeVideo
+ * @returns {Promise<Object|null>} - Caption track, or null when none was saved
+ */
+export const saveTranscriptCaptions = async (video, transcript) => {
+  const cues = segmentsToCues(transcript.segments || []);
+  if (cues.length === 0 || !transcript.language) return null;
+
+  const language = normalizeLanguage(transcript.language);
+  const existing = video.captions.find(track => track.language === language);
+  if (existing && existing.source !== 'transcription') return null;
+
+  return saveCaptionTrack(video, {
+    language,
+    label: `${getLanguageLabel(language)} (auto-generated)`,
+    vtt: serializeVtt(cues),
+    sourceFormat: 'vtt',
+    cueCount: cues.length,
+    source: 'transcription'
+  });
+};
@@ -0,0 +1,260 @@
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import Like from '../models/likeModel.js';
+import Comment from '../models/commentModel.js';
+import User from '../models/userModel.js';
+import TrendingSnapshot from '../models/trendingSnapshotModel.js';
+import { registerJobHandler, scheduleRecurringJob } from './jobQueue.js';
+import { ENGAGEMENT_VALUES } from './feedRankingService.js';
+import { applyBadgeChange } from './badgeService.js';
+import { getPublicVideoFilter } from './videoVisibilityService.js';
+import { clearCacheByPattern } from '../utils/redisCache.js';
+
+dotenv.config();
+
+export const TRENDING_JOB_TYPE = 'trending:compute';
+
+// Rolling windows and their length in hours
+export const TRENDING_WINDOWS = {
+  '24h': 24,
+  '7d': 7 * 24
+};
+
+// Trending configuration
+const TRENDING_CONFIG = {
+  INTERVAL_MINUTES: parseInt(process.env.TRENDING_INTERVAL_MINUTES || '15', 10),
+  // Items stored per snapshot
+  MAX_ITEMS: 50,
+  SNAPSHOT_RETENTION_DAYS: 7,
+  // Award the trending badge to the creators of the top videos and revoke it from everyone else
+  AUTO_BADGE: process.env.TRENDING_AUTO_BADGE === 'true',
+  BADGE_TOP_VIDEOS: parseInt(process.env.TRENDING_BADGE_TOP_VIDEOS || '10', 10),
+  BADGE_WINDOW: '24h'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Count likes or comments per content item inside a window.
+ * Besides the raw count, every event is weighted by how recent it is:
+ * the weight halves every halfLifeMs.
+ * @param {Object} Model - Like or Comment
+ * @param {Object} match - Filter for the content type and window
+ * @param {Date} now - Reference time
+ * @param {number} halfLifeMs - Decay half-life
+ * @returns {Promise<Map<string, {count: number, decayed: number}>>}
+ */
+const countDecayedEvents = async (Model, match, now, halfLifeMs) => {
+  const results = await Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$content',
+        count: { $sum: 1 },
+        decayed: {
+          $sum: {
+            $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLifeMs] }]
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(results.map(({ _id, count, decayed }) => [_id.toString(), { count, decayed }]));
+};
+
+/**
+ * Score the videos or articles with activity in a window
+ * @param {Object} options
+ * @param {Object} options.Model - Video or Article
+ * @param {string} options.contentType - 'Video' or 'Article' as stored on likes and comments
+ * @param {string} options.viewsField - Field holding the total view count
+ * @param {number} options.windowHours - Window length
+ * @param {Date} options.now - Reference time
+ * @returns {Promise<Array<Object>>} - Scored items, highest first
+ */
+const scoreContent = async ({ Model, contentType, viewsField, windowHours, now }) => {
+  const since = new Date(now.getTime() - windowHours * HOUR_MS);
+  const halfLifeHours = windowHours / 4;
+  const halfLifeMs = halfLifeHours * HOUR_MS;
+
+  const [likes, comments] = await Promise.all([
+    countDecayedEvents(Like, { contentType, createdAt: { $gte: since } }, now, halfLifeMs),
+    countDecayedEvents(Comment, { contentType, active: { $ne: false }, createdAt: { $gte: since } }, now, halfLifeMs)
+  ]);
+
+  const activeIds = [...new Set([...likes.keys(), ...comments.keys()])];
+  const items = await Model.find({
+    // Matches every published article, which have no visibility
+    ...getPublicVideoFilter(),
+    $or: [
+      { createdAt: { $gte: since } },
+      { _id: { $in: activeIds } }
+    ]
+  })
+    .select(`${viewsField} shares tags creator author createdAt`)
+    .lean();
+
+  return items
+    .map(item => {
+      const id = item._id.toString();
+      const ageHours = Math.max(1, (now.getTime() - new Date(item.createdAt).getTime()) / HOUR_MS);
+
+      // Views and shares are only stored as totals, so the part that falls in the
+      // window is estimated assuming a steady rate since publication, and decayed
+      // as if it happened in the middle of that span
+      const windowShare = Math.min(1, windowHours / ageHours);
+      const totalsDecay = Math.pow(0.5, (Math.min(ageHours, windowHours) / 2) / halfLifeHours);
+      const views = (item[viewsField] || 0) * windowShare;
+      const shares = (item.shares || 0) * windowShare;
+
+      const itemLikes = likes.get(id) || { count: 0, decayed: 0 };
+      const itemComments = comments.get(id) || { count: 0, decayed: 0 };
+
+      const score = (views * ENGAGEMENT_VALUES.views + shares * ENGAGEMENT_VALUES.shares) * totalsDecay
+        + itemLikes.decayed * ENGAGEMENT_VALUES.likes
+        + itemComments.decayed * ENGAGEMENT_VALUES.comments;
+
+      return {
+        refId: item._id,
+        creator: item.creator || item.author,
+        tags: item.tags || [],
+        score: Math.round(score * 1000) / 1000,
+        views: Math.round(views),
+        likes: itemLikes.count,
+        comments: itemComments.count,
+        shares: Math.round(shares)
+      };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Add up the scores of the videos and articles carrying each tag
+ * @param {Array<Object>} scoredItems - Results of scoreContent
+ * @returns {Array<Object>} - Scored tags, highest first
+ */
+const scoreTags = (scoredItems) => {
+  const tags = new Map();
+
+  scoredItems.forEach(item => {
+    new Set(item.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)).forEach(tag => {
+      const entry = tags.get(tag) || { tag, score: 0, views: 0, likes: 0, comments: 0, shares: 0, itemCount: 0 };
+      entry.score += item.score;
+      entry.views += item.views;
+      entry.likes += item.likes;
+      entry.comments += item.comments;
+      entry.shares += item.shares;
+      entry.itemCount += 1;
+      tags.set(tag, entry);
+    });
+  });
+
+  return [...tags.values()]
+    .map(entry => ({ ...entry, score: Math.round(entry.score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Give the trending badge to the creators of the top videos and take it
+ * from creators who dropped out. Uses the same rules as the admin badge endpoint;
+ * badges given by an admin are left alone.
+ * @param {Array<Object>} topVideos - Highest scored videos
+ * @returns {Promise<{awarded: number, revoked: number}>}
+ */
+const updateTrendingBadges = async (topVideos) => {
+  const trendingCreatorIds = new Set(topVideos.map(video => video.creator.toString()));
+
+  const [currentHolders, newHolders] = await Promise.all([
+    User.find({ role: 'creator', 'creatorProfile.autoBadges': 'trending' }),
+    User.find({
+      _id: { $in: [...trendingCreatorIds] },
+      role: 'creator',
+      'creatorProfile.badges': { $ne: 'trending' }
+    })
+  ]);
+
+  const toRevoke = currentHolders.filter(user => !trendingCreatorIds.has(user._id.toString()));
+
+  for (const user of toRevoke) {
+    await applyBadgeChange(user, 'remove', ['trending'], { automatic: true });
+  }
+  for (const user of newHolders) {
+    await applyBadgeChange(user, 'add', ['trending'], { automatic: true });
+  }
+
+  return { awarded: newHolders.length, revoked: toRevoke.length };
+};
+
+/**
+ * Strip the fields only needed while scoring
+ * @param {Array<Object>} items - Scored items
+ * @returns {Array<Object>} - Items as stored in a snapshot
+ */
+const toSnapshotItems = (items) => items
+  .slice(0, TRENDING_CONFIG.MAX_ITEMS)
+  .map(({ creator, tags, ...item }) => item);
+
+/**
+ * Compute trending videos, articles and tags for every window and store them as snapshots
+ * @returns {Promise<Object>} - Summary of the run
+ */
+export const computeTrending = async () => {
+  const now = new Date();
+  const summary = {};
+
+  for (const [window, windowHours] of Object.entries(TRENDING_WINDOWS)) {
+    const [videos, articles] = await Promise.all([
+      scoreContent({ Model: Video, contentType: 'Video', viewsField: 'views', windowHours, now }),
+      scoreContent({ Model: Article, contentType: 'Article', viewsField: 'viewCount', windowHours, now })
+    ]);
+    const tags = scoreTags([...videos, ...articles]);
+
+    await TrendingSnapshot.insertMany([
+      { kind: 'video', window, computedAt: now, items: toSnapshotItems(videos) },
+      { kind: 'article', window, computedAt: now, items: toSnapshotItems(articles) },
+      { kind: 'tag', window, computedAt: now, items: tags.slice(0, TRENDING_CONFIG.MAX_ITEMS) }
+    ]);
+
+    summary[window] = { videos: videos.length, articles: articles.length, tags: tags.length };
+
+    if (TRENDING_CONFIG.AUTO_BADGE && window === TRENDING_CONFIG.BADGE_WINDOW) {
+      summary.badges = await updateTrendingBadges(videos.slice(0, TRENDING_CONFIG.BADGE_TOP_VIDEOS));
+    }
+  }
+
+  await TrendingSnapshot.deleteMany({
+    computedAt: { $lt: new Date(now.getTime() - TRENDING_CONFIG.SNAPSHOT_RETENTION_DAYS * 24 * HOUR_MS) }
+  });
+  await clearCacheByPattern('trending:*');
+
+  return summary;
+};
+
+/**
+ * Get the most recent snapshot of a kind
+ * @param {string} kind - 'video', 'article' or 'tag'
+ * @param {string} window - Key of TRENDING_WINDOWS
+ * @returns {Promise<Object|null>}
+ */
+export const getLatestSnapshot = (kind, window) => TrendingSnapshot.findOne({ kind, window })
+  .sort({ computedAt: -1 })
+  .lean();
+
+/**
+ * Register the trending job handler
+ */
+export const registerTrendingJobs = () => {
+  registerJobHandler(TRENDING_JOB_TYPE, () => computeTrending());
+};
+
+/**
+ * Schedule the recurring trending computation
+ * @returns {Promise<Object|null>} - Recurring job
+ */
+export const scheduleTrendingJob = () => scheduleRecurringJob(
+  TRENDING_JOB_TYPE,
+  TRENDING_CONFIG.INTERVAL_MINUTES * 60 * 1000
+);
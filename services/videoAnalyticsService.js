@@ -0,0 +1,242 @@
+import VideoDailyStats, { TRAFFIC_SOURCES, RETENTION_STEP } from '../models/videoDailyStatsModel.js';
+import Like from '../models/likeModel.js';
+import Comment from '../models/commentModel.js';
+import Bookmark from '../models/bookmarkModel.js';
+import AppError from '../utils/appError.js';
+import { markSeen } from './viewCountingService.js';
+import { getRegisterUpdate, mergeSketches, estimateCardinality } from '../utils/hyperLogLog.js';
+
+// Analytics configuration
+export const ANALYTICS_CONFIG = {
+  DEFAULT_DAYS: 28,
+  MAX_DAYS: 365
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of the day of a date
+ * @param {Date} date - Any time of the day
+ * @returns {Date}
+ */
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Format a day as YYYY-MM-DD
+ * @param {Date} date - Midnight UTC
+ * @returns {string}
+ */
+export const formatDay = (date) => date.toISOString().substring(0, 10);
+
+/**
+ * List the days of a range
+ * @param {{from: Date, to: Date}} range - Result of parseAnalyticsRange
+ * @returns {Array<string>} - Days as YYYY-MM-DD, oldest first
+ */
+export const listDays = ({ from, to }) => {
+  const days = [];
+  for (let day = from; day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(formatDay(day));
+  }
+  return days;
+};
+
+/**
+ * First instant after the last day of a range, for createdAt filters
+ * @param {{from: Date, to: Date}} range - Result of parseAnalyticsRange
+ * @returns {Date}
+ */
+export const getRangeEnd = ({ to }) => new Date(to.getTime() + DAY_MS);
+
+/**
+ * Add counters to today's bucket of a video
+ * @param {string} videoId - Video ID
+ * @param {Object} increments - Fields to $inc
+ * @param {Object} [maxima] - Fields to $max
+ * @returns {Promise<Object>}
+ */
+const incrementDailyStats = (videoId, increments, maxima) => VideoDailyStats.updateOne(
+  { video: videoId, date: startOfDay(new Date()) },
+  { $inc: increments, ...(maxima && { $max: maxima }) },
+  { upsert: true }
+);
+
+/**
+ * Map a client-provided traffic source to a known one
+ * @param {string} source - Value sent by the player
+ * @returns {string} - One of TRAFFIC_SOURCES
+ */
+export const normalizeTrafficSource = (source) => (TRAFFIC_SOURCES.includes(source) ? source : 'other');
+
+/**
+ * Add a counted view to the video's daily stats
+ * @param {Object} options
+ * @param {string} options.videoId - Video ID
+ * @param {string} options.viewer - Viewer key from the view counting service
+ * @param {string} options.source - One of TRAFFIC_SOURCES
+ * @returns {Promise<void>}
+ */
+export const recordViewEvent = async ({ videoId, viewer, source }) => {
+  const today = formatDay(startOfDay(new Date()));
+  // Remembered for two days so the mark outlives the UTC day in every time zone
+  const firstViewToday = await markSeen('Video', videoId, `${viewer}:${today}`, 2 * DAY_MS / 1000);
+
+  const increments = { views: 1, [`sources.${normalizeTrafficSource(source)}`]: 1 };
+  if (firstViewToday) increments.uniqueViewers = 1;
+
+  const { index, rank } = getRegisterUpdate(viewer);
+  await incrementDailyStats(videoId, increments, { [`viewerSketch.${index}`]: rank });
+};
+
+/**
+ * Add a playback progress report to the video's daily stats. Each viewer
+ * adds to the retention buckets between their previous furthest point and
+ * the new one, so a bucket counts the viewers who reached it.
+ * @param {Object} options
+ * @param {string} options.videoId - Video ID
+ * @param {number|null} options.previousPercent - Furthest percent before this report, null on the first one
+ * @param {number} options.percent - Percent reached by this report
+ * @param {number} options.watchedSeconds - Watch time counted for this report
+ * @returns {Promise<void>}
+ */
+export const recordWatchProgress = async ({ videoId, previousPercent, percent, watchedSeconds }) => {
+  const increments = {};
+  if (watchedSeconds > 0) increments.watchTime = watchedSeconds;
+
+  const firstBucket = previousPercent === null ? 0 : Math.floor(previousPercent / RETENTION_STEP) + 1;
+  const lastBucket = Math.floor(percent / RETENTION_STEP);
+  for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+    increments[`retention.${bucket * RETENTION_STEP}`] = 1;
+  }
+
+  if (Object.keys(increments).length > 0) {
+    await incrementDailyStats(videoId, increments);
+  }
+};
+
+/**
+ * Parse the from/to query parameters of an analytics request
+ * @param {Object} query - Express query object
+ * @returns {{from: Date, to: Date}} - Midnight UTC of the first and last day
+ */
+export const parseAnalyticsRange = ({ from, to }) => {
+  const parseDay = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`Invalid "${name}" date`, 400);
+    }
+    return startOfDay(date);
+  };
+
+  const toDay = to ? parseDay(to, 'to') : startOfDay(new Date());
+  const fromDay = from
+    ? parseDay(from, 'from')
+    : new Date(toDay.getTime() - (ANALYTICS_CONFIG.DEFAULT_DAYS - 1) * DAY_MS);
+
+  if (fromDay > toDay) {
+    throw new AppError('"from" must not be after "to"', 400);
+  }
+  if ((toDay - fromDay) / DAY_MS + 1 > ANALYTICS_CONFIG.MAX_DAYS) {
+    throw new AppError(`Analytics can cover at most ${ANALYTICS_CONFIG.MAX_DAYS} days`, 400);
+  }
+
+  return { from: fromDay, to: toDay };
+};
+
+/**
+ * Divide and round, or null when there is nothing to divide by
+ * @param {number} value - Numerator
+ * @param {number} total - Denominator
+ * @param {number} decimals - Decimals to keep
+ * @returns {number|null}
+ */
+export const ratio = (value, total, decimals = 4) => {
+  if (!total) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round((value / total) * factor) / factor;
+};
+
+/**
+ * Build the analytics of a video for a range of days
+ * @param {Object} video - Video document
+ * @param {{from: Date, to: Date}} range - Result of parseAnalyticsRange
+ * @returns {Promise<Object>}
+ */
+export const getVideoAnalytics = async (video, { from, to }) => {
+  const createdInRange = { $gte: from, $lt: getRangeEnd({ to }) };
+
+  const [buckets, likes, comments, bookmarks] = await Promise.all([
+    VideoDailyStats.find({ video: video._id, date: { $gte: from, $lte: to } }).lean(),
+    Like.countDocuments({ content: video._id, contentType: 'Video', createdAt: createdInRange }),
+    Comment.countDocuments({ content: video._id, contentType: 'Video', active: { $ne: false }, createdAt: createdInRange }),
+    Bookmark.countDocuments({ video: video._id, createdAt: createdInRange })
+  ]);
+
+  const bucketsByDay = new Map(buckets.map(bucket => [formatDay(bucket.date), bucket]));
+  // dailyUniqueViewers counts a viewer returning on several days on each of them;
+  // uniqueViewers counts them once, estimated from the daily sketches
+  const totals = {
+    views: 0,
+    uniqueViewers: estimateCardinality(mergeSketches(buckets.map(bucket => bucket.viewerSketch))),
+    dailyUniqueViewers: 0,
+    watchTime: 0
+  };
+  const sources = Object.fromEntries(TRAFFIC_SOURCES.map(source => [source, 0]));
+  const retention = new Map();
+
+  // One entry per day, including days without activity
+  const daily = listDays({ from, to }).map(date => {
+    const bucket = bucketsByDay.get(date) || {};
+
+    totals.views += bucket.views || 0;
+    totals.dailyUniqueViewers += bucket.uniqueViewers || 0;
+    totals.watchTime += bucket.watchTime || 0;
+    TRAFFIC_SOURCES.forEach(source => { sources[source] += bucket.sources?.[source] || 0; });
+    Object.entries(bucket.retention || {}).forEach(([percent, viewers]) => {
+      retention.set(Number(percent), (retention.get(Number(percent)) || 0) + viewers);
+    });
+
+    return {
+      date,
+      views: bucket.views || 0,
+      uniqueViewers: bucket.uniqueViewers || 0,
+      watchTime: Math.round(bucket.watchTime || 0)
+    };
+  });
+
+  // Days recorded before sketches existed, and the estimate's error, cannot make
+  // the range count fewer viewers than its busiest day
+  totals.uniqueViewers = Math.max(totals.uniqueViewers, ...daily.map(day => day.uniqueViewers));
+
+  const starters = retention.get(0) || 0;
+  const retentionCurve = [];
+  for (let percent = 0; percent <= 100; percent += RETENTION_STEP) {
+    const viewers = retention.get(percent) || 0;
+    retentionCurve.push({ percent, viewers, share: ratio(viewers, starters) });
+  }
+
+  return {
+    range: { from: formatDay(from), to: formatDay(to) },
+    totals: {
+      ...totals,
+      watchTime: Math.round(totals.watchTime),
+      // Per viewer whose playback progress was reported
+      averageWatchTime: starters ? Math.round((totals.watchTime / starters) * 10) / 10 : 0
+    },
+    daily,
+    retention: retentionCurve,
+    trafficSources: TRAFFIC_SOURCES.map(source => ({
+      source,
+      views: sources[source],
+      share: ratio(sources[source], totals.views)
+    })),
+    engagement: {
+      likes,
+      comments,
+      bookmarks,
+      likeRate: ratio(likes, totals.views),
+      commentRate: ratio(comments, totals.views),
+      bookmarkRate: ratio(bookmarks, totals.views)
+    }
+  };
+};
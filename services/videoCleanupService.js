@@ -0,0 +1,132 @@
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import Bookmark from '../models/bookmarkModel.js';
+import BookmarkCollection from '../models/bookmarkCollectionModel.js';
+import WatchHistory from '../models/watchHistoryModel.js';
+import VideoDailyStats from '../models/videoDailyStatsModel.js';
+import Playlist from '../models/playlistModel.js';
+import Comment from '../models/commentModel.js';
+import Like from '../models/likeModel.js';
+import Job from '../models/jobModel.js';
+import { DEFAULT_THUMBNAIL, removeThumbnailCandidates } from './thumbnailService.js';
+import { STORAGE_AREAS, removeStoredFile } from './storageService.js';
+import { removeHlsDirectoryIfUnused } from './transcodeService.js';
+import { removeCaptionFiles } from './captionService.js';
+import { removeStoryboardFiles } from './storyboardService.js';
+import { removePreviewClipFiles } from './previewClipService.js';
+import { deleteCache, clearCacheByPattern } from '../utils/redisCache.js';
+
+/**
+ * Delete a thumbnail file unless it is the shared default
+ * @param {string} thumbnail - Thumbnail file name
+ * @returns {Promise<boolean>} - Whether a file was deleted
+ */
+export const removeThumbnailFile = async (thumbnail) => {
+  if (!thumbnail || thumbnail === DEFAULT_THUMBNAIL) return false;
+  return removeStoredFile(STORAGE_AREAS.THUMBNAILS, thumbnail);
+};
+
+/**
+ * Delete a stored video file unless another video still uses it:
+ * identical uploads share the file of the original
+ * @param {string} videoFile - Stored file name
+ * @returns {Promise<boolean>} - Whether the file was deleted
+ */
+export const removeVideoFileIfUnused = async (videoFile) => {
+  if (!videoFile || await Video.exists({ videoFile })) return false;
+  return removeStoredFile(STORAGE_AREAS.VIDEOS, videoFile);
+};
+
+/**
+ * Delete the files produced for a video: original, thumbnail and candidates, HLS ladder,
+ * captions, storyboard and preview clips
+ * @param {Object} video - Video document, already deleted
+ */
+const removeVideoFiles = async (video) => {
+  await removeVideoFileIfUnused(video.videoFile);
+  await removeThumbnailFile(video.thumbnail);
+  for (const directory of new Set([video._id.toString(), video.hls?.directory].filter(Boolean))) {
+    await removeHlsDirectoryIfUnused(directory);
+  }
+  removeCaptionFiles(video._id);
+  removeStoryboardFiles(video._id);
+  removeThumbnailCandidates(video._id);
+  removePreviewClipFiles(video._id);
+};
+
+/**
+ * Clear every cache entry that can contain a video
+ * @param {string} videoId - Video ID
+ */
+export const clearVideoCaches = async (videoId) => {
+  await clearCacheByPattern(`video:${videoId}:*`);
+  await clearCacheByPattern('feed:*');
+  await clearCacheByPattern('suggest:*');
+};
+
+/**
+ * Delete a video together with everything that hangs off it:
+ * likes (including likes on its comments), comments, bookmarks, queued jobs and files.
+ * The generated article is archived and unlinked rather than deleted, since its
+ * author may have edited it.
+ * @param {Object} video - Video document
+ * @returns {Promise<Object>} - Number of removed or updated records per type
+ */
+export const deleteVideoWithAssets = async (video) => {
+  const videoId = video._id;
+
+  // Remove the video first so it stops showing up while the rest is cleaned up
+  await Video.deleteOne({ _id: videoId });
+
+  const commentIds = await Comment.find({ content: videoId, contentType: 'Video' }).distinct('_id');
+  const articleIds = await Article.find({ relatedVideo: videoId }).distinct('_id');
+
+  const [likes, comments, bookmarks, jobs, articles, watchHistory, playlists] = await Promise.all([
+    Like.deleteMany({
+      $or: [
+        { content: videoId, contentType: 'Video' },
+        { content: { $in: commentIds }, contentType: 'Comment' }
+      ]
+    }),
+    Comment.deleteMany({ _id: { $in: commentIds } }),
+    Bookmark.deleteMany({ video: videoId }),
+    // Running jobs notice the missing video and skip themselves
+    Job.deleteMany({ video: videoId, status: 'queued' }),
+    Article.updateMany(
+      { _id: { $in: articleIds } },
+      {
+        status: 'archived',
+        isPublished: false,
+        $unset: { relatedVideo: 1 }
+      }
+    ),
+    WatchHistory.deleteMany({ video: videoId }),
+    Playlist.updateMany({ videos: videoId }, { $pull: { videos: videoId } }),
+    VideoDailyStats.deleteMany({ video: videoId }),
+    BookmarkCollection.updateMany({ coverVideo: videoId }, { $unset: { coverVideo: 1 } }),
+    // Identical uploads keep the shared file, only the link to this video goes
+    Video.updateMany({ duplicateOf: videoId }, { $unset: { duplicateOf: 1 } }),
+    Video.updateMany(
+      { 'fingerprint.nearDuplicates.video': videoId },
+      { $pull: { 'fingerprint.nearDuplicates': { video: videoId } } }
+    )
+  ]);
+
+  await removeVideoFiles(video);
+
+  await clearVideoCaches(videoId);
+  if (articleIds.length > 0) {
+    await Promise.all(articleIds.map(articleId => deleteCache(`article:${articleId}`)));
+    await clearCacheByPattern('articles:*');
+  }
+
+  return {
+    likes: likes.deletedCount,
+    comments: comments.deletedCount,
+    bookmarks: bookmarks.deletedCount,
+    jobs: jobs.deletedCount,
+    archivedArticles: articles.modifiedCount,
+    watchHistory: watchHistory.deletedCount,
+    playlists: playlists.modifiedCount
+  };
+};
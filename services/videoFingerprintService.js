@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import AppError from '../utils/appError.js';
+import { isViewableByLink } from './videoVisibilityService.js';
+
+// Load environment variables
+dotenv.config();
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+// warn: accept an identical upload and say so; block: reject it
+export const DUPLICATE_POLICIES = ['warn', 'block'];
+
+// Duplicate detection configuration
+export const FINGERPRINT_CONFIG = {
+  DUPLICATE_POLICY: process.env.DUPLICATE_UPLOAD_POLICY || 'warn',
+  // Frames hashed for the perceptual fingerprint, spread evenly over the video
+  FRAME_COUNT: 16,
+  // Average differing bits per frame hash (of 64) up to which two videos are near-duplicates
+  NEAR_DUPLICATE_MAX_DISTANCE: parseFloat(process.env.NEAR_DUPLICATE_MAX_DISTANCE || '10'),
+  // Near-duplicates may differ this much in length, e.g. a re-export with a trimmed end
+  DURATION_TOLERANCE_SECONDS: 2,
+  // Near-duplicates kept per video, closest first
+  MAX_NEAR_DUPLICATES: 10
+};
+
+if (!DUPLICATE_POLICIES.includes(FINGERPRINT_CONFIG.DUPLICATE_POLICY)) {
+  throw new Error(`Unknown DUPLICATE_UPLOAD_POLICY "${FINGERPRINT_CONFIG.DUPLICATE_POLICY}", expected warn or block`);
+}
+
+// A difference hash compares neighbouring pixels of a 9x8 grayscale frame: 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const FRAME_HASH_LENGTH = 16;
+
+/**
+ * Compute the SHA-256 of a file without loading it into memory
+ * @param {string} filePath - Full path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', data => hash.update(data))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+/**
+ * Decode evenly spaced frames as tiny grayscale images
+ * @param {string} inputPath - Full path to the video file
+ * @param {number} duration - Duration in seconds
+ * @returns {Promise<Buffer>} - HASH_WIDTH x HASH_HEIGHT bytes per frame
+ */
+const extractHashFrames = (inputPath, duration) => new Promise((resolve, reject) => {
+  const chunks = [];
+  const output = ffmpeg(inputPath)
+    .outputOptions([
+      '-an',
+      '-vf', `fps=${FINGERPRINT_CONFIG.FRAME_COUNT}/${duration},scale=${HASH_WIDTH}:${HASH_HEIGHT},format=gray`,
+      '-frames:v', `${FINGERPRINT_CONFIG.FRAME_COUNT}`,
+      '-f', 'rawvideo'
+    ])
+    // The output stream also ends when ffmpeg fails, so only the command tells success apart
+    .on('error', reject)
+    .on('end', () => resolve(Buffer.concat(chunks)))
+    .pipe();
+
+  output.on('data', chunk => chunks.push(chunk));
+});
+
+/**
+ * Difference hash of one frame: a bit per pixel, set when it is darker than its right neighbour
+ * @param {Buffer} pixels - HASH_WIDTH x HASH_HEIGHT grayscale bytes
+ * @returns {string} - 16 hex characters
+ */
+const hashFrame = (pixels) => {
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (pixels[index] < pixels[index + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(FRAME_HASH_LENGTH, '0');
+};
+
+/**
+ * Perceptual fingerprint of a video: the difference hashes of evenly spaced frames.
+ * It survives re-encoding, resizing and small colour changes, unlike the SHA-256.
+ * @param {string} inputPath - Full path to the video file
+ * @param {number} duration - Duration in seconds
+ * @returns {Promise<string|null>} - Concatenated frame hashes, null when no frame could be decoded
+ */
+export const computePerceptualHash = async (inputPath, duration) => {
+  if (!duration) return null;
+
+  const frameSize = HASH_WIDTH * HASH_HEIGHT;
+  const frames = await extractHashFrames(inputPath, duration);
+  const hashes = [];
+  for (let offset = 0; offset + frameSize <= frames.length; offset += frameSize) {
+    hashes.push(hashFrame(frames.subarray(offset, offset + frameSize)));
+  }
+  return hashes.length > 0 ? hashes.join('') : null;
+};
+
+/**
+ * Count the set bits of a number
+ * @param {bigint} value
+ * @returns {number}
+ */
+const countBits = (value) => {
+  let count = 0;
+  for (let rest = value; rest > 0n; rest >>= 1n) {
+    count += Number(rest & 1n);
+  }
+  return count;
+};
+
+/**
+ * Average number of differing bits between the frame hashes of two fingerprints
+ * @param {string} first - Perceptual fingerprint
+ * @param {string} second - Perceptual fingerprint
+ * @returns {number} - 0 for identical frames, up to 64; Infinity when there is nothing to compare
+ */
+export const getPerceptualDistance = (first, second) => {
+  const firstFrames = first.match(/.{16}/g) || [];
+  const secondFrames = second.match(/.{16}/g) || [];
+  const frameCount = Math.min(firstFrames.length, secondFrames.length);
+  if (frameCount === 0) return Infinity;
+
+  let differingBits = 0;
+  for (let index = 0; index < frameCount; index++) {
+    differingBits += countBits(BigInt(`0x${firstFrames[index]}`) ^ BigInt(`0x${secondFrames[index]}`));
+  }
+  return differingBits / frameCount;
+};
+
+/**
+ * Find the earliest video with the same bytes
+ * @param {string} sha256 - Hex digest of the file
+ * @param {string} [excludeId] - Video to leave out, e.g. the one being replaced
+ * @returns {Promise<Object|null>} - Lean video, with its perceptual fingerprint
+ */
+export const findExactDuplicate = (sha256, excludeId) => Video.findOne({
+  'fingerprint.sha256': sha256,
+  ...(excludeId && { _id: { $ne: excludeId } })
+})
+  .sort({ createdAt: 1 })
+  .select('+fingerprint.perceptual')
+  .lean();
+
+/**
+ * Apply the duplicate upload policy to an identical earlier video
+ * @param {Object} original - Earlier video with the same bytes
+ * @param {string} creatorId - Uploading user
+ * @returns {string} - Warning for the upload response
+ * @throws {AppError} - 409 when duplicates are blocked
+ */
+export const checkDuplicatePolicy = (original, creatorId) => {
+  // Other creators' unlisted or private videos are not named
+  const canName = original.creator.toString() === creatorId.toString()
+    || (original.isPublished && isViewableByLink(original));
+  const message = canName
+    ? `An identical video has already been uploaded: "${original.title}" (${original._id})`
+    : 'An identical video has already been uploaded';
+
+  if (FINGERPRINT_CONFIG.DUPLICATE_POLICY === 'block') {
+    throw new AppError(message, 409);
+  }
+  return message;
+};
+
+/**
+ * Find other videos whose perceptual fingerprint is close to a video's.
+ * Exact duplicates are left out, they are linked by duplicateOf.
+ * @param {Object} video - Video with _id, duration and fingerprint.sha256
+ * @param {string} perceptual - Perceptual fingerprint of the video
+ * @returns {Promise<Array<{video: Object, distance: number}>>} - Closest first
+ */
+export const findNearDuplicates = async (video, perceptual) => {
+  const duration = video.duration || 0;
+  const candidates = await Video.find({
+    _id: { $ne: video._id },
+    'fingerprint.perceptual': { $exists: true },
+    'fingerprint.sha256': { $ne: video.fingerprint?.sha256 },
+    duration: {
+      $gte: duration - FINGERPRINT_CONFIG.DURATION_TOLERANCE_SECONDS,
+      $lte: duration + FINGERPRINT_CONFIG.DURATION_TOLERANCE_SECONDS
+    }
+  })
+    .select('+fingerprint.perceptual')
+    .lean();
+
+  return candidates
+    .map(candidate => ({
+      video: candidate._id,
+      distance: Math.round(getPerceptualDistance(perceptual, candidate.fingerprint.perceptual) * 100) / 100
+    }))
+    .filter(match => match.distance <= FINGERPRINT_CONFIG.NEAR_DUPLICATE_MAX_DISTANCE)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, FINGERPRINT_CONFIG.MAX_NEAR_DUPLICATES);
+};
+
+/**
+ * Record a video's perceptual fingerprint and its near-duplicates, and add
+ * the video to the near-duplicates of those videos
+ * @param {Object} video - Video document, with fingerprint.sha256 selected
+ * @param {string} inputPath - Full path to the video file
+ * @returns {Promise<{nearDuplicates: Array<Object>}>}
+ */
+export const fingerprintVideo = async (video, inputPath) => {
+  const sha256 = video.fingerprint?.sha256 || await hashFile(inputPath);
+  const perceptual = await computePerceptualHash(inputPath, video.duration);
+  const nearDuplicates = perceptual
+    ? await findNearDuplicates({ _id: video._id, duration: video.duration, fingerprint: { sha256 } }, perceptual)
+    : [];
+
+  await Video.findByIdAndUpdate(video._id, {
+    'fingerprint.sha256': sha256,
+    ...(perceptual ? { 'fingerprint.perceptual': perceptual } : { $unset: { 'fingerprint.perceptual': 1 } }),
+    'fingerprint.nearDuplicates': nearDuplicates,
+    'fingerprint.computedAt': new Date()
+  });
+
+  await Promise.all(nearDuplicates.map(match => Video.updateOne(
+    { _id: match.video, 'fingerprint.nearDuplicates.video': { $ne: video._id } },
+    {
+      $push: {
+        'fingerprint.nearDuplicates': {
+          $each: [{ video: video._id, distance: match.distance }],
+          $sort: { distance: 1 },
+          $slice: FINGERPRINT_CONFIG.MAX_NEAR_DUPLICATES
+        }
+      }
+    }
+  )));
+
+  return { nearDuplicates };
+};
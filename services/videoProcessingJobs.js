@@ -0,0 +1,332 @@
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import Job from '../models/jobModel.js';
+import { registerJobHandler, enqueueJob, jobEvents } from './jobQueue.js';
+import { transcodeVideoToHls } from './transcodeService.js';
+import { generateStoryboard } from './storyboardService.js';
+import { extractThumbnailCandidates, copyCandidateAsThumbnail, DEFAULT_THUMBNAIL } from './thumbnailService.js';
+import { generatePreviewClip } from './previewClipService.js';
+import { generateArticleFromVideo } from './openaiService.js';
+import { isTranscriptionEnabled, transcribeVideo, saveTranscriptCaptions } from './transcriptionService.js';
+import { STORAGE_AREAS, withStoredFile } from './storageService.js';
+import { fingerprintVideo } from './videoFingerprintService.js';
+import { isPublicVideo } from './videoVisibilityService.js';
+import { clearCacheByPattern } from '../utils/redisCache.js';
+
+export const JOB_TYPES = {
+  THUMBNAIL: 'video:thumbnail',
+  TRANSCODE: 'video:transcode',
+  STORYBOARD: 'video:storyboard',
+  PREVIEW_CLIP: 'video:preview-clip',
+  TRANSCRIBE: 'video:transcribe',
+  ARTICLE: 'video:article',
+  FINGERPRINT: 'video:fingerprint'
+};
+
+/**
+ * Load the video a job refers to
+ * @param {Object} job - Job document
+ * @returns {Promise<Object|null>} - Video or null if it was deleted meanwhile
+ */
+const loadJobVideo = (job) => Video.findById(job.payload.videoId);
+
+/**
+ * Extract the candidate frames a creator can pick the thumbnail from, and use
+ * the first one for videos uploaded without a thumbnail
+ */
+const handleThumbnailJob = async (job) => {
+  const video = await loadJobVideo(job);
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  const candidates = await withStoredFile(
+    STORAGE_AREAS.VIDEOS,
+    video.videoFile,
+    inputPath => extractThumbnailCandidates(inputPath, video)
+  );
+  const update = { thumbnailCandidates: candidates };
+
+  // The creator may have uploaded a thumbnail while the job was queued
+  const current = await Video.findById(video._id).select('thumbnail');
+  if (current && current.thumbnail === DEFAULT_THUMBNAIL && candidates.length > 0) {
+    update.thumbnail = await copyCandidateAsThumbnail(video, candidates[0].fileName);
+  }
+
+  await Video.findByIdAndUpdate(video._id, update);
+  return { candidates: candidates.length, thumbnail: update.thumbnail };
+};
+
+/**
+ * Transcode the video into HLS renditions
+ */
+const handleTranscodeJob = async (job) => {
+  const video = await loadJobVideo(job);
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  const updatedVideo = await transcodeVideoToHls(video);
+  return { renditions: updatedVideo.hls.renditions.map(r => r.name) };
+};
+
+/**
+ * Render the sprite sheets used for scrubbing previews
+ */
+const handleStoryboardJob = async (job) => {
+  const video = await loadJobVideo(job);
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  const updatedVideo = await generateStoryboard(video);
+  await clearCacheByPattern(`video:${video._id}:*`);
+  return {
+    sheets: updatedVideo.storyboard.sheetCount,
+    frames: updatedVideo.storyboard.frameCount
+  };
+};
+
+/**
+ * Encode the looping preview clips shown on hover in feeds
+ */
+const handlePreviewClipJob = async (job) => {
+  const video = await loadJobVideo(job);
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  const updatedVideo = await generatePreviewClip(video);
+  await clearCacheByPattern(`video:${video._id}:*`);
+  await clearCacheByPattern('feed:*');
+  return {
+    mp4: updatedVideo.previewClip.mp4,
+    webp: updatedVideo.previewClip.webp
+  };
+};
+
+/**
+ * Compute the perceptual fingerprint and link near-duplicate videos
+ */
+const handleFingerprintJob = async (job) => {
+  const video = await Video.findById(job.payload.videoId).select('+fingerprint.sha256');
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  const { nearDuplicates } = await withStoredFile(
+    STORAGE_AREAS.VIDEOS,
+    video.videoFile,
+    inputPath => fingerprintVideo(video, inputPath)
+  );
+  if (nearDuplicates.length > 0) {
+    console.log(`Video ${video._id} looks like ${nearDuplicates.map(match => match.video).join(', ')}`);
+  }
+  return { nearDuplicates: nearDuplicates.length };
+};
+
+/**
+ * Queue generation of the video's article
+ * @param {Object} video - Video document
+ * @returns {Promise<Object>} - Queued job
+ */
+const enqueueArticle = (video) => enqueueJob(
+  JOB_TYPES.ARTICLE,
+  { videoId: video._id.toString() },
+  { owner: video.creator, video: video._id }
+);
+
+/**
+ * Queue transcription of a video's audio
+ * @param {Object} video - Video document
+ * @param {Object} options - generateArticle: queue the article once the transcript is settled
+ * @returns {Promise<Object>} - Queued job
+ */
+export const enqueueTranscription = async (video, { generateArticle = false } = {}) => {
+  await Video.findByIdAndUpdate(video._id, { 'transcript.status': 'pending', $unset: { 'transcript.error': 1 } });
+  video.set('transcript.status', 'pending');
+
+  return enqueueJob(
+    JOB_TYPES.TRANSCRIBE,
+    { videoId: video._id.toString(), generateArticle },
+    { owner: video.creator, video: video._id }
+  );
+};
+
+/**
+ * Transcribe the audio, store the transcript and add it as a caption track
+ */
+const handleTranscribeJob = async (job) => {
+  const video = await Video.findById(job.payload.videoId).select('+transcript.text');
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  let result;
+  if (video.mediaInfo && video.mediaInfo.videoCodec && !video.mediaInfo.audioCodec) {
+    video.transcript = { status: 'none', error: 'Video has no audio track' };
+    await video.save();
+    result = { skipped: 'Video has no audio track' };
+  } else {
+    video.set('transcript.status', 'processing');
+    await video.save();
+
+    const transcript = await withStoredFile(
+      STORAGE_AREAS.VIDEOS,
+      video.videoFile,
+      inputPath => transcribeVideo(video, inputPath)
+    );
+    video.transcript = {
+      status: 'ready',
+      provider: transcript.provider,
+      language: transcript.language,
+      text: transcript.text,
+      completedAt: new Date()
+    };
+    await video.save();
+
+    const caption = await saveTranscriptCaptions(video, transcript);
+    result = {
+      provider: transcript.provider,
+      language: transcript.language,
+      characters: transcript.text.length,
+      captionLanguage: caption ? caption.language : null
+    };
+  }
+
+  // Queued before this job completes so the video never looks fully processed in between
+  if (job.payload.generateArticle) {
+    await enqueueArticle(video);
+  }
+  await clearCacheByPattern(`video:${video._id}:*`);
+
+  return result;
+};
+
+/**
+ * Record a transcription that ran out of retries, and still generate the
+ * article from the title and description
+ * @param {Object} job - Failed job document
+ */
+const handleTranscriptionFailure = async (job) => {
+  const video = await Video.findByIdAndUpdate(
+    job.payload.videoId,
+    { 'transcript.status': 'failed', 'transcript.error': job.lastError },
+    { new: true }
+  );
+  if (video && job.payload.generateArticle) {
+    await enqueueArticle(video);
+  }
+};
+
+/**
+ * Generate the news article that accompanies the video
+ */
+const handleArticleJob = async (job) => {
+  const video = await Video.findById(job.payload.videoId).select('+transcript.text');
+  if (!video) return { skipped: 'Video no longer exists' };
+
+  // A retry after a partial failure must not create a second article
+  const existingArticle = await Article.findOne({ relatedVideo: video._id });
+  if (existingArticle) {
+    return { articleId: existingArticle._id, title: existingArticle.title };
+  }
+
+  // The OpenAI service handles API key checks, retries, and fallbacks internally
+  const transcript = video.transcript && video.transcript.status === 'ready' ? video.transcript.text : undefined;
+  const { title, content } = await generateArticleFromVideo(video.title, video.description, transcript);
+
+  // Articles are listed to everyone, so the article only goes live once the video is public.
+  // The article of a scheduled public video is published together with it; any other
+  // article stays a draft until the video is made public.
+  const isPublic = isPublicVideo(video);
+  const isScheduled = !video.isPublished && Boolean(video.publishAt) && (video.visibility || 'public') === 'public';
+  const article = await Article.create({
+    title,
+    content,
+    author: video.creator,
+    summary: video.description,
+    tags: video.tags,
+    categories: video.categories,
+    relatedVideo: video._id,
+    status: isPublic ? 'published' : (isScheduled ? 'scheduled' : 'draft'),
+    isPublished: isPublic,
+    publishAt: isScheduled ? video.publishAt : undefined,
+    publishWithVideo: isPublic ? undefined : true
+  });
+
+  await Video.findByIdAndUpdate(video._id, { linkedArticle: article._id });
+  await clearCacheByPattern('articles:*');
+
+  return { articleId: article._id, title: article.title };
+};
+
+/**
+ * Recompute a video's processing status from its outstanding jobs
+ * @param {string} videoId - Video ID
+ */
+export const refreshProcessingStatus = async (videoId) => {
+  const hasPendingJobs = await Job.exists({
+    video: videoId,
+    status: { $in: ['queued', 'running'] }
+  });
+  if (hasPendingJobs) return;
+
+  const hasFailedJobs = await Job.exists({ video: videoId, status: 'failed' });
+  await Video.findByIdAndUpdate(videoId, {
+    processingStatus: hasFailedJobs ? 'failed' : 'ready'
+  });
+
+  await clearCacheByPattern(`video:${videoId}:*`);
+};
+
+/**
+ * Queue all post-upload processing for a new or replaced video
+ * @param {Object} video - Video document
+ * @param {Object} options - generateArticle: write the accompanying article (skipped for a replaced file);
+ *   skipTypes: media job types whose output was copied from an identical upload
+ * @returns {Promise<Array<Object>>} - Queued jobs
+ */
+export const enqueueVideoProcessing = async (video, { generateArticle = true, skipTypes = [] } = {}) => {
+  const jobOptions = { owner: video.creator, video: video._id };
+  const payload = { videoId: video._id.toString() };
+
+  const types = [
+    JOB_TYPES.THUMBNAIL,
+    JOB_TYPES.PREVIEW_CLIP,
+    JOB_TYPES.TRANSCODE,
+    JOB_TYPES.STORYBOARD,
+    JOB_TYPES.FINGERPRINT
+  ].filter(type => !skipTypes.includes(type));
+
+  const jobs = [];
+  for (const type of types) {
+    jobs.push(await enqueueJob(type, payload, jobOptions));
+  }
+
+  // With transcription, the article is queued once the transcript is settled so it can use it
+  if (isTranscriptionEnabled()) {
+    jobs.push(await enqueueTranscription(video, { generateArticle }));
+  } else if (generateArticle) {
+    jobs.push(await enqueueJob(JOB_TYPES.ARTICLE, payload, jobOptions));
+  }
+  return jobs;
+};
+
+/**
+ * Register the handlers for post-upload processing jobs
+ */
+export const registerVideoProcessingJobs = () => {
+  registerJobHandler(JOB_TYPES.THUMBNAIL, handleThumbnailJob);
+  registerJobHandler(JOB_TYPES.TRANSCODE, handleTranscodeJob);
+  registerJobHandler(JOB_TYPES.STORYBOARD, handleStoryboardJob);
+  registerJobHandler(JOB_TYPES.PREVIEW_CLIP, handlePreviewClipJob);
+  registerJobHandler(JOB_TYPES.TRANSCRIBE, handleTranscribeJob);
+  registerJobHandler(JOB_TYPES.ARTICLE, handleArticleJob);
+  registerJobHandler(JOB_TYPES.FINGERPRINT, handleFingerprintJob);
+
+  const onSettled = (job) => {
+    if (job && job.video) {
+      refreshProcessingStatus(job.video)
+        .catch(err => console.error('Error refreshing processing status:', err));
+    }
+  };
+  const onFailed = (job) => {
+    const afterFailure = job && job.type === JOB_TYPES.TRANSCRIBE
+      ? handleTranscriptionFailure(job)
+      : Promise.resolve();
+    afterFailure
+      .catch(err => console.error('Error recording failed transcription:', err))
+      .then(() => onSettled(job));
+  };
+  jobEvents.on('completed', onSettled);
+  jobEvents.on('failed', onFailed);
+};
@@ -0,0 +1,330 @@
+import fs from 'fs';
+import path from 'path';
+import Video from '../models/videoModel.js';
+import Job from '../models/jobModel.js';
+import { probeVideo } from './mediaProbeService.js';
+import { enqueueVideoProcessing, JOB_TYPES } from './videoProcessingJobs.js';
+import { DEFAULT_THUMBNAIL, getCandidatesDir, copyCandidateAsThumbnail } from './thumbnailService.js';
+import { removeStoryboardFiles, getStoryboardDir } from './storyboardService.js';
+import { removePreviewClipFiles, getPreviewDir } from './previewClipService.js';
+import { parsePublishAt } from './publishingService.js';
+import { parseVisibility } from './videoVisibilityService.js';
+import { STORAGE_AREAS, storeFile, removeStoredFile, statStoredFile } from './storageService.js';
+import { hashFile, findExactDuplicate, checkDuplicatePolicy } from './videoFingerprintService.js';
+import { removeVideoFileIfUnused } from './videoCleanupService.js';
+import { removeHlsDirectoryIfUnused } from './transcodeService.js';
+import { getHlsDir } from '../utils/videoStream.js';
+import { removeFileIfExists } from '../utils/fileSystem.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Read a list field sent either as an array (JSON body) or a JSON string (multipart form)
+ * @param {Array|string|undefined} value - Raw field value
+ * @param {string} [name] - Field name used in the error message
+ * @returns {Array} - Parsed list
+ */
+export const parseListField = (value, name = 'List field') => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch {
+    list = null;
+  }
+  if (!Array.isArray(list)) {
+    throw new AppError(`${name} must be an array or a JSON array such as ["a", "b"]`, 400);
+  }
+  return list;
+};
+
+/**
+ * Read a boolean field sent either as a boolean or a string
+ * @param {boolean|string|undefined} value - Raw field value
+ * @param {boolean} defaultValue - Value used when the field is missing
+ * @returns {boolean} - Parsed value
+ */
+export const parseBooleanField = (value, defaultValue) => {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  return !(value === false || value === 'false');
+};
+
+/**
+ * Read and check the details sent with a new video, so a mistake in them is
+ * reported before the received file is used
+ * @param {Object} fields - Request body
+ * @returns {Object} - Video fields
+ */
+export const parseVideoFields = (fields) => {
+  // A scheduled video stays unpublished until its publishAt
+  const publishAt = parsePublishAt(fields.publishAt);
+  const details = {
+    title: fields.title,
+    description: fields.description,
+    categories: parseListField(fields.categories, 'categories'),
+    tags: parseListField(fields.tags, 'tags'),
+    isPublished: publishAt ? false : parseBooleanField(fields.isPublished, true),
+    publishAt: publishAt || undefined,
+    visibility: parseVisibility(fields.visibility),
+    allowComments: parseBooleanField(fields.allowComments, true)
+  };
+
+  const error = new Video(details).validateSync(Object.keys(details));
+  if (error) {
+    throw new AppError(Object.values(error.errors).map(({ message }) => message).join(', '), 400);
+  }
+  return details;
+};
+
+// Jobs that work on the video file, redone when it is replaced
+const FILE_JOB_TYPES = [
+  JOB_TYPES.THUMBNAIL,
+  JOB_TYPES.PREVIEW_CLIP,
+  JOB_TYPES.TRANSCODE,
+  JOB_TYPES.STORYBOARD,
+  JOB_TYPES.TRANSCRIBE,
+  JOB_TYPES.FINGERPRINT
+];
+
+/**
+ * Summarize queued jobs for an API response
+ * @param {Array<Object>} jobs - Job documents
+ * @returns {Array<Object>}
+ */
+const summarizeJobs = (jobs) => jobs.map(job => ({
+  id: job._id,
+  type: job.type,
+  status: job.status
+}));
+
+/**
+ * Find an earlier video with the same bytes whose stored file can be shared,
+ * applying the duplicate upload policy
+ * @param {string} sha256 - Hex digest of the received file
+ * @param {string} creatorId - Uploading user
+ * @param {string} [excludeId] - Video whose file is being replaced
+ * @returns {Promise<{original: Object|null, warnings: Array<string>}>}
+ */
+const checkForDuplicate = async (sha256, creatorId, excludeId) => {
+  const original = await findExactDuplicate(sha256, excludeId);
+  if (!original) return { original: null, warnings: [] };
+
+  const warnings = [checkDuplicatePolicy(original, creatorId)];
+  // A record whose file went missing cannot lend it
+  const isStored = await statStoredFile(STORAGE_AREAS.VIDEOS, original.videoFile);
+  return { original: isStored ? original : null, warnings };
+};
+
+/**
+ * Give an identical upload the media already generated for the original, so
+ * those jobs do not run again. The HLS ladder, the largest by far, is played
+ * from the original's directory, which is kept until no video uses it; the
+ * small per-video files are copied. Anything not ready, or that cannot be
+ * reused, is generated as usual.
+ * @param {Object} video - New video document
+ * @param {Object} original - Earlier video with the same bytes
+ * @returns {Promise<Array<string>>} - Job types that no longer need to run
+ */
+const copyGeneratedMedia = async (video, original) => {
+  const update = {};
+  const skipTypes = [];
+  const copyDirectory = async (from, to, type, fields, afterCopy) => {
+    try {
+      await fs.promises.cp(from, to, { recursive: true });
+      Object.assign(update, fields, afterCopy && await afterCopy());
+      skipTypes.push(type);
+    } catch (error) {
+      console.error(`Could not reuse ${type} output of video ${original._id}:`, error.message);
+    }
+  };
+
+  const hlsDirectory = original.hls?.directory;
+  if (original.hls?.status === 'ready' && hlsDirectory && fs.existsSync(path.join(getHlsDir(), hlsDirectory))) {
+    update.hls = { status: 'ready', directory: hlsDirectory, renditions: original.hls.renditions };
+    skipTypes.push(JOB_TYPES.TRANSCODE);
+  }
+  if (original.storyboard?.status === 'ready') {
+    await copyDirectory(getStoryboardDir(original._id), getStoryboardDir(video._id), JOB_TYPES.STORYBOARD, {
+      storyboard: original.storyboard
+    });
+  }
+  if (original.previewClip?.status === 'ready') {
+    await copyDirectory(getPreviewDir(original._id), getPreviewDir(video._id), JOB_TYPES.PREVIEW_CLIP, {
+      previewClip: original.previewClip
+    });
+  }
+  if (original.thumbnailCandidates?.length > 0) {
+    // The thumbnail job would also pick the first candidate when none was uploaded
+    const pickThumbnail = video.thumbnail === DEFAULT_THUMBNAIL
+      ? async () => ({ thumbnail: await copyCandidateAsThumbnail(video, original.thumbnailCandidates[0].fileName) })
+      : undefined;
+    await copyDirectory(getCandidatesDir(original._id), getCandidatesDir(video._id), JOB_TYPES.THUMBNAIL, {
+      thumbnailCandidates: original.thumbnailCandidates
+    }, pickThumbnail);
+  }
+  if (original.fingerprint?.perceptual) {
+    update['fingerprint.perceptual'] = original.fingerprint.perceptual;
+    update['fingerprint.computedAt'] = new Date();
+    skipTypes.push(JOB_TYPES.FINGERPRINT);
+  }
+
+  if (skipTypes.length > 0) {
+    video.set(update);
+    await video.save();
+  }
+  return skipTypes;
+};
+
+/**
+ * Create a Video from a file that has been fully received and queue its processing.
+ * Shared by the multipart upload and the resumable upload endpoints.
+ * An upload with the same bytes as an earlier video shares its stored file
+ * and generated media, or is rejected when DUPLICATE_UPLOAD_POLICY is block.
+ * The files are deleted if the video cannot be created.
+ * @param {Object} upload
+ * @param {string} upload.creatorId - Uploading user
+ * @param {string} upload.videoPath - Full path of the received video file, moved into storage
+ * @param {string} [upload.thumbnailPath] - Full path of an uploaded thumbnail
+ * @param {string} [upload.sha256] - Hex SHA-256 of the video file, when already verified
+ * @param {Object} upload.fields - title, description, categories, tags, isPublished, publishAt, visibility, allowComments
+ * @returns {Promise<{video: Object, jobs: Array<Object>, warnings: Array<string>}>} - Created video, queued job summaries and duplicate warnings
+ */
+export const createVideoFromUpload = async ({ creatorId, videoPath, thumbnailPath, sha256, fields }) => {
+  const stored = {};
+  const removeUploadedFiles = async () => {
+    removeFileIfExists(videoPath);
+    removeFileIfExists(thumbnailPath);
+    await removeStoredFile(STORAGE_AREAS.VIDEOS, stored.video);
+    await removeStoredFile(STORAGE_AREAS.THUMBNAILS, stored.thumbnail);
+  };
+
+  let video;
+  let duplicate;
+  try {
+    const details = parseVideoFields(fields);
+
+    const fileHash = sha256 || await hashFile(videoPath);
+    duplicate = await checkForDuplicate(fileHash, creatorId);
+    const { original } = duplicate;
+
+    let metadata;
+    if (original) {
+      metadata = { duration: original.duration, mediaInfo: original.mediaInfo };
+      // The identical stored file is used instead
+      removeFileIfExists(videoPath);
+    } else {
+      // Reject files that pass the mimetype check but are not decodable video
+      metadata = await probeVideo(videoPath);
+      stored.video = await storeFile(STORAGE_AREAS.VIDEOS, videoPath);
+    }
+    if (thumbnailPath) {
+      stored.thumbnail = await storeFile(STORAGE_AREAS.THUMBNAILS, thumbnailPath);
+    }
+
+    video = await Video.create({
+      ...details,
+      creator: creatorId,
+      videoFile: original ? original.videoFile : stored.video,
+      fingerprint: { sha256: fileHash },
+      duplicateOf: original ? original._id : undefined,
+      // Without an uploaded thumbnail a frame is extracted in the background
+      thumbnail: stored.thumbnail || DEFAULT_THUMBNAIL,
+      duration: metadata.duration,
+      mediaInfo: metadata.mediaInfo,
+      processingStatus: 'processing'
+    });
+  } catch (error) {
+    await removeUploadedFiles();
+    throw error;
+  }
+
+  console.log('Created video record:', video._id);
+
+  const skipTypes = duplicate.original ? await copyGeneratedMedia(video, duplicate.original) : [];
+
+  // Thumbnail candidates, previews, transcoding and article generation run in the job worker
+  const jobs = await enqueueVideoProcessing(video, { skipTypes });
+
+  return {
+    video,
+    jobs: summarizeJobs(jobs),
+    warnings: duplicate.warnings
+  };
+};
+
+/**
+ * Replace the media file of an existing video and regenerate everything derived
+ * from it: HLS ladder, storyboard, preview clip, thumbnail candidates, transcript
+ * and fingerprint. Details, thumbnail, engagement, the article and uploaded captions are kept.
+ * The duplicate upload policy applies, but the new file is always stored on its own.
+ * Refused while a job is still working on the previous file, as it would write its
+ * results over those of the new one. The new file is deleted if it cannot be used.
+ * @param {Object} video - Video document
+ * @param {string} videoPath - Full path of the received video file, moved into storage
+ * @returns {Promise<{video: Object, jobs: Array<Object>, warnings: Array<string>}>} - Updated video, queued job summaries and duplicate warnings
+ */
+export const replaceVideoFile = async (video, videoPath) => {
+  let metadata;
+  let videoFile;
+  let sha256;
+  let warnings;
+  try {
+    sha256 = await hashFile(videoPath);
+    ({ warnings } = await checkForDuplicate(sha256, video.creator, video._id));
+    metadata = await probeVideo(videoPath);
+
+    // Checked last, so no job can be claimed for the previous file before the switch
+    const isProcessing = await Job.exists({ video: video._id, status: 'running', type: { $in: FILE_JOB_TYPES } });
+    if (isProcessing) {
+      throw new AppError('The current file is still being processed, try again once its jobs have finished', 409);
+    }
+    videoFile = await storeFile(STORAGE_AREAS.VIDEOS, videoPath);
+  } catch (error) {
+    removeFileIfExists(videoPath);
+    throw error;
+  }
+
+  const previousFile = video.videoFile;
+  const previousHlsDirectory = video.hls?.directory || video._id.toString();
+  video.set({
+    videoFile,
+    fingerprint: { sha256 },
+    duplicateOf: undefined,
+    duration: metadata.duration,
+    mediaInfo: metadata.mediaInfo,
+    processingStatus: 'processing',
+    hls: { status: 'pending' },
+    storyboard: { status: 'pending' },
+    previewClip: { status: 'pending' }
+  });
+  await video.save();
+
+  // Queued work for the previous file would only be repeated
+  await Job.deleteMany({
+    video: video._id,
+    status: 'queued',
+    type: { $in: FILE_JOB_TYPES }
+  });
+  // Near-duplicate links were found for the previous file
+  await Video.updateMany(
+    { 'fingerprint.nearDuplicates.video': video._id },
+    { $pull: { 'fingerprint.nearDuplicates': { video: video._id } } }
+  );
+
+  if (previousFile && previousFile !== video.videoFile) {
+    await removeVideoFileIfUnused(previousFile);
+  }
+  // Identical uploads may still play the previous ladder
+  await removeHlsDirectoryIfUnused(previousHlsDirectory);
+  removeStoryboardFiles(video._id);
+  removePreviewClipFiles(video._id);
+
+  const jobs = await enqueueVideoProcessing(video, { generateArticle: false });
+
+  return {
+    video,
+    jobs: summarizeJobs(jobs),
+    warnings
+  };
+};
@@ -0,0 +1,167 @@
+import Follow from '../models/followModel.js';
+import AppError from '../utils/appError.js';
+import { clearCacheByPattern } from '../utils/redisCache.js';
+
+/**
+ * Who can watch a published video:
+ * - public: everyone; listed in feeds, search, trending and creator pages
+ * - unlisted: everyone with the link; never listed
+ * - followers-only: active followers of the creator; listed only for them
+ * - private: the creator and admins
+ * Unpublished and scheduled videos are only visible to the creator and admins
+ * whatever their visibility.
+ */
+export const VIDEO_VISIBILITIES = ['public', 'unlisted', 'followers-only', 'private'];
+
+// Videos created before visibility levels existed have no field and are public
+const PUBLIC_VISIBILITY = { $in: ['public', null] };
+
+/**
+ * Read a visibility field
+ * @param {string|undefined} value - Raw field value
+ * @returns {string|undefined} - Visibility, or undefined when not sent
+ */
+export const parseVisibility = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (!VIDEO_VISIBILITIES.includes(value)) {
+    throw new AppError(`visibility must be one of: ${VIDEO_VISIBILITIES.join(', ')}`, 400);
+  }
+  return value;
+};
+
+/**
+ * Check whether a user is the creator of a video or an admin
+ * @param {Object} video - Video with creator (ID or populated)
+ * @param {Object|null} user - Authenticated user
+ * @returns {boolean}
+ */
+export const isVideoManager = (video, user) => Boolean(user) && (
+  String(video.creator?._id || video.creator) === String(user._id) || user.role === 'admin'
+);
+
+/**
+ * Check whether a user actively follows a creator
+ * @param {Object|null} user - Authenticated user
+ * @param {string} creatorId - Creator ID
+ * @returns {Promise<boolean>}
+ */
+const isFollower = async (user, creatorId) => Boolean(user) && Boolean(
+  await Follow.exists({ follower: user._id, following: creatorId, status: 'active' })
+);
+
+/**
+ * Check whether a user may watch a video opened by its link
+ * @param {Object} video - Video with creator, isPublished and visibility
+ * @param {Object|null} user - Authenticated user
+ * @returns {Promise<boolean>}
+ */
+export const canViewVideo = async (video, user) => {
+  if (isVideoManager(video, user)) return true;
+  if (!video.isPublished) return false;
+
+  switch (video.visibility || 'public') {
+    case 'public':
+    case 'unlisted':
+      return true;
+    case 'followers-only':
+      return isFollower(user, video.creator?._id || video.creator);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Filter for videos that may be listed to everyone, e.g. in search and trending.
+ * Articles have no visibility, so the filter also matches every published article.
+ * @returns {Object} - MongoDB filter
+ */
+export const getPublicVideoFilter = () => ({
+  isPublished: true,
+  visibility: PUBLIC_VISIBILITY
+});
+
+/**
+ * Filter for videos anyone with the link may watch, e.g. the next video of a series
+ * @returns {Object} - MongoDB filter
+ */
+export const getLinkViewableVideoFilter = () => ({
+  isPublished: true,
+  visibility: { $in: ['public', 'unlisted', null] }
+});
+
+/**
+ * Check whether anyone with the link may watch a video, e.g. before announcing it
+ * @param {Object} video - Video with isPublished and visibility
+ * @returns {boolean}
+ */
+export const isViewableByLink = (video) => Boolean(video.isPublished) &&
+  ['public', 'unlisted'].includes(video.visibility || 'public');
+
+/**
+ * Check whether a video is published and public, e.g. before publishing its article
+ * @param {Object} video - Video with isPublished and visibility
+ * @returns {boolean}
+ */
+export const isPublicVideo = (video) => Boolean(video.isPublished) &&
+  (video.visibility || 'public') === 'public';
+
+/**
+ * Filter for videos that may be listed to a user: public videos, plus
+ * followers-only videos of the creators the user follows
+ * @param {string|null} userId - Authenticated user ID
+ * @returns {Promise<Object>} - MongoDB filter, usable in find and aggregate
+ */
+export const getListedVideoFilter = async (userId) => {
+  if (!userId) return getPublicVideoFilter();
+
+  const followedIds = await Follow.find({ follower: userId, status: 'active' }).distinct('following');
+  if (followedIds.length === 0) return getPublicVideoFilter();
+
+  return {
+    isPublished: true,
+    $or: [
+      { visibility: PUBLIC_VISIBILITY },
+      { visibility: 'followers-only', creator: { $in: followedIds } }
+    ]
+  };
+};
+
+/**
+ * Keep the videos of a list (playlist, history, shared collection) that a user may watch
+ * @param {Array<Object>} videos - Videos with creator, isPublished and visibility
+ * @param {Object|null} user - Authenticated user
+ * @returns {Promise<Array<Object>>}
+ */
+export const filterViewableVideos = async (videos, user) => {
+  const followersOnlyCreators = [...new Set(videos
+    .filter(video => video && video.isPublished && video.visibility === 'followers-only' && !isVideoManager(video, user))
+    .map(video => String(video.creator?._id || video.creator)))];
+
+  const followed = user && followersOnlyCreators.length > 0
+    ? new Set((await Follow.find({
+      follower: user._id,
+      following: { $in: followersOnlyCreators },
+      status: 'active'
+    }).distinct('following')).map(String))
+    : new Set();
+
+  return videos.filter(video => {
+    if (!video) return false;
+    if (isVideoManager(video, user)) return true;
+    if (!video.isPublished) return false;
+
+    const visibility = video.visibility || 'public';
+    if (visibility === 'followers-only') return followed.has(String(video.creator?._id || video.creator));
+    return visibility !== 'private';
+  });
+};
+
+/**
+ * Drop the feeds and video details cached for a user, whose followers-only
+ * access changed after following or unfollowing a creator
+ * @param {string} userId - Follower
+ */
+export const clearViewerCaches = async (userId) => {
+  await clearCacheByPattern(`feed:*:${userId}`);
+  await clearCacheByPattern(`video:*:${userId}:*`);
+};
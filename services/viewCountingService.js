@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import Article from '../models/articleModel.js';
+import User from '../models/userModel.js';
+import ViewRecord from '../models/viewRecordModel.js';
+import { registerJobHandler, scheduleRecurringJob } from './jobQueue.js';
+import {
+  getCache,
+  setCache,
+  setIfAbsent,
+  incrementCounter,
+  incrementHashField,
+  claimHash,
+  deleteCache,
+  isRedisConnected
+} from '../utils/redisCache.js';
+
+dotenv.config();
+
+export const VIEW_FLUSH_JOB_TYPE = 'views:flush';
+
+// View counting configuration
+export const VIEW_CONFIG = {
+  // A viewer is counted once per content item in this window
+  DEDUP_WINDOW_HOURS: parseInt(process.env.VIEW_DEDUP_WINDOW_HOURS || '24', 10),
+  // Seconds of a video that must be watched before the view counts.
+  // Videos shorter than twice this only need half their duration.
+  MIN_WATCH_SECONDS: parseInt(process.env.VIEW_MIN_WATCH_SECONDS || '10', 10),
+  // Views of one content item counted per IP address and hour. Viewers behind
+  // the same address (households, offices) share it; a new user agent does not
+  // make a new one.
+  MAX_VIEWS_PER_IP_PER_HOUR: parseInt(process.env.VIEW_MAX_PER_IP_PER_HOUR || '20', 10),
+  // How often views batched in Redis are written to MongoDB
+  FLUSH_INTERVAL_SECONDS: parseInt(process.env.VIEW_FLUSH_INTERVAL_SECONDS || '30', 10)
+};
+
+// Where each content type keeps its counter and its owner
+const CONTENT_TYPES = {
+  Video: { Model: Video, viewsField: 'views', ownerField: 'creator' },
+  Article: { Model: Article, viewsField: 'viewCount', ownerField: 'author' }
+};
+
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|headless/i;
+
+// Watch progress is forgotten after this long without a report
+const WATCH_SESSION_SECONDS = 60 * 60;
+const RATE_LIMIT_WINDOW_SECONDS = 60 * 60;
+
+const pendingKey = (contentType) => `views:pending:${contentType}`;
+
+/**
+ * Hash a value into a short key
+ * @param {string} value - Value to hash
+ * @returns {string}
+ */
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex').substring(0, 32);
+
+/**
+ * Identify the viewer of a request: the user when authenticated, otherwise a
+ * hash of the IP address and user agent. Client-provided session IDs are not
+ * used because they can be rotated freely to inflate counts.
+ * @param {Object} req - Express request object
+ * @returns {string} - Viewer key
+ */
+export const getViewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  return `anon:${hashKey(`${req.ip}|${req.get('user-agent') || ''}`)}`;
+};
+
+/**
+ * Seconds of a video that must be watched for a view
+ * @param {number} duration - Video duration in seconds
+ * @returns {number}
+ */
+export const getRequiredWatchSeconds = (duration) => {
+  if (duration > 0 && duration < VIEW_CONFIG.MIN_WATCH_SECONDS * 2) {
+    return duration / 2;
+  }
+  return VIEW_CONFIG.MIN_WATCH_SECONDS;
+};
+
+/**
+ * Remember that a viewer was seen on a content item for a while
+ * @param {string} contentType - 'Video' or 'Article'
+ * @param {string} contentId - Content ID
+ * @param {string} viewer - Result of getViewerKey, possibly with a suffix
+ * @param {number} windowSeconds - How long the viewer is remembered
+ * @returns {Promise<boolean>} - false if the viewer was already seen in the window
+ */
+export const markSeen = async (contentType, contentId, viewer, windowSeconds) => {
+  const marked = await setIfAbsent(`views:seen:${contentType}:${contentId}:${viewer}`, windowSeconds);
+  if (marked !== null) {
+    return marked;
+  }
+
+  // Redis is unavailable, deduplicate in MongoDB
+  const expiresAt = new Date(Date.now() + windowSeconds * 1000);
+  try {
+    await ViewRecord.create({ contentType, content: contentId, viewer, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Expired records are removed by MongoDB in the background, so one may still exist
+    const result = await ViewRecord.updateOne(
+      { contentType, content: contentId, viewer, expiresAt: { $lte: new Date() } },
+      { expiresAt }
+    );
+    return result.modifiedCount === 1;
+  }
+};
+
+/**
+ * Count a view from the request's IP address against the hourly limit
+ * @param {string} contentType - 'Video' or 'Article'
+ * @param {string} contentId - Content ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<boolean>} - false if the address is over the limit
+ */
+const takeNetworkView = async (contentType, contentId, req) => {
+  const windowStart = Math.floor(Date.now() / 1000 / RATE_LIMIT_WINDOW_SECONDS) * RATE_LIMIT_WINDOW_SECONDS;
+  const network = `ip:${hashKey(req.ip || '')}:${windowStart}`;
+
+  let count = await incrementCounter(`views:${contentType}:${contentId}:${network}`, RATE_LIMIT_WINDOW_SECONDS);
+  if (count === null) {
+    // Redis is unavailable, count in MongoDB
+    const filter = { contentType, content: contentId, viewer: network };
+    const update = {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date((windowStart + RATE_LIMIT_WINDOW_SECONDS) * 1000) }
+    };
+    const record = await ViewRecord.findOneAndUpdate(filter, update, { upsert: true, new: true })
+      // Two first views at once: the other one created the record
+      .catch(error => {
+        if (error.code !== 11000) throw error;
+        return ViewRecord.findOneAndUpdate(filter, update, { new: true });
+      });
+    count = record.count;
+  }
+
+  return count <= VIEW_CONFIG.MAX_VIEWS_PER_IP_PER_HOUR;
+};
+
+/**
+ * Credit the watch time a player reports, at most the time that passed since
+ * the viewer's previous report. Players report the seconds watched in the
+ * session as they play, starting with the first frame; the first report only
+ * starts the clock.
+ * @param {Object} options
+ * @param {Object} options.req - Express request object
+ * @param {string} options.contentId - Video ID
+ * @param {number} options.watchedSeconds - Seconds watched according to the player
+ * @returns {Promise<number>} - Seconds credited to the session
+ */
+export const creditWatchedSeconds = async ({ req, contentId, watchedSeconds }) => {
+  const viewer = `${getViewerKey(req)}:progress`;
+  const now = new Date();
+
+  const useRedis = isRedisConnected();
+  const key = `views:progress:Video:${contentId}:${viewer}`;
+  const previous = useRedis
+    ? await getCache(key)
+    : await ViewRecord.findOne({ contentType: 'Video', content: contentId, viewer, expiresAt: { $gt: now } }).lean();
+
+  const elapsedSeconds = previous ? (now - new Date(previous.reportedAt)) / 1000 : 0;
+  const credited = Math.min(watchedSeconds, (previous?.watchedSeconds || 0) + elapsedSeconds);
+  const progress = { watchedSeconds: credited, reportedAt: now };
+
+  if (useRedis) {
+    await setCache(key, progress, WATCH_SESSION_SECONDS);
+  } else {
+    await ViewRecord.updateOne(
+      { contentType: 'Video', content: contentId, viewer },
+      { ...progress, expiresAt: new Date(now.getTime() + WATCH_SESSION_SECONDS * 1000) },
+      { upsert: true }
+    ).catch(error => {
+      // A concurrent report created the record first
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  return credited;
+};
+
+/**
+ * Write view increments to the content and to its owners' totalViews
+ * @param {string} contentType - 'Video' or 'Article'
+ * @param {Object<string, number>} counts - Content ID to number of new views
+ * @returns {Promise<number>} - Views applied
+ */
+const applyViewCounts = async (contentType, counts) => {
+  const { Model, viewsField, ownerField } = CONTENT_TYPES[contentType];
+  const entries = Object.entries(counts)
+    .map(([id, count]) => [id, parseInt(count, 10)])
+    .filter(([, count]) => count > 0);
+
+  if (entries.length === 0) return 0;
+
+  const items = await Model.find({ _id: { $in: entries.map(([id]) => id) } })
+    .select(ownerField)
+    .lean();
+  const ownerById = new Map(items.map(item => [item._id.toString(), item[ownerField]]));
+
+  const ownerViews = new Map();
+  entries.forEach(([id, count]) => {
+    const owner = ownerById.get(id);
+    if (owner) ownerViews.set(owner.toString(), (ownerViews.get(owner.toString()) || 0) + count);
+  });
+
+  // Views of deleted content are dropped
+  const existing = entries.filter(([id]) => ownerById.has(id));
+  if (existing.length > 0) {
+    await Model.bulkWrite(existing.map(([id, count]) => ({
+      updateOne: { filter: { _id: id }, update: { $inc: { [viewsField]: count } } }
+    })));
+  }
+  if (ownerViews.size > 0) {
+    await User.bulkWrite([...ownerViews].map(([ownerId, count]) => ({
+      updateOne: { filter: { _id: ownerId }, update: { $inc: { 'stats.totalViews': count } } }
+    })));
+  }
+
+  return existing.reduce((sum, [, count]) => sum + count, 0);
+};
+
+/**
+ * Count a view of a video or article unless the viewer was already counted
+ * in the window or too many views came from the same IP address this hour.
+ * Views are batched in Redis and written by the flush job; without Redis they
+ * are written immediately.
+ * @param {Object} options
+ * @param {Object} options.req - Express request object
+ * @param {string} options.contentType - 'Video' or 'Article'
+ * @param {Object} options.content - Video or article with its owner field
+ * @returns {Promise<{counted: boolean, reason?: string}>}
+ */
+export const recordView = async ({ req, contentType, content }) => {
+  const { ownerField } = CONTENT_TYPES[contentType];
+
+  if (BOT_USER_AGENT.test(req.get('user-agent') || 'bot')) {
+    return { counted: false, reason: 'Automated clients are not counted' };
+  }
+
+  const ownerId = (content[ownerField]?._id || content[ownerField])?.toString();
+  if (req.user && ownerId === req.user._id.toString()) {
+    return { counted: false, reason: 'Views by the owner are not counted' };
+  }
+
+  const contentId = content._id.toString();
+  const windowSeconds = VIEW_CONFIG.DEDUP_WINDOW_HOURS * 60 * 60;
+  if (!(await markSeen(contentType, contentId, getViewerKey(req), windowSeconds))) {
+    return { counted: false, reason: 'Already counted' };
+  }
+  if (!(await takeNetworkView(contentType, contentId, req))) {
+    return { counted: false, reason: 'Too many views from this network' };
+  }
+
+  const batched = await incrementHashField(pendingKey(contentType), contentId);
+  if (!batched) {
+    await applyViewCounts(contentType, { [contentId]: 1 });
+  }
+
+  return { counted: true };
+};
+
+/**
+ * Write the views batched in Redis to MongoDB
+ * @returns {Promise<Object>} - Views written per content type
+ */
+export const flushPendingViews = async () => {
+  const summary = {};
+
+  for (const contentType of Object.keys(CONTENT_TYPES)) {
+    const claimKey = `${pendingKey(contentType)}:flushing`;
+    const counts = await claimHash(pendingKey(contentType), claimKey);
+    if (!counts) continue;
+
+    summary[contentType] = await applyViewCounts(contentType, counts);
+    await deleteCache(claimKey);
+  }
+
+  return summary;
+};
+
+/**
+ * Register the view flush job handler
+ */
+export const registerViewJobs = () => {
+  registerJobHandler(VIEW_FLUSH_JOB_TYPE, () => flushPendingViews());
+};
+
+/**
+ * Schedule the recurring view flush
+ * @returns {Promise<Object|null>} - Recurring job
+ */
+export const scheduleViewFlushJob = () => scheduleRecurringJob(
+  VIEW_FLUSH_JOB_TYPE,
+  VIEW_CONFIG.FLUSH_INTERVAL_SECONDS * 1000
+);
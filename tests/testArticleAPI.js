@@ -142,6 +142,29 @@ async function testUpdateArticle(articleId) {
   }
 }
 
+// Test scheduled publishing
+async function testScheduleArticle(articleId) {
+  console.log('\n--- Testing Scheduled Publishing ---');
+  
+  const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const response = await apiRequest(`/articles/${articleId}`, 'PATCH', { publishAt }, authToken);
+  
+  if (response.status !== 200 || response.data.data.article.status !== 'scheduled') {
+    console.error('Failed to schedule article:', response.data);
+    return false;
+  }
+  
+  // Scheduled articles must not be readable before publishAt
+  const anonymous = await apiRequest(`/articles/${articleId}`);
+  if (anonymous.status === 200) {
+    console.error('Scheduled article is visible before its publishAt');
+    return false;
+  }
+  
+  console.log('Article scheduled for', response.data.data.article.publishAt);
+  return true;
+}
+
 // Test delete article
 async function testDeleteArticle(articleId) {
   console.log('\n--- Testing Delete Article ---');
@@ -181,6 +204,9 @@ async function runTests() {
   // Get article by ID
   await testGetArticleById(articleId);
   
+  // Schedule article
+  await testScheduleArticle(articleId);
+  
   // Update article
   await testUpdateArticle(articleId);
   
@@ -0,0 +1,221 @@
+/**
+ * S3 Storage Test Script
+ *
+ * Exercises the S3 driver against a running S3-compatible service such as MinIO:
+ * upload, stat, ranged download, listing and delete, plus the request timeout.
+ * Run with:
+ *   S3_ENDPOINT=http://localhost:9000 S3_BUCKET=media \
+ *   S3_ACCESS_KEY_ID=minio S3_SECRET_ACCESS_KEY=minio123 node tests/testS3Storage.js
+ * The bucket must exist. Objects are written under a unique test prefix and deleted.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  S3_CONFIG,
+  putObjectFromFile,
+  headObject,
+  getObjectStream,
+  listObjects,
+  deleteObject
+} from '../services/s3Storage.js';
+
+// Load environment variables
+dotenv.config();
+
+const TEST_PREFIX = `storage-test-${uuidv4().substring(0, 8)}/`;
+const TEST_KEY = `${TEST_PREFIX}sample.bin`;
+// 1000 bytes whose values tell their offset apart
+const TEST_CONTENT = Buffer.from(Array.from({ length: 1000 }, (_, index) => index % 251));
+const testFilePath = path.join(os.tmpdir(), `s3-storage-test-${Date.now()}.bin`);
+
+console.log('🧪 Starting S3 Storage Tests 🧪');
+console.log('Endpoint:', S3_CONFIG.ENDPOINT);
+console.log('Bucket:', S3_CONFIG.BUCKET);
+
+if (!process.env.S3_ENDPOINT || !S3_CONFIG.BUCKET) {
+  console.log('❌ Set S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY first');
+  process.exit(1);
+}
+
+/**
+ * Read a whole stream into a buffer
+ * @param {Object} stream - Readable stream
+ * @returns {Promise<Buffer>}
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function testPutObject() {
+  console.log('\n📤 Testing Upload...');
+
+  try {
+    fs.writeFileSync(testFilePath, TEST_CONTENT);
+    await putObjectFromFile(TEST_KEY, testFilePath, 'application/octet-stream');
+    console.log('✅ Object uploaded:', TEST_KEY);
+    return true;
+  } catch (error) {
+    console.error('❌ Upload Error:', error.message);
+    return false;
+  }
+}
+
+async function testHeadObject() {
+  console.log('\n🔍 Testing Stat...');
+
+  try {
+    const stat = await headObject(TEST_KEY);
+    if (stat && stat.size === TEST_CONTENT.length) {
+      console.log(`✅ Object stat: ${stat.size} bytes, ${stat.contentType}`);
+      return true;
+    }
+    console.log('❌ Unexpected stat:', stat);
+    return false;
+  } catch (error) {
+    console.error('❌ Stat Error:', error.message);
+    return false;
+  }
+}
+
+async function testRangeGet() {
+  console.log('\n✂️ Testing Ranged Download...');
+
+  try {
+    const full = await readStream(await getObjectStream(TEST_KEY));
+    const range = await getObjectStream(TEST_KEY, { start: 100, end: 199 });
+    const part = await readStream(range);
+
+    if (!full.equals(TEST_CONTENT)) {
+      console.log('❌ Full download does not match the uploaded bytes');
+      return false;
+    }
+    if (range.statusCode !== 206 || !part.equals(TEST_CONTENT.subarray(100, 200))) {
+      console.log(`❌ Range download returned HTTP ${range.statusCode} and ${part.length} bytes`);
+      return false;
+    }
+    console.log('✅ Full and ranged downloads match');
+    return true;
+  } catch (error) {
+    console.error('❌ Download Error:', error.message);
+    return false;
+  }
+}
+
+async function testListObjects() {
+  console.log('\n📋 Testing Listing...');
+
+  try {
+    const objects = await listObjects(TEST_PREFIX);
+    if (objects.length === 1 && objects[0].key === TEST_KEY && objects[0].size === TEST_CONTENT.length) {
+      console.log('✅ Listing returns the uploaded object');
+      return true;
+    }
+    console.log('❌ Unexpected listing:', objects);
+    return false;
+  } catch (error) {
+    console.error('❌ Listing Error:', error.message);
+    return false;
+  }
+}
+
+async function testDeleteObject() {
+  console.log('\n🗑️ Testing Delete...');
+
+  try {
+    await deleteObject(TEST_KEY);
+    // Deleting a missing object succeeds
+    await deleteObject(TEST_KEY);
+
+    if (await headObject(TEST_KEY) === null) {
+      console.log('✅ Object deleted');
+      return true;
+    }
+    console.log('❌ Object still exists after delete');
+    return false;
+  } catch (error) {
+    console.error('❌ Delete Error:', error.message);
+    return false;
+  }
+}
+
+async function testRequestTimeout() {
+  console.log('\n⏱️ Testing Request Timeout...');
+
+  // A local endpoint that accepts requests and never answers
+  const server = http.createServer(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const saved = { ENDPOINT: S3_CONFIG.ENDPOINT, REQUEST_TIMEOUT_MS: S3_CONFIG.REQUEST_TIMEOUT_MS };
+  S3_CONFIG.ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+  S3_CONFIG.REQUEST_TIMEOUT_MS = 500;
+
+  try {
+    await headObject(TEST_KEY);
+    console.log('❌ Request to a stalled endpoint did not fail');
+    return false;
+  } catch (error) {
+    if (/timed out/.test(error.message)) {
+      console.log('✅ Stalled request failed:', error.message);
+      return true;
+    }
+    console.error('❌ Unexpected error:', error.message);
+    return false;
+  } finally {
+    Object.assign(S3_CONFIG, saved);
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+async function runTests() {
+  const testResults = {};
+
+  testResults.putObject = await testPutObject();
+  if (testResults.putObject) {
+    testResults.headObject = await testHeadObject();
+    testResults.rangeGet = await testRangeGet();
+    testResults.listObjects = await testListObjects();
+    testResults.deleteObject = await testDeleteObject();
+  }
+  testResults.requestTimeout = await testRequestTimeout();
+
+  fs.rmSync(testFilePath, { force: true });
+
+  // Print summary
+  console.log('\n---------------------------------------');
+  console.log('📊 Test Results Summary');
+  console.log('---------------------------------------');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const [test, result] of Object.entries(testResults)) {
+    if (result) {
+      passed++;
+      console.log(`✅ ${test}: PASSED`);
+    } else {
+      failed++;
+      console.log(`❌ ${test}: FAILED`);
+    }
+  }
+
+  console.log('---------------------------------------');
+  console.log(`Tests: ${passed + failed}, Passed: ${passed}, Failed: ${failed}`);
+  console.log('---------------------------------------\n');
+
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+// Run the tests
+runTests()
+  .catch(err => {
+    console.error('Unhandled error in test script:', err);
+    process.exit(1);
+  });
@@ -22,6 +22,7 @@ const __dirname = path.dirname(__filename);
 const BASE_URL = process.env.API_URL || 'http://localhost:5000/api';
 let authToken = null;
 let testVideoId = null;
+let testVideoTitle = null;
 let testCategoryId = null;
 
 console.log('🧪 Starting Video API Tests 🧪');
@@ -121,6 +122,7 @@ async function testVideoFeed() {
       
       if (result.data.videos.length > 0) {
         testVideoId = result.data.videos[0]._id;
+        testVideoTitle = result.data.videos[0].title;
         console.log(`   First Video ID: ${testVideoId}`);
       }
       
@@ -135,6 +137,62 @@ async function testVideoFeed() {
   }
 }
 
+async function testForYouFeed() {
+  console.log('\n✨ Testing For You Feed...');
+  
+  try {
+    const result = await api(`/videos/feed?category=${encodeURIComponent('For You')}`);
+    
+    if (result.status === 200 && result.data.videos) {
+      const scores = result.data.videos.map(video => video.feedScore);
+      const isRanked = scores.every((score, index) => index === 0 || scores[index - 1] >= score);
+      
+      if (!isRanked) {
+        console.log('❌ For You Feed is not sorted by feedScore');
+        return false;
+      }
+      
+      console.log(`✅ For You Feed Retrieved: ${result.data.videos.length} videos`);
+      return true;
+    } else {
+      console.log('❌ For You Feed Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ For You Feed Error:', error.message);
+    return false;
+  }
+}
+
+async function testTrending() {
+  console.log('\n🔥 Testing Trending...');
+  
+  try {
+    for (const kind of ['videos', 'articles', 'tags']) {
+      const result = await api(`/trending/${kind}?window=24h&limit=5`);
+      
+      if (result.status !== 200 || !Array.isArray(result.data.data?.items)) {
+        console.log(`❌ Trending ${kind} failed:`, result.data.message || 'Unknown error');
+        return false;
+      }
+      
+      console.log(`   ${kind}: ${result.data.data.items.length} items (computed at ${result.data.data.computedAt || 'never'})`);
+    }
+    
+    const invalidWindow = await api('/trending/videos?window=1y');
+    if (invalidWindow.status !== 400) {
+      console.log('❌ Invalid trending window was not rejected');
+      return false;
+    }
+    
+    console.log('✅ Trending Retrieved');
+    return true;
+  } catch (error) {
+    console.error('❌ Trending Error:', error.message);
+    return false;
+  }
+}
+
 async function testCategories() {
   console.log('\n🏷️ Testing Categories...');
   
@@ -169,7 +227,21 @@ async function testVideoStreaming() {
   console.log('\n🎬 Testing Video Streaming...');
   
   try {
-    const result = await api(`/videos/${testVideoId}/stream`, {
+    // Streams need the signed URL issued with the video details
+    const unsigned = await fetch(`${BASE_URL}/videos/${testVideoId}/stream`);
+    if (unsigned.status !== 403) {
+      console.log('❌ Unsigned stream request was not rejected');
+      return false;
+    }
+    
+    const details = await api(`/videos/${testVideoId}`);
+    const streamUrl = details.data.data?.stream?.url;
+    if (!streamUrl) {
+      console.log('❌ Video details did not include a stream URL');
+      return false;
+    }
+    
+    const result = await fetch(new URL(streamUrl, BASE_URL), {
       headers: {
         'Range': 'bytes=0-1023'
       }
@@ -186,7 +258,8 @@ async function testVideoStreaming() {
       
       return true;
     } else {
-      console.log('❌ Video Streaming Failed:', result.data.message || 'Unknown error');
+      const data = await result.json().catch(() => ({}));
+      console.log('❌ Video Streaming Failed:', data.message || 'Unknown error');
       return false;
     }
   } catch (error) {
@@ -236,6 +309,224 @@ async function testBookmarks() {
   }
 }
 
+async function testBookmarkCollections() {
+  if (!testVideoId || !authToken) {
+    console.log('\n🗂️  Skipping Bookmark Collections Test (no video ID or auth token)');
+    return false;
+  }
+  
+  console.log('\n🗂️  Testing Bookmark Collections...');
+  
+  try {
+    // Create an unlisted collection, which comes with a share link
+    const createResult = await api('/bookmark-collections', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: `API Collection ${Date.now()}`,
+        visibility: 'unlisted'
+      })
+    });
+    
+    if (createResult.status !== 201 || !createResult.data.data.collection.shareToken) {
+      console.log('❌ Collection Creation Failed:', createResult.data.message || 'No share token');
+      return false;
+    }
+    const collection = createResult.data.data.collection;
+    console.log(`✅ Collection Created: ${collection.name}`);
+    
+    // Save the test video into it
+    const bookmarkResult = await api(`/videos/${testVideoId}/bookmark`, {
+      method: 'POST',
+      body: JSON.stringify({ collectionId: collection._id })
+    });
+    const bookmark = bookmarkResult.data.bookmark;
+    if (!bookmark || bookmark.bookmarkCollection !== collection._id) {
+      console.log('❌ Bookmark Not Moved Into Collection');
+      return false;
+    }
+    console.log('✅ Bookmark Moved Into Collection');
+    
+    // Rename it and use the video as its cover
+    const updateResult = await api(`/bookmark-collections/${collection._id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name: `${collection.name} (renamed)`, coverVideo: testVideoId })
+    });
+    if (updateResult.status === 200 && updateResult.data.data.collection.coverVideo) {
+      console.log('✅ Collection Renamed With Cover');
+    } else {
+      console.log('❌ Collection Update Failed:', updateResult.data.message || 'Unknown error');
+    }
+    
+    // The share link is readable without a token
+    const savedToken = authToken;
+    authToken = null;
+    const sharedResult = await api(`/bookmark-collections/shared/${collection.shareToken}`);
+    const unlistedResult = await api(`/bookmark-collections/${collection._id}`);
+    authToken = savedToken;
+    
+    if (sharedResult.status === 200 && sharedResult.data.data.bookmarks.length === 1
+      && !sharedResult.data.data.collection.shareToken && unlistedResult.status === 404) {
+      console.log('✅ Share Link Is Read-Only And Unlisted Collection Is Hidden');
+    } else {
+      console.log('❌ Share Link Check Failed:', sharedResult.status, unlistedResult.status);
+    }
+    
+    // Making it private revokes the link
+    await api(`/bookmark-collections/${collection._id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ visibility: 'private' })
+    });
+    const revokedResult = await api(`/bookmark-collections/shared/${collection.shareToken}`);
+    console.log(revokedResult.status === 404 ? '✅ Share Link Revoked' : '❌ Share Link Still Works');
+    
+    // Deleting the collection moves the bookmark back to the default collection
+    const deleteResult = await api(`/bookmark-collections/${collection._id}`, { method: 'DELETE' });
+    const legacyResult = await api('/videos/user/bookmark-collections');
+    const defaultCollection = Array.isArray(legacyResult.data)
+      ? legacyResult.data.find(item => item._id === 'Default')
+      : null;
+    if (deleteResult.status === 204 && defaultCollection && defaultCollection.count > 0) {
+      console.log('✅ Collection Deleted, Bookmark Kept In Default');
+    } else {
+      console.log('❌ Collection Deletion Failed:', deleteResult.status);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('❌ Bookmark Collections Error:', error.message);
+    return false;
+  }
+}
+
+async function testViewCounting() {
+  if (!testVideoId) {
+    console.log('\n👁️  Skipping View Counting Test (no video ID found)');
+    return false;
+  }
+  
+  console.log('\n👁️  Testing View Counting...');
+  
+  try {
+    // The first report starts the clock
+    const start = await api(`/videos/${testVideoId}/views`, {
+      method: 'POST',
+      body: JSON.stringify({ watchedSeconds: 0 })
+    });
+    
+    if (start.status !== 200 || start.data.data?.counted !== false) {
+      console.log('❌ A view without watch time was counted');
+      return false;
+    }
+    
+    // Watch time beyond the time that passed is not credited
+    const tooFast = await api(`/videos/${testVideoId}/views`, {
+      method: 'POST',
+      body: JSON.stringify({ watchedSeconds: 60 })
+    });
+    
+    if (tooFast.status !== 200 || tooFast.data.data?.counted !== false) {
+      console.log('❌ A view reporting more watch time than passed was counted');
+      return false;
+    }
+    
+    // Wait out the default VIEW_MIN_WATCH_SECONDS
+    console.log('   Watching for 11 seconds...');
+    await new Promise(resolve => setTimeout(resolve, 11000));
+    
+    const first = await api(`/videos/${testVideoId}/views`, {
+      method: 'POST',
+      body: JSON.stringify({ watchedSeconds: 60 })
+    });
+    const second = await api(`/videos/${testVideoId}/views`, {
+      method: 'POST',
+      body: JSON.stringify({ watchedSeconds: 60 })
+    });
+    
+    if (first.status !== 200 || second.status !== 200) {
+      console.log('❌ Counting Views Failed:', first.data.message || second.data.message || 'Unknown error');
+      return false;
+    }
+    
+    // The first view may already have been counted by an earlier run
+    console.log(`   First view: ${first.data.data.counted ? 'counted' : first.data.data.reason}`);
+    if (second.data.data.counted) {
+      console.log('❌ The same viewer was counted twice');
+      return false;
+    }
+    
+    console.log('✅ Views Deduplicated');
+    return true;
+  } catch (error) {
+    console.error('❌ View Counting Error:', error.message);
+    return false;
+  }
+}
+
+async function testWatchHistory() {
+  if (!testVideoId || !authToken) {
+    console.log('\n⏯️  Skipping Watch History Test (no video ID or auth token)');
+    return false;
+  }
+  
+  console.log('\n⏯️  Testing Watch History...');
+  
+  try {
+    const progressResult = await api(`/videos/${testVideoId}/progress`, {
+      method: 'POST',
+      body: JSON.stringify({ position: 12, watchedSeconds: 12 })
+    });
+    
+    if (progressResult.status !== 200 || !progressResult.data.data?.recorded) {
+      console.log('❌ Recording Progress Failed:', progressResult.data.message || 'Unknown error');
+      return false;
+    }
+    
+    const resumeResult = await api(`/videos/${testVideoId}/progress`);
+    const { progress } = resumeResult.data.data || {};
+    if (resumeResult.status !== 200 || !progress) {
+      console.log('❌ Getting Progress Failed:', resumeResult.data.message || 'Unknown error');
+      return false;
+    }
+    console.log(`   Resume at: ${progress.resumePosition}s (${progress.progressPercent}% watched)`);
+    
+    const historyResult = await api('/videos/user/history');
+    const history = historyResult.data.data?.history || [];
+    if (!history.some(entry => entry.video._id === testVideoId)) {
+      console.log('❌ Video missing from watch history');
+      return false;
+    }
+    
+    const shelfResult = await api('/videos/user/continue-watching');
+    console.log(`   Continue watching: ${shelfResult.data.data?.videos?.length || 0} videos`);
+    
+    // Progress is not stored while history is paused
+    await api('/videos/user/history/pause', { method: 'PUT', body: JSON.stringify({ paused: true }) });
+    const pausedResult = await api(`/videos/${testVideoId}/progress`, {
+      method: 'POST',
+      body: JSON.stringify({ position: 20 })
+    });
+    await api('/videos/user/history/pause', { method: 'PUT', body: JSON.stringify({ paused: false }) });
+    
+    if (pausedResult.data.data?.recorded !== false) {
+      console.log('❌ Progress was recorded while history was paused');
+      return false;
+    }
+    
+    const removeResult = await api(`/videos/user/history/${testVideoId}`, { method: 'DELETE' });
+    if (removeResult.status !== 204) {
+      console.log('❌ Removing History Entry Failed:', removeResult.data?.message || 'Unknown error');
+      return false;
+    }
+    
+    console.log('✅ Watch History Working');
+    return true;
+  } catch (error) {
+    console.error('❌ Watch History Error:', error.message);
+    return false;
+  }
+}
+
 async function testVideoDetail() {
   if (!testVideoId) {
     console.log('\n📋 Skipping Video Detail Test (no video ID found)');
@@ -263,6 +554,54 @@ async function testVideoDetail() {
   }
 }
 
+async function testSearch() {
+  if (!testVideoTitle) {
+    console.log('\n🔎 Skipping Search Test (no video title found)');
+    return false;
+  }
+  
+  console.log('\n🔎 Testing Search...');
+  
+  try {
+    const query = encodeURIComponent(testVideoTitle);
+    const result = await api(`/search?q=${query}&type=video`);
+    
+    if (result.status !== 200 || !result.data.data?.results?.videos) {
+      console.log('❌ Search Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+    
+    const { items, pagination } = result.data.data.results.videos;
+    console.log(`   Found ${pagination.total} videos for "${testVideoTitle}"`);
+    
+    if (!items.some(video => video._id === testVideoId)) {
+      console.log('❌ Search did not return the video it was built from');
+      return false;
+    }
+    
+    const invalidType = await api(`/search?q=${query}&type=playlist`);
+    if (invalidType.status !== 400) {
+      console.log('❌ Invalid search type was not rejected');
+      return false;
+    }
+    
+    const prefix = encodeURIComponent(testVideoTitle.substring(0, 3));
+    const suggestions = await api(`/search/suggest?q=${prefix}`);
+    if (suggestions.status !== 200 || !Array.isArray(suggestions.data.data?.suggestions?.videos)) {
+      console.log('❌ Search suggestions failed:', suggestions.data.message || 'Unknown error');
+      return false;
+    }
+    
+    console.log('✅ Search Successful');
+    console.log(`   Title highlight: ${items[0].highlights.title}`);
+    console.log(`   Suggested videos: ${suggestions.data.data.suggestions.videos.map(video => video.text).join(', ')}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Search Error:', error.message);
+    return false;
+  }
+}
+
 // Run all tests
 async function runTests() {
   console.log('🧪 Starting Video API Tests 🧪');
@@ -275,26 +614,50 @@ async function runTests() {
     // Test video feed
     const feedSuccess = await testVideoFeed();
     
+    // Test ranked feed
+    const forYouSuccess = await testForYouFeed();
+    
+    // Test trending
+    const trendingSuccess = await testTrending();
+    
     // Test categories
     const categoriesSuccess = await testCategories();
     
     // Test video streaming
     const streamSuccess = await testVideoStreaming();
     
+    // Test view counting
+    const viewsSuccess = await testViewCounting();
+    
     // Test video detail
     const detailSuccess = await testVideoDetail();
     
+    // Test search (uses the first feed video's title)
+    const searchSuccess = await testSearch();
+    
     // Test bookmarks (requires auth and video ID)
     const bookmarksSuccess = await testBookmarks();
     
+    // Test bookmark collections (requires auth and video ID)
+    const bookmarkCollectionsSuccess = await testBookmarkCollections();
+    
+    // Test watch history (requires auth and video ID)
+    const watchHistorySuccess = await testWatchHistory();
+    
     // Summary
     console.log('\n📊 Test Summary:');
     console.log(`Authentication: ${loginSuccess ? '✅' : '❌'}`);
     console.log(`Video Feed: ${feedSuccess ? '✅' : '❌'}`);
+    console.log(`For You Feed: ${forYouSuccess ? '✅' : '❌'}`);
+    console.log(`Trending: ${trendingSuccess ? '✅' : '❌'}`);
     console.log(`Categories: ${categoriesSuccess ? '✅' : '❌'}`);
     console.log(`Video Streaming: ${streamSuccess ? '✅' : '❌'}`);
+    console.log(`View Counting: ${viewsSuccess ? '✅' : '❌'}`);
     console.log(`Video Detail: ${detailSuccess ? '✅' : '❌'}`);
+    console.log(`Search: ${searchSuccess ? '✅' : '❌'}`);
     console.log(`Bookmarks: ${bookmarksSuccess ? '✅' : '❌'}`);
+    console.log(`Bookmark Collections: ${bookmarkCollectionsSuccess ? '✅' : '❌'}`);
+    console.log(`Watch History: ${watchHistorySuccess ? '✅' : '❌'}`);
     
     console.log('\n🏁 Video API Tests Completed 🏁');
   } catch (error) {
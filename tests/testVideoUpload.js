@@ -12,6 +12,7 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 
 // Load environment variables
 dotenv.config();
@@ -23,6 +24,8 @@ const __dirname = path.dirname(__filename);
 // Configuration
 const BASE_URL = process.env.API_URL || 'http://localhost:9000/api';
 let authToken = null;
+let uploadedJobs = [];
+let uploadedVideoId = null;
 const TEST_EMAIL = `test-${uuidv4().substring(0, 8)}@example.com`;
 const TEST_PASSWORD = 'password123';
 
@@ -39,24 +42,19 @@ if (!fs.existsSync(videoDir)) {
 
 const testVideoPath = path.join(videoDir, 'test-video.mp4');
 if (!fs.existsSync(testVideoPath)) {
-  // Create a small valid MP4 file
-  console.log('Creating test video file...');
-  const sampleVideoBuffer = Buffer.from([
-    0x00, 0x00, 0x00, 0x18, 0x66, 0x74, 0x79, 0x70, 0x6D, 0x70, 0x34, 0x32,
-    0x00, 0x00, 0x00, 0x00, 0x6D, 0x70, 0x34, 0x32, 0x69, 0x73, 0x6F, 0x6D
-  ]);
-  fs.writeFileSync(testVideoPath, sampleVideoBuffer);
-  console.log(`Created test video at ${testVideoPath}`);
+  // Uploads are probed with ffprobe, so the test video must be a real, decodable clip
+  console.log('❌ Missing test video at', testVideoPath);
+  console.log('   Restore tests/test-assets/test-video.mp4 from git before running these tests');
+  process.exit(1);
 }
 
-const testLargeVideoPath = path.join(videoDir, 'test-large-video.mp4');
-if (!fs.existsSync(testLargeVideoPath)) {
-  // Create a larger test file (5MB)
-  console.log('Creating large test video file...');
+const testUndecodableVideoPath = path.join(videoDir, 'test-undecodable-video.mp4');
+if (!fs.existsSync(testUndecodableVideoPath)) {
+  // Create a 5MB file of zeros: valid MP4 mimetype, but not a decodable video
+  console.log('Creating undecodable test video file...');
   const buffer = Buffer.alloc(5 * 1024 * 1024); // 5MB buffer
-  buffer[0] = 0x00; // Just to make sure it's initialized with something
-  fs.writeFileSync(testLargeVideoPath, buffer);
-  console.log(`Created large test video at ${testLargeVideoPath}`);
+  fs.writeFileSync(testUndecodableVideoPath, buffer);
+  console.log(`Created undecodable test video at ${testUndecodableVideoPath}`);
 }
 
 const invalidFilePath = path.join(videoDir, 'invalid-file.txt');
@@ -199,6 +197,9 @@ async function testValidVideoUpload() {
       console.log(`   Video ID: ${result.data.data.video._id}`);
       console.log(`   Video Title: ${result.data.data.video.title}`);
       console.log(`   Video Path: ${result.data.data.video.videoFile}`);
+      console.log(`   Processing Status: ${result.data.data.video.processingStatus}`);
+      uploadedJobs = result.data.data.jobs || [];
+      uploadedVideoId = result.data.data.video._id;
       return true;
     } else {
       console.log('❌ Video Upload Failed:', (result.data.message || result.data.error) || 'Unknown error');
@@ -211,6 +212,541 @@ async function testValidVideoUpload() {
   }
 }
 
+async function testDuplicateUpload() {
+  console.log('\n👯 Testing Duplicate Upload Detection...');
+
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to duplicate');
+    return false;
+  }
+
+  try {
+    const formData = new FormData();
+    formData.append('video', fs.createReadStream(testVideoPath));
+    formData.append('title', 'Test Duplicate Upload');
+
+    const result = await api('/videos/upload', {
+      method: 'POST',
+      headers: formData.getHeaders(),
+      body: formData
+    });
+
+    // DUPLICATE_UPLOAD_POLICY=block rejects the identical file
+    if (result.status === 409) {
+      console.log('✅ Identical upload blocked:', result.data.message);
+      return true;
+    }
+    if (result.status !== 201 || !result.data.data?.warnings?.length) {
+      console.log('❌ Identical upload was not reported:', JSON.stringify(result.data, null, 2));
+      return false;
+    }
+
+    const duplicate = result.data.data.video;
+    console.log(`   Warning: ${result.data.data.warnings[0]}`);
+    console.log(`   Shares stored file: ${duplicate.videoFile}`);
+
+    // The shared file has to survive deleting the duplicate
+    await api(`/videos/${duplicate._id}`, { method: 'DELETE' });
+    const original = await api(`/videos/${uploadedVideoId}`);
+    const stream = original.data.data?.stream && await fetch(new URL(original.data.data.stream.url, BASE_URL), {
+      headers: { Authorization: `Bearer ${authToken}`, Range: 'bytes=0-99' }
+    });
+
+    if (stream && stream.status === 206) {
+      console.log('✅ Duplicate upload detected and shared file kept after deleting the duplicate');
+      return true;
+    }
+    console.log('❌ Original is not streamable after deleting the duplicate:', stream ? stream.status : original.status);
+    return false;
+  } catch (error) {
+    console.error('❌ Duplicate Upload Error:', error.message);
+    return false;
+  }
+}
+
+async function testJobStatus() {
+  console.log('\n⚙️ Testing Background Job Status...');
+  
+  if (uploadedJobs.length === 0) {
+    console.log('❌ No jobs were returned by the upload');
+    return false;
+  }
+  
+  try {
+    for (const job of uploadedJobs) {
+      const result = await api(`/jobs/${job.id}`);
+      
+      if (result.status !== 200 || !result.data.data?.job?.status) {
+        console.log(`❌ Job ${job.id} status lookup failed:`, result.data.message || 'Unknown error');
+        return false;
+      }
+      
+      console.log(`   ${job.type}: ${result.data.data.job.status} (attempts: ${result.data.data.job.attempts})`);
+    }
+    
+    console.log('✅ Job Status Lookup Successful');
+    return true;
+  } catch (error) {
+    console.error('❌ Job Status Error:', error.message);
+    return false;
+  }
+}
+
+async function testUpdateVideo() {
+  console.log('\n✏️ Testing Video Update...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to update');
+    return false;
+  }
+  
+  try {
+    const result = await api(`/videos/${uploadedVideoId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: 'Test Video Upload (edited)',
+        tags: ['test', 'edited'],
+        allowComments: false
+      })
+    });
+    
+    const video = result.data.data?.video;
+    if (result.status === 200 && video?.title === 'Test Video Upload (edited)' && video.allowComments === false) {
+      console.log('✅ Video Update Successful');
+      return true;
+    } else {
+      console.log('❌ Video Update Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Video Update Error:', error.message);
+    return false;
+  }
+}
+
+async function testScheduleVideo() {
+  console.log('\n⏰ Testing Scheduled Publishing...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to schedule');
+    return false;
+  }
+  
+  try {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const scheduled = await api(`/videos/${uploadedVideoId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ publishAt })
+    });
+    
+    if (scheduled.status !== 200 || scheduled.data.data?.video?.isPublished !== false) {
+      console.log('❌ Video Scheduling Failed:', scheduled.data.message || 'Unknown error');
+      return false;
+    }
+    
+    // Anonymous requests must not see the video before publishAt
+    const [details, stream] = await Promise.all([
+      fetch(`${BASE_URL}/videos/${uploadedVideoId}`),
+      fetch(`${BASE_URL}/videos/${uploadedVideoId}/stream`)
+    ]);
+    if (details.status === 200 || stream.status === 200 || stream.status === 206) {
+      console.log('❌ Scheduled video is available before its publishAt');
+      return false;
+    }
+    
+    // Publishing right away cancels the schedule
+    const published = await api(`/videos/${uploadedVideoId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ isPublished: true })
+    });
+    if (published.status !== 200 || !published.data.data?.video?.isPublished || published.data.data.video.publishAt) {
+      console.log('❌ Publishing the scheduled video failed:', published.data.message || 'Unknown error');
+      return false;
+    }
+    
+    console.log('✅ Scheduled Publishing Successful');
+    return true;
+  } catch (error) {
+    console.error('❌ Scheduled Publishing Error:', error.message);
+    return false;
+  }
+}
+
+async function testVideoVisibility() {
+  console.log('\n🔒 Testing Video Visibility...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to change visibility of');
+    return false;
+  }
+  
+  const setVisibility = (visibility) => api(`/videos/${uploadedVideoId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ visibility })
+  });
+  
+  try {
+    const invalid = await setVisibility('secret');
+    if (invalid.status !== 400) {
+      console.log('❌ Unknown visibility was not rejected');
+      return false;
+    }
+    
+    // Unlisted videos open from their link but are not listed
+    const unlisted = await setVisibility('unlisted');
+    if (unlisted.status !== 200 || unlisted.data.data?.video?.visibility !== 'unlisted') {
+      console.log('❌ Making the video unlisted failed:', unlisted.data.message || 'Unknown error');
+      return false;
+    }
+    const [direct, listing] = await Promise.all([
+      fetch(`${BASE_URL}/videos/${uploadedVideoId}`),
+      fetch(`${BASE_URL}/videos?limit=50`).then(response => response.json())
+    ]);
+    if (direct.status !== 200 || (listing.data?.videos || []).some(video => video._id === uploadedVideoId)) {
+      console.log('❌ Unlisted video is not reachable by link only');
+      return false;
+    }
+    
+    // Private videos are only visible to their creator
+    await setVisibility('private');
+    const [anonymous, owner] = await Promise.all([
+      fetch(`${BASE_URL}/videos/${uploadedVideoId}`),
+      api(`/videos/${uploadedVideoId}`)
+    ]);
+    if (anonymous.status !== 404 || owner.status !== 200) {
+      console.log('❌ Private video is not limited to its creator');
+      return false;
+    }
+    
+    const restored = await setVisibility('public');
+    if (restored.status !== 200) {
+      console.log('❌ Making the video public again failed:', restored.data.message || 'Unknown error');
+      return false;
+    }
+    
+    console.log('✅ Video Visibility Successful');
+    return true;
+  } catch (error) {
+    console.error('❌ Video Visibility Error:', error.message);
+    return false;
+  }
+}
+
+async function testVideoAnalytics() {
+  console.log('\n📈 Testing Video Analytics...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to get analytics for');
+    return false;
+  }
+  
+  try {
+    const result = await api(`/videos/${uploadedVideoId}/analytics?from=2024-01-01&to=2024-01-07`);
+    const analytics = result.data.data;
+    
+    if (result.status !== 200 || analytics?.daily?.length !== 7 || !Array.isArray(analytics.retention)) {
+      console.log('❌ Video Analytics Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+    
+    // Viewers returning on several days are counted once
+    const { uniqueViewers, dailyUniqueViewers } = analytics.totals;
+    if (typeof uniqueViewers !== 'number' || uniqueViewers > dailyUniqueViewers) {
+      console.log('❌ Unique viewers exceed the summed daily unique viewers:', uniqueViewers, dailyUniqueViewers);
+      return false;
+    }
+    
+    const invalidRange = await api(`/videos/${uploadedVideoId}/analytics?from=2024-02-01&to=2024-01-01`);
+    if (invalidRange.status !== 400) {
+      console.log('❌ Reversed date range was not rejected');
+      return false;
+    }
+    
+    console.log('✅ Video Analytics Retrieved');
+    console.log(`   Views in range: ${analytics.totals.views}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Video Analytics Error:', error.message);
+    return false;
+  }
+}
+
+async function testCreatorAnalytics() {
+  console.log('\n📊 Testing Creator Analytics...');
+  
+  try {
+    const result = await api('/profile/me/analytics?from=2024-01-01&to=2024-01-07');
+    
+    if (result.status !== 200 || result.data.data?.daily?.length !== 7) {
+      console.log('❌ Creator Analytics Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+    
+    const csv = await api('/profile/me/analytics?from=2024-01-01&to=2024-01-07&format=csv');
+    const lines = typeof csv.data === 'string' ? csv.data.split('\r\n') : [];
+    
+    if (csv.status !== 200 || !lines[0]?.startsWith('Date,') || lines.length !== 8) {
+      console.log('❌ Creator Analytics CSV Export Failed');
+      return false;
+    }
+    
+    console.log('✅ Creator Analytics Retrieved');
+    console.log(`   Videos: ${result.data.data.lifetime.videos}, followers: ${result.data.data.totals.followers}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Creator Analytics Error:', error.message);
+    return false;
+  }
+}
+
+async function testPlaylists() {
+  console.log('\n📚 Testing Playlists...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to add to a playlist');
+    return false;
+  }
+  
+  try {
+    const create = await api('/playlists', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Test Series', kind: 'series', videos: [uploadedVideoId] })
+    });
+    const playlistId = create.data.data?.playlist?._id;
+    
+    if (create.status !== 201 || !playlistId) {
+      console.log('❌ Playlist Creation Failed:', create.data.message || 'Unknown error');
+      return false;
+    }
+    
+    const reorder = await api(`/playlists/${playlistId}/videos`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ videoIds: [] })
+    });
+    if (reorder.status !== 400) {
+      console.log('❌ Incomplete reorder was not rejected');
+      return false;
+    }
+    
+    const video = await api(`/videos/${uploadedVideoId}?playlist=${playlistId}`);
+    const series = video.data.data?.series;
+    if (series?.playlist?._id !== playlistId || series.position !== 1) {
+      console.log('❌ Video does not point to its playlist');
+      return false;
+    }
+    
+    const remove = await api(`/playlists/${playlistId}`, { method: 'DELETE' });
+    if (remove.status !== 204) {
+      console.log('❌ Playlist Delete Failed');
+      return false;
+    }
+    
+    console.log('✅ Playlists Working');
+    return true;
+  } catch (error) {
+    console.error('❌ Playlists Error:', error.message);
+    return false;
+  }
+}
+
+async function testCaptions() {
+  console.log('\n💬 Testing Captions...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to add captions to');
+    return false;
+  }
+  
+  const uploadCaption = (fileName, content, language) => {
+    const formData = new FormData();
+    formData.append('caption', Buffer.from(content), { filename: fileName });
+    formData.append('language', language);
+    return api(`/videos/${uploadedVideoId}/captions`, {
+      method: 'POST',
+      headers: formData.getHeaders(),
+      body: formData
+    });
+  };
+  
+  try {
+    // SRT is converted to WebVTT
+    const upload = await uploadCaption('captions.srt', '1\n00:00:00,000 --> 00:00:01,000\nHello\n', 'en');
+    if (upload.status !== 201 || upload.data.data?.caption?.sourceFormat !== 'srt') {
+      console.log('❌ Caption Upload Failed:', upload.data.message || 'Unknown error');
+      return false;
+    }
+    
+    // Cues that end before they start are rejected
+    const invalid = await uploadCaption('bad.vtt', 'WEBVTT\n\n00:00:02.000 --> 00:00:01.000\nBackwards\n', 'fr');
+    if (invalid.status !== 400) {
+      console.log('❌ Invalid cue timing was not rejected');
+      return false;
+    }
+    
+    const track = await api(`/videos/${uploadedVideoId}/captions/en`);
+    if (!track.headers.get('content-type')?.startsWith('text/vtt') || !track.data.startsWith('WEBVTT')) {
+      console.log('❌ Caption track is not served as WebVTT');
+      return false;
+    }
+    
+    const video = await api(`/videos/${uploadedVideoId}`);
+    if (!video.data.data?.video?.captions?.some(caption => caption.language === 'en')) {
+      console.log('❌ Video does not list its captions');
+      return false;
+    }
+    
+    console.log('✅ Captions Working');
+    return true;
+  } catch (error) {
+    console.error('❌ Captions Error:', error.message);
+    return false;
+  }
+}
+
+async function testTranscript() {
+  console.log('\n📝 Testing Transcript...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to read the transcript of');
+    return false;
+  }
+  
+  try {
+    const result = await api(`/videos/${uploadedVideoId}/transcript`);
+    const transcript = result.data.data?.transcript;
+    
+    if (result.status !== 200 || !['none', 'pending', 'processing', 'ready', 'failed'].includes(transcript?.status)) {
+      console.log('❌ Transcript Lookup Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+    
+    // Run the server with TRANSCRIPTION_PROVIDER=stub to get a transcript without an API key
+    console.log(`✅ Transcript Status: ${transcript.status}${transcript.text ? ` (${transcript.text.length} characters)` : ''}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Transcript Error:', error.message);
+    return false;
+  }
+}
+
+async function testSelectThumbnail() {
+  console.log('\n🖼️ Testing Thumbnail Selection...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to pick a thumbnail for');
+    return false;
+  }
+  
+  try {
+    const lookup = await api(`/videos/${uploadedVideoId}`);
+    const video = lookup.data.data?.video || {};
+    const candidates = video.thumbnailCandidates || [];
+    
+    const result = await api(`/videos/${uploadedVideoId}/thumbnail`, {
+      method: 'PUT',
+      body: JSON.stringify({ candidate: candidates.length - 1 })
+    });
+    
+    // Candidates are extracted by the job worker, so they may not exist yet
+    if (candidates.length === 0) {
+      if (result.status === 409) {
+        console.log('✅ Thumbnail Candidates Not Generated Yet');
+        return true;
+      }
+      console.log('❌ Expected 409 before candidates exist, got', result.status);
+      return false;
+    }
+    
+    if (result.status === 200 && result.data.data?.video?.thumbnail !== video.thumbnail) {
+      console.log(`✅ Thumbnail Selected: ${result.data.data.video.thumbnail}`);
+      return true;
+    }
+    console.log('❌ Thumbnail Selection Failed:', result.data.message || 'Unknown error');
+    return false;
+  } catch (error) {
+    console.error('❌ Thumbnail Selection Error:', error.message);
+    return false;
+  }
+}
+
+async function testReplaceVideoFile() {
+  console.log('\n🔁 Testing Video File Replacement and Storyboard...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to replace the file of');
+    return false;
+  }
+  
+  try {
+    const formData = new FormData();
+    formData.append('video', fs.createReadStream(testVideoPath));
+    
+    const result = await api(`/videos/${uploadedVideoId}/file`, {
+      method: 'PUT',
+      headers: formData.getHeaders(),
+      body: formData
+    });
+    
+    const jobTypes = (result.data.data?.jobs || []).map(job => job.type);
+    if (result.status !== 202 || !jobTypes.includes('video:storyboard')) {
+      console.log('❌ Video File Replacement Failed:', (result.data.message || result.data.error) || 'Unknown error');
+      return false;
+    }
+    console.log(`✅ Video File Replaced, queued: ${jobTypes.join(', ')}`);
+    
+    // The storyboard is only served once the job worker has generated it
+    const storyboard = await api(`/videos/${uploadedVideoId}/storyboard.vtt`);
+    if (storyboard.status === 200 && storyboard.data.startsWith('WEBVTT')) {
+      console.log('✅ Storyboard Track Available');
+    } else if (storyboard.status === 404) {
+      console.log('✅ Storyboard Not Generated Yet');
+    } else {
+      console.log('❌ Unexpected Storyboard Response:', storyboard.status);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Video File Replacement Error:', error.message);
+    return false;
+  }
+}
+
+async function testDeleteVideo() {
+  console.log('\n🗑️ Testing Video Delete...');
+  
+  if (!uploadedVideoId) {
+    console.log('❌ No uploaded video to delete');
+    return false;
+  }
+  
+  try {
+    const result = await api(`/videos/${uploadedVideoId}`, { method: 'DELETE' });
+    
+    if (result.status !== 204) {
+      console.log('❌ Video Delete Failed:', result.data.message || 'Unknown error');
+      return false;
+    }
+    
+    const lookup = await api(`/videos/${uploadedVideoId}`);
+    if (lookup.status === 404) {
+      console.log('✅ Video Delete Successful');
+      return true;
+    } else {
+      console.log('❌ Deleted video is still returned');
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Video Delete Error:', error.message);
+    return false;
+  }
+}
+
 async function testInvalidVideoTypeUpload() {
   console.log('\n📤 Testing Invalid Video Type Upload...');
   
@@ -318,8 +854,8 @@ async function testNoFileUpload() {
   }
 }
 
-async function testLargeVideoUpload() {
-  console.log('\n📤 Testing Large Video Upload...');
+async function testUndecodableVideoUpload() {
+  console.log('\n📤 Testing Undecodable Video Upload...');
   
   if (!authToken) {
     console.log('❌ Authentication required for upload test');
@@ -328,9 +864,12 @@ async function testLargeVideoUpload() {
   
   try {
     const formData = new FormData();
-    formData.append('video', fs.createReadStream(testLargeVideoPath));
-    formData.append('title', 'Large Video Upload Test');
-    formData.append('description', 'Testing upload of a larger video file');
+    formData.append('video', fs.createReadStream(testUndecodableVideoPath), {
+      filename: 'test-undecodable-video.mp4',
+      contentType: 'video/mp4'
+    });
+    formData.append('title', 'Undecodable Video Upload Test');
+    formData.append('description', 'A file with a video mimetype that ffprobe cannot decode');
     
     const result = await api('/videos/upload', {
       method: 'POST',
@@ -338,18 +877,112 @@ async function testLargeVideoUpload() {
       body: formData
     });
     
-    if (result.status === 201 && result.data.status === 'success' && result.data.data?.video) {
-      console.log('✅ Large Video Upload Successful');
-      console.log(`   Video ID: ${result.data.data.video._id}`);
-      console.log(`   Video Size: ~5MB`);
+    if (result.status === 400) {
+      console.log('✅ Undecodable Video Rejection Successful');
+      console.log(`   Error Message: ${result.data.message || result.data.error}`);
       return true;
     } else {
-      console.log('❌ Large Video Upload Failed:', (result.data.message || result.data.error) || 'Unknown error');
+      console.log('❌ Undecodable Video Rejection Failed: Expected 400 status code');
       console.log('Response:', JSON.stringify(result.data, null, 2));
       return false;
     }
   } catch (error) {
-    console.error('❌ Large Video Upload Error:', error.message);
+    console.error('❌ Undecodable Video Upload Error:', error.message);
+    return false;
+  }
+}
+
+async function testResumableUpload() {
+  console.log('\n📤 Testing Resumable Video Upload...');
+  
+  if (!authToken) {
+    console.log('❌ Authentication required for upload test');
+    return false;
+  }
+  
+  try {
+    const fileBuffer = fs.readFileSync(testVideoPath);
+    const half = Math.floor(fileBuffer.length / 2);
+    
+    const init = await api('/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: 'test-video.mp4',
+        mimeType: 'video/mp4',
+        size: fileBuffer.length,
+        checksum: crypto.createHash('sha256').update(fileBuffer).digest('hex')
+      })
+    });
+    
+    if (init.status !== 201 || !init.data.data?.uploadId) {
+      console.log('❌ Resumable Upload Init Failed:', init.data.message || 'Unknown error');
+      return false;
+    }
+    
+    const uploadId = init.data.data.uploadId;
+    const sendChunk = (start, end) => api(`/uploads/${uploadId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(start),
+        'Upload-Checksum': `sha256 ${crypto.createHash('sha256').update(fileBuffer.subarray(start, end)).digest('base64')}`
+      },
+      body: fileBuffer.subarray(start, end)
+    });
+    
+    const first = await sendChunk(0, half);
+    if (first.status !== 200) {
+      console.log('❌ First chunk was rejected');
+      return false;
+    }
+    
+    // Resending the same chunk, as a client would after a lost response, must not duplicate data
+    const duplicate = await sendChunk(0, half);
+    if (duplicate.status !== 409 || duplicate.headers.get('upload-offset') !== String(half)) {
+      console.log('❌ Duplicate chunk was not rejected with the current offset');
+      return false;
+    }
+    
+    const status = await api(`/uploads/${uploadId}`);
+    const resumeOffset = parseInt(status.headers.get('upload-offset'), 10);
+    
+    const second = await sendChunk(resumeOffset, fileBuffer.length);
+    if (second.status !== 200 || !second.data.data?.complete) {
+      console.log('❌ Final chunk was rejected');
+      return false;
+    }
+    
+    // Invalid details must not cost the received file
+    const invalid = await api(`/uploads/${uploadId}/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: 'Test Resumable Upload', tags: '[not json' })
+    });
+    if (invalid.status !== 400) {
+      console.log('❌ Invalid tags were not rejected with 400:', invalid.status);
+      return false;
+    }
+    
+    const complete = await api(`/uploads/${uploadId}/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: 'Test Resumable Upload',
+        description: 'This is a test video uploaded in chunks'
+      })
+    });
+    
+    if (complete.status === 201 && complete.data.data?.video) {
+      console.log('✅ Resumable Upload Successful');
+      console.log(`   Video ID: ${complete.data.data.video._id}`);
+      return true;
+    } else {
+      console.log('❌ Resumable Upload Completion Failed:', complete.data.message || 'Unknown error');
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Resumable Upload Error:', error.message);
     return false;
   }
 }
@@ -368,10 +1001,24 @@ async function runTests() {
   if (testResults.register) {
     // Run upload tests
     testResults.validUpload = await testValidVideoUpload();
+    testResults.jobStatus = await testJobStatus();
+    testResults.duplicateUpload = await testDuplicateUpload();
     testResults.invalidTypeUpload = await testInvalidVideoTypeUpload();
     testResults.missingTitleUpload = await testMissingTitleUpload();
     testResults.noFileUpload = await testNoFileUpload();
-    testResults.largeVideoUpload = await testLargeVideoUpload();
+    testResults.undecodableVideoUpload = await testUndecodableVideoUpload();
+    testResults.resumableUpload = await testResumableUpload();
+    testResults.updateVideo = await testUpdateVideo();
+    testResults.scheduleVideo = await testScheduleVideo();
+    testResults.videoVisibility = await testVideoVisibility();
+    testResults.videoAnalytics = await testVideoAnalytics();
+    testResults.creatorAnalytics = await testCreatorAnalytics();
+    testResults.playlists = await testPlaylists();
+    testResults.captions = await testCaptions();
+    testResults.transcript = await testTranscript();
+    testResults.selectThumbnail = await testSelectThumbnail();
+    testResults.replaceVideoFile = await testReplaceVideoFile();
+    testResults.deleteVideo = await testDeleteVideo();
   } else {
     // Try login
     testResults.login = await testLogin();
@@ -379,10 +1026,24 @@ async function runTests() {
     if (testResults.login) {
       // Run upload tests
       testResults.validUpload = await testValidVideoUpload();
+      testResults.jobStatus = await testJobStatus();
+      testResults.duplicateUpload = await testDuplicateUpload();
       testResults.invalidTypeUpload = await testInvalidVideoTypeUpload();
       testResults.missingTitleUpload = await testMissingTitleUpload();
       testResults.noFileUpload = await testNoFileUpload();
-      testResults.largeVideoUpload = await testLargeVideoUpload();
+      testResults.undecodableVideoUpload = await testUndecodableVideoUpload();
+      testResults.resumableUpload = await testResumableUpload();
+      testResults.updateVideo = await testUpdateVideo();
+      testResults.scheduleVideo = await testScheduleVideo();
+      testResults.videoVisibility = await testVideoVisibility();
+      testResults.videoAnalytics = await testVideoAnalytics();
+      testResults.creatorAnalytics = await testCreatorAnalytics();
+      testResults.playlists = await testPlaylists();
+      testResults.captions = await testCaptions();
+      testResults.transcript = await testTranscript();
+      testResults.selectThumbnail = await testSelectThumbnail();
+      testResults.replaceVideoFile = await testReplaceVideoFile();
+      testResults.deleteVideo = await testDeleteVideo();
     }
   }
   
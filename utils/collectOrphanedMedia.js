@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { reconcileMedia, MEDIA_GC_CONFIG } from '../services/mediaGcService.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Report media files no record points to and records pointing to missing files.
+ *
+ * Usage: npm run gc:media -- [--quarantine | --delete] [--dry-run]
+ *   (no flag)     Report only
+ *   --quarantine  Move orphans to uploads/quarantine/<run>/ for review
+ *   --delete      Delete orphans
+ *   --dry-run     With --quarantine or --delete, list the orphans without touching them
+ */
+async function collectOrphanedMedia() {
+  const args = process.argv.slice(2);
+  const action = args.includes('--delete') ? 'delete' : args.includes('--quarantine') ? 'quarantine' : 'report';
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is required');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const report = await reconcileMedia({ action, dryRun });
+
+    console.log(`Orphans (not modified in the last ${MEDIA_GC_CONFIG.GRACE_HOURS} hours):`);
+    report.orphans.forEach(orphan => {
+      console.log(`  ${orphan.area}/${orphan.name} (${orphan.type}, ${orphan.size} bytes)`);
+    });
+    console.log('Dangling references:');
+    report.danglingReferences.forEach(reference => {
+      console.log(`  ${reference.model} ${reference.id} ${reference.field}: ${reference.value}`);
+    });
+    report.failed.forEach(failure => {
+      console.warn(`Could not ${action} ${failure.area}/${failure.name}: ${failure.error}`);
+    });
+
+    console.log(`${report.orphans.length} orphans (${report.orphanedBytes} bytes), ${report.danglingReferences.length} dangling references`);
+    if (report.dryRun) {
+      console.log(action === 'report' ? 'Nothing changed' : `Dry run: nothing was ${action === 'delete' ? 'deleted' : 'quarantined'}`);
+    } else {
+      console.log(`${action === 'delete' ? 'Deleted' : 'Quarantined'} ${report.processed} orphans${report.quarantineDir ? ` into ${report.quarantineDir}` : ''}`);
+    }
+
+    process.exit(report.failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error collecting orphaned media:', error);
+    process.exit(1);
+  }
+}
+
+collectOrphanedMedia();
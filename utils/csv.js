@@ -0,0 +1,21 @@
+/**
+ * Quote a value for a CSV cell when needed
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document with a header row
+ * @param {Array<{key: string, label: string}>} columns - Columns in order
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => [
+  columns.map(column => escapeCsvValue(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+].join('\r\n');
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { STORAGE_AREAS, getLocalDir } from '../services/storageService.js';
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -10,7 +11,7 @@ const __dirname = path.dirname(__filename);
  * Ensures that the profiles directory exists for storing profile pictures
  */
 export const ensureProfilesDirExists = () => {
-  const profilesDir = path.join(__dirname, '..', 'uploads', 'profiles');
+  const profilesDir = getLocalDir(STORAGE_AREAS.PROFILES);
   const defaultProfilePath = path.join(profilesDir, 'default-profile.png');
 
   // Create profiles directory if it doesn't exist
@@ -35,7 +36,7 @@ export const ensureProfilesDirExists = () => {
 
 // Ensure featured images directory exists
 export const ensureFeaturedImagesDirExists = () => {
-  const featuredImagesDir = path.join(__dirname, '../uploads/featured-images');
+  const featuredImagesDir = getLocalDir(STORAGE_AREAS.FEATURED_IMAGES);
   if (!fs.existsSync(featuredImagesDir)) {
     fs.mkdirSync(featuredImagesDir, { recursive: true });
   }
@@ -46,4 +47,17 @@ export const ensureDirectoryExists = (dirPath) => {
   if (!fs.existsSync(dirPath)) {
     fs.mkdirSync(dirPath, { recursive: true });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Delete a file if it exists
+ * @param {string} filePath - Full path to the file
+ * @returns {boolean} - Whether a file was deleted
+ */
+export const removeFileIfExists = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    return true;
+  }
+  return false;
+};
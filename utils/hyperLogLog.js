@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+
+// HyperLogLog sketch for counting distinct values approximately in a fixed
+// amount of space. A sketch is a map of register index to register value;
+// missing registers are 0. 2^10 registers give a standard error of about 3%.
+const PRECISION = 10;
+export const HLL_REGISTER_COUNT = 1 << PRECISION;
+
+/**
+ * Register a value falls into and the value it sets there
+ * @param {string} value - Value to count, e.g. a viewer key
+ * @returns {{index: number, rank: number}} - rank is the position of the first set bit
+ */
+export const getRegisterUpdate = (value) => {
+  const hash = crypto.createHash('sha256').update(value).digest();
+  const high = hash.readUInt32BE(0);
+  const index = high >>> (32 - PRECISION);
+  // The next 32 bits are enough for any realistic number of values
+  const rest = hash.readUInt32BE(4);
+  return { index, rank: Math.clz32(rest) + 1 };
+};
+
+/**
+ * Combine sketches into the sketch of all their values
+ * @param {Array<Object>} sketches - Register index to value, missing ones ignored
+ * @returns {Array<number>} - Every register
+ */
+export const mergeSketches = (sketches) => {
+  const registers = new Array(HLL_REGISTER_COUNT).fill(0);
+  sketches.filter(Boolean).forEach(sketch => {
+    Object.entries(sketch).forEach(([index, rank]) => {
+      registers[index] = Math.max(registers[index] || 0, rank);
+    });
+  });
+  return registers;
+};
+
+/**
+ * Estimate the number of distinct values in merged registers
+ * @param {Array<number>} registers - Result of mergeSketches
+ * @returns {number}
+ */
+export const estimateCardinality = (registers) => {
+  const m = HLL_REGISTER_COUNT;
+  const alpha = 0.7213 / (1 + 1.079 / m);
+  const sum = registers.reduce((total, rank) => total + Math.pow(2, -rank), 0);
+  const estimate = (alpha * m * m) / sum;
+
+  // Small counts are estimated more precisely from the empty registers
+  const empty = registers.filter(rank => rank === 0).length;
+  if (estimate <= 2.5 * m && empty > 0) {
+    return Math.round(m * Math.log(m / empty));
+  }
+  return Math.round(estimate);
+};
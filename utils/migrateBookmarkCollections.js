@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { migrateLegacyCollections } from '../services/bookmarkCollectionService.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Create BookmarkCollection documents for bookmarks saved with only a collectionName.
+ * Users who are not migrated here are migrated the first time they list their collections.
+ */
+async function migrateBookmarkCollections() {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is required');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const { collections, bookmarks } = await migrateLegacyCollections();
+    console.log(`Linked ${bookmarks} bookmarks to ${collections} collections`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating bookmark collections:', error);
+    process.exit(1);
+  }
+}
+
+migrateBookmarkCollections();
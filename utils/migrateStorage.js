@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { STORAGE_AREAS, STORAGE_DRIVER, getLocalDir, getContentType } from '../services/storageService.js';
+import { putObjectFromFile, headObject } from '../services/s3Storage.js';
+
+// Load environment variables
+dotenv.config();
+
+// Default images are always served from uploads/
+const LOCAL_ONLY_FILES = ['default-profile.png', 'default-thumbnail.png'];
+
+/**
+ * Copy media files from uploads/ to the configured S3-compatible bucket.
+ * Files already stored with the same size are skipped, so the migration can be re-run.
+ *
+ * Usage: npm run migrate:storage -- [--dry-run] [--delete-local]
+ *   --dry-run       List the files that would be uploaded
+ *   --delete-local  Delete each local file once the stored copy is verified
+ */
+async function migrateStorage() {
+  const dryRun = process.argv.includes('--dry-run');
+  const deleteLocal = process.argv.includes('--delete-local');
+
+  try {
+    if (STORAGE_DRIVER !== 's3') {
+      throw new Error('Set STORAGE_DRIVER=s3 and the S3_* variables before migrating');
+    }
+
+    const totals = { uploaded: 0, skipped: 0, deleted: 0 };
+
+    for (const area of Object.values(STORAGE_AREAS)) {
+      const dir = getLocalDir(area);
+      if (!fs.existsSync(dir)) continue;
+
+      // Sub-directories (e.g. thumbnail candidates) and partial uploads stay local
+      const files = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.endsWith('.part') && !LOCAL_ONLY_FILES.includes(entry.name))
+        .map(entry => entry.name);
+
+      for (const fileName of files) {
+        const filePath = path.join(dir, fileName);
+        const key = `${area}/${fileName}`;
+        const { size } = fs.statSync(filePath);
+        const stored = await headObject(key);
+
+        if (stored && stored.size === size) {
+          totals.skipped++;
+        } else if (dryRun) {
+          console.log(`Would upload ${key} (${size} bytes)`);
+          totals.uploaded++;
+          continue;
+        } else {
+          await putObjectFromFile(key, filePath, getContentType(fileName));
+          console.log(`Uploaded ${key}`);
+          totals.uploaded++;
+        }
+
+        if (deleteLocal && !dryRun) {
+          const verified = await headObject(key);
+          if (verified && verified.size === size) {
+            fs.unlinkSync(filePath);
+            totals.deleted++;
+          } else {
+            console.warn(`Kept ${filePath}: stored copy could not be verified`);
+          }
+        }
+      }
+    }
+
+    console.log(`${dryRun ? 'Would upload' : 'Uploaded'} ${totals.uploaded} files, ${totals.skipped} already stored, ${totals.deleted} local copies deleted`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating media storage:', error);
+    process.exit(1);
+  }
+}
+
+migrateStorage();
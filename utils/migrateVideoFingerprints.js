@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Video from '../models/videoModel.js';
+import Job from '../models/jobModel.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { JOB_TYPES } from '../services/videoProcessingJobs.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Queue fingerprint jobs for videos uploaded before duplicate detection, so
+ * new uploads are compared with them. The jobs run in the server's job worker.
+ */
+async function migrateVideoFingerprints() {
+  try {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is required');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const videos = await Video.find({ 'fingerprint.computedAt': { $exists: false } }).select('creator');
+    let queued = 0;
+
+    for (const video of videos) {
+      // Re-running the migration must not queue a second job
+      const pending = await Job.exists({
+        type: JOB_TYPES.FINGERPRINT,
+        video: video._id,
+        status: { $in: ['queued', 'running'] }
+      });
+      if (pending) continue;
+
+      await enqueueJob(
+        JOB_TYPES.FINGERPRINT,
+        { videoId: video._id.toString() },
+        { owner: video.creator, video: video._id }
+      );
+      queued++;
+    }
+
+    console.log(`Queued fingerprint jobs for ${queued} of ${videos.length} videos`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error queueing video fingerprints:', error);
+    process.exit(1);
+  }
+}
+
+migrateVideoFingerprints();
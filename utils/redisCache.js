@@ -126,4 +126,88 @@ export const closeRedis = async () => {
     await redisClient.quit();
     console.log('Redis connection closed');
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Set a key only if it does not exist yet
+ * @param {string} key - Key to set
+ * @param {number} ttl - Time to live in seconds
+ * @returns {Promise<boolean|null>} - true if the key was set, false if it existed,
+ *   null if Redis is unavailable
+ */
+export const setIfAbsent = async (key, ttl) => {
+  if (!redisClient || !CACHE_ENABLED) return null;
+
+  try {
+    const result = await redisClient.set(key, '1', { NX: true, EX: ttl });
+    return result === 'OK';
+  } catch (error) {
+    console.error('Redis set error:', error);
+    return null;
+  }
+};
+
+/**
+ * Increment a counter, starting it with a time to live
+ * @param {string} key - Counter key
+ * @param {number} ttl - Time to live in seconds, set when the counter is created
+ * @returns {Promise<number|null>} - New value, or null if Redis is unavailable
+ */
+export const incrementCounter = async (key, ttl) => {
+  if (!redisClient || !CACHE_ENABLED) return null;
+
+  try {
+    const value = await redisClient.incr(key);
+    if (value === 1) {
+      await redisClient.expire(key, ttl);
+    }
+    return value;
+  } catch (error) {
+    console.error('Redis increment error:', error);
+    return null;
+  }
+};
+
+/**
+ * Increment a field of a hash
+ * @param {string} key - Hash key
+ * @param {string} field - Field to increment
+ * @param {number} amount - Increment
+ * @returns {Promise<boolean>} - Success status
+ */
+export const incrementHashField = async (key, field, amount = 1) => {
+  if (!redisClient || !CACHE_ENABLED) return false;
+
+  try {
+    await redisClient.hIncrBy(key, field, amount);
+    return true;
+  } catch (error) {
+    console.error('Redis increment error:', error);
+    return false;
+  }
+};
+
+/**
+ * Move a hash to claimKey and return its fields, so new increments go to a
+ * fresh hash while the claimed one is processed. A batch left in claimKey by
+ * an interrupted run is returned again instead. Delete claimKey once processed.
+ * @param {string} key - Hash key
+ * @param {string} claimKey - Key holding the batch being processed
+ * @returns {Promise<Object|null>} - Fields of the claimed hash, or null on failure
+ */
+export const claimHash = async (key, claimKey) => {
+  if (!redisClient || !CACHE_ENABLED) return null;
+
+  try {
+    if (!(await redisClient.exists(claimKey))) {
+      // RENAMENX fails when the source does not exist, i.e. nothing is pending
+      const hasPending = await redisClient.exists(key);
+      if (!hasPending) return {};
+      await redisClient.renameNX(key, claimKey);
+    }
+    return await redisClient.hGetAll(claimKey);
+  } catch (error) {
+    console.error('Redis claim error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,84 @@
+// Default length of a highlighted snippet in characters
+const DEFAULT_SNIPPET_LENGTH = 160;
+
+// Terms shorter than this are ignored when highlighting
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape HTML so snippets can be rendered with their <mark> tags
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split a search query into the terms to highlight.
+ * Negated terms ("-word") are dropped, quoted phrases are split into words
+ * and punctuation is stripped.
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Lowercased unique terms
+ */
+export const getSearchTerms = (query) => {
+  const terms = query
+    .split(/\s+/)
+    .filter(term => !term.startsWith('-'))
+    .map(term => term.replace(/[^\p{L}\p{N}_]/gu, '').toLowerCase())
+    .filter(term => term.length >= MIN_TERM_LENGTH);
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Build a snippet of the text around the first matched term with every match
+ * wrapped in <mark>. Terms also match longer words ("run" marks "running"),
+ * mirroring the stemming of MongoDB text search.
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @param {number} maxLength - Maximum snippet length before markup
+ * @returns {string|null} - HTML-escaped snippet, or null if nothing matched
+ */
+export const highlightText = (text, terms, maxLength = DEFAULT_SNIPPET_LENGTH) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) return null;
+
+  // Center the snippet on the first match
+  let start = 0;
+  if (text.length > maxLength) {
+    start = Math.max(0, Math.min(firstMatch.index - Math.floor(maxLength / 3), text.length - maxLength));
+    // Avoid cutting a word in half
+    if (start > 0) {
+      const nextSpace = text.indexOf(' ', start);
+      if (nextSpace !== -1 && nextSpace < firstMatch.index) start = nextSpace + 1;
+    }
+  }
+  const end = Math.min(text.length, start + maxLength);
+
+  // Matched on the raw text and escaped piece by piece, so a term such as "amp"
+  // cannot match inside the entities escaping adds
+  const snippet = text.slice(start, end);
+  let highlighted = '';
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    highlighted += `${escapeHtml(snippet.slice(lastIndex, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(snippet.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
@@ -12,6 +12,13 @@ export const SOCKET_EVENTS = {
   FOLLOW: {
     NEW: 'follow:new',
     REMOVE: 'follow:remove'
+  },
+  PLAYLIST: {
+    VIDEO_ADDED: 'playlist:video-added'
+  },
+  PUBLISHING: {
+    VIDEO_PUBLISHED: 'video:published',
+    ARTICLE_PUBLISHED: 'article:published'
   }
 };
 
@@ -1,14 +1,25 @@
 import fs from 'fs';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
+import { STORAGE_AREAS, statStoredFile, openStoredFile } from '../services/storageService.js';
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Path to video storage directory
+// Uploaded videos are received here, and kept here by the local storage driver
 const VIDEOS_DIR = path.join(__dirname, '..', 'uploads', 'videos');
 
+// Path to HLS renditions (one sub-directory per video)
+const HLS_DIR = path.join(__dirname, '..', 'uploads', 'hls');
+
+// Content types for HLS playlists and segments
+const HLS_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t'
+};
+
 // Ensure the videos directory exists
 export const ensureVideosDirExists = () => {
   if (!fs.existsSync(VIDEOS_DIR)) {
@@ -20,6 +31,52 @@ export const ensureVideosDirExists = () => {
 // Export the videos directory path
 export const getVideosDir = () => VIDEOS_DIR;
 
+// Ensure the HLS directory exists
+export const ensureHlsDirExists = () => {
+  if (!fs.existsSync(HLS_DIR)) {
+    fs.mkdirSync(HLS_DIR, { recursive: true });
+    console.log(`Created HLS directory at ${HLS_DIR}`);
+  }
+};
+
+// Export the HLS directory path
+export const getHlsDir = () => HLS_DIR;
+
+/**
+ * Send an HLS playlist or segment from a video's HLS directory
+ * @param {Object} res - Express response object
+ * @param {string} directory - HLS directory name of the video
+ * @param {string} relativePath - Playlist or segment path inside that directory
+ * @param {string} [uriQuery] - Query string appended to every URI of a playlist,
+ *   so the player requests the files it lists with the same grant
+ */
+export const sendHlsFile = (res, directory, relativePath, uriQuery) => {
+  const hlsRoot = path.join(HLS_DIR, directory);
+  const filePath = path.join(hlsRoot, relativePath);
+
+  // Never serve anything outside the video's own HLS directory
+  if (!filePath.startsWith(hlsRoot + path.sep) || !fs.existsSync(filePath)) {
+    return res.status(404).json({ message: 'HLS file not found' });
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  res.set({
+    'Content-Type': HLS_CONTENT_TYPES[ext] || 'application/octet-stream',
+    // Segments never change once written; playlists may be rewritten on re-transcode
+    'Cache-Control': ext === '.ts' ? 'public, max-age=31536000, immutable' : 'no-cache'
+  });
+
+  if (ext === '.m3u8' && uriQuery) {
+    // Lines that are not tags or blank are URIs of variant playlists or segments
+    const playlist = fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .map(line => (line.trim() && !line.startsWith('#') ? `${line}?${uriQuery}` : line))
+      .join('\n');
+    return res.send(playlist);
+  }
+  res.sendFile(filePath);
+};
+
 // Fix video filename issues
 function sanitizeVideoFilename(filename) {
   // Remove any spaces and ensure proper extension
@@ -43,16 +100,12 @@ export const streamVideo = async (req, res, filename) => {
     // Clean up the filename
     const cleanFilename = sanitizeVideoFilename(filename);
     
-    // Build the full path to the video file
-    const videoPath = path.join(VIDEOS_DIR, cleanFilename);
-    
-    // Check if the file exists
-    if (!fs.existsSync(videoPath)) {
+    // Get video stats (file size, etc.) from the storage backend
+    const stat = await statStoredFile(STORAGE_AREAS.VIDEOS, cleanFilename);
+    if (!stat) {
       return res.status(404).json({ message: 'Video file not found' });
     }
     
-    // Get video stats (file size, etc.)
-    const stat = fs.statSync(videoPath);
     const fileSize = stat.size;
     const range = req.headers.range;
 
@@ -74,27 +127,30 @@ export const streamVideo = async (req, res, filename) => {
       if (end - start > maxChunk) {
         end = start + maxChunk;
       }
+      end = Math.min(end, fileSize - 1);
 
-      const file = fs.createReadStream(videoPath, { start, end });
+      const file = await openStoredFile(STORAGE_AREAS.VIDEOS, cleanFilename, { start, end });
       const head = {
         'Content-Range': `bytes ${start}-${end}/${fileSize}`,
         'Accept-Ranges': 'bytes',
         'Content-Length': end - start + 1,
-        'Content-Type': getContentType(videoPath)
+        'Content-Type': getContentType(cleanFilename)
       };
 
       res.writeHead(206, head);
-      file.pipe(res);
+      await pipeline(file, res);
     } else {
       const head = {
         'Content-Length': fileSize,
-        'Content-Type': getContentType(videoPath),
+        'Content-Type': getContentType(cleanFilename),
         'Accept-Ranges': 'bytes'
       };
       res.writeHead(200, head);
-      fs.createReadStream(videoPath).pipe(res);
+      await pipeline(await openStoredFile(STORAGE_AREAS.VIDEOS, cleanFilename), res);
     }
   } catch (error) {
+    // Players abort range requests all the time when seeking
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
     console.error('Error in streamVideo:', error);
     if (!res.headersSent) {
       res.status(500).json({ message: 'Error streaming video', error: error.message });